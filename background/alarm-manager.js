@@ -1,5 +1,5 @@
 /* global applyAlarmSchedulingMethods, applyAlarmHandlerMethods,
-   applyAlarmNotificationMethods, applyAlarmMaintenanceMethods */
+   applyAlarmNotificationMethods, applyAlarmMaintenanceMethods, TimeUtils */
 class AlarmManager {
     constructor() {
         this.ALARM_NAMES = {
@@ -7,29 +7,32 @@ class AlarmManager {
             QUOTA_CHECK: 'quota-check',
             CLEANUP: 'cleanup',
             BACKUP: 'backup',
+            FOCUS_PHASE: 'focus-phase',
         };
 
+        // Set by the background so focus/break phase changes can update its state
+        this.focusPhaseHandler = null;
+
         this.init();
     }
 
     getLocalDateString(date = new Date()) {
-        const year = date.getFullYear();
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const day = String(date.getDate()).padStart(2, '0');
-        return `${year}-${month}-${day}`;
+        return TimeUtils.getDateKey(date);
     }
 
     async init() {
+        await TimeUtils.watchDaySettings();
         await this.setupAlarms();
         this.setupAlarmListeners();
         console.log('Alarm Manager initialized');
     }
 
+    /**
+     * Start of the next usage day: midnight, or the "day starts at" hour
+     * @returns {number} Epoch ms of the next day start
+     */
     getNextMidnight() {
-        const now = new Date();
-        const midnight = new Date(now);
-        midnight.setHours(24, 0, 0, 0);
-        return midnight.getTime();
+        return TimeUtils.getNextDayStart().getTime();
     }
 
     getNext2AM() {
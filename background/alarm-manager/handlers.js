@@ -16,6 +16,9 @@ function applyAlarmHandlerMethods(AlarmManager) {
                 case this.ALARM_NAMES.BACKUP:
                     await this.handleBackup();
                     break;
+                case this.ALARM_NAMES.FOCUS_PHASE:
+                    if (this.focusPhaseHandler) await this.focusPhaseHandler();
+                    break;
                 default:
                     console.log(`Unknown alarm: ${alarm.name}`);
             }
@@ -30,11 +33,13 @@ function applyAlarmHandlerMethods(AlarmManager) {
         try {
             await chrome.storage.local.remove(['dailyNotificationsSent']);
             await chrome.storage.local.remove(['quotaWarningsSent']);
+            await chrome.storage.local.remove(['limitWarningsSent']);
             await this.sendDailySummaryNotification();
             console.log('Daily reset completed successfully');
         } catch (error) {
             console.error('Error during daily reset:', error);
         }
+        await this.createDailyResetAlarm();
     };
 
     AlarmManager.prototype.handleQuotaCheck = async function handleQuotaCheck() {
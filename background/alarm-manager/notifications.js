@@ -1,6 +1,12 @@
 'use strict';
 
+/* global RuleBudget */
+
 function applyAlarmNotificationMethods(AlarmManager) {
+    // Limit checks run per tab update and can overlap; each one reads and
+    // then writes the sent-warnings record, so they run one at a time
+    let limitWarningChain = Promise.resolve();
+
     AlarmManager.prototype.checkAndSendQuotaWarnings = async function checkAndSendQuotaWarnings(
         totalUsage,
         dailyLimit,
@@ -52,6 +58,99 @@ function applyAlarmNotificationMethods(AlarmManager) {
         });
     };
 
+    /**
+     * Warn when a restricted site or group is close to its daily limit (or
+     * weekly budget), once per rule or group per day (or per week for weekly
+     * budgets), by notification and by a toast in the tab. A limit is close once limitWarningPercent of it is
+     * used or at most limitWarningMinutesLeft minutes remain; 0 turns either
+     * threshold off.
+     * @param {number} tabId - Tab showing the limited site.
+     * @param {Array<{key: string, name: string, mode?: string, limitMinutes: number, usedSeconds: number}>} limits
+     *        Limits still running down, from RuleManager.evaluateAccess().
+     */
+    AlarmManager.prototype.checkAndSendLimitWarnings = async function checkAndSendLimitWarnings(
+        tabId,
+        limits
+    ) {
+        const result = limitWarningChain.then(() => this.runLimitWarningCheck(tabId, limits));
+        limitWarningChain = result.catch(() => {});
+        return result;
+    };
+
+    AlarmManager.prototype.runLimitWarningCheck = async function runLimitWarningCheck(
+        tabId,
+        limits
+    ) {
+        try {
+            const { settings = {} } = await chrome.storage.local.get('settings');
+            if (settings.quotaWarnings === false) return;
+
+            const percent = Number(settings.limitWarningPercent || 0);
+            const minutesLeft = Number(settings.limitWarningMinutesLeft || 0);
+            if (percent <= 0 && minutesLeft <= 0) return;
+
+            const due = limits.filter((limit) => {
+                if (limit.limitMinutes <= 0) return false;
+                const usedMinutes = limit.usedSeconds / 60;
+                return (
+                    (percent > 0 && usedMinutes >= (limit.limitMinutes * percent) / 100) ||
+                    (minutesLeft > 0 && limit.limitMinutes - usedMinutes <= minutesLeft)
+                );
+            });
+            if (due.length === 0) return;
+
+            const today = this.getLocalDateString();
+            const week = `week:${RuleBudget.dateKey(RuleBudget.getPeriodStart(new Date(), 'weekly'))}`;
+            const periodOf = (limit) => (limit.mode === 'weekly' ? week : today);
+
+            const { limitWarningsSent = {} } = await chrome.storage.local.get('limitWarningsSent');
+            // Only the current day's and week's entries are kept, so the record never grows
+            const sent = {
+                [today]: limitWarningsSent[today] || [],
+                [week]: limitWarningsSent[week] || [],
+            };
+            const fresh = due.filter((limit) => !sent[periodOf(limit)].includes(limit.key));
+            if (fresh.length === 0) return;
+
+            for (const limit of fresh) sent[periodOf(limit)].push(limit.key);
+            await chrome.storage.local.set({ limitWarningsSent: sent });
+
+            for (const limit of fresh) {
+                await this.sendLimitWarning(tabId, limit, settings);
+            }
+        } catch (error) {
+            console.error('Error sending limit warnings:', error);
+        }
+    };
+
+    AlarmManager.prototype.sendLimitWarning = async function sendLimitWarning(
+        tabId,
+        limit,
+        settings
+    ) {
+        const left = Math.max(0, Math.ceil(limit.limitMinutes - limit.usedSeconds / 60));
+        const key = limit.mode === 'weekly' ? 'notifLimitWarningWeeklyMsg' : 'notifLimitWarningMsg';
+        const message = chrome.i18n.getMessage(key, [
+            limit.name,
+            String(left),
+            String(limit.limitMinutes),
+        ]);
+
+        if (settings.notificationsEnabled !== false) {
+            await chrome.notifications.create({
+                type: 'basic',
+                iconUrl: 'imgs/Logo.png',
+                title: chrome.i18n.getMessage('notifLimitWarning'),
+                message,
+            });
+        }
+
+        // Content scripts run in every frame; the toast belongs to the top one
+        await chrome.tabs
+            .sendMessage(tabId, { type: 'SHOW_LIMIT_WARNING', message }, { frameId: 0 })
+            .catch(() => {});
+    };
+
     AlarmManager.prototype.sendDailySummaryNotification =
         async function sendDailySummaryNotification() {
             try {
@@ -88,4 +187,29 @@ function applyAlarmNotificationMethods(AlarmManager) {
                 console.error('Error sending daily summary:', error);
             }
         };
+
+    /**
+     * Notify about a focus session phase change (break start, focus resume, end).
+     * Respects the user's notificationsEnabled setting.
+     * @param {string} title - Notification title.
+     * @param {string} message - Notification body.
+     */
+    AlarmManager.prototype.sendFocusNotification = async function sendFocusNotification(
+        title,
+        message
+    ) {
+        try {
+            const { settings } = await chrome.storage.local.get('settings');
+            if (settings && settings.notificationsEnabled === false) return;
+
+            await chrome.notifications.create({
+                type: 'basic',
+                iconUrl: 'imgs/Logo.png',
+                title,
+                message,
+            });
+        } catch (error) {
+            console.error('Error sending focus notification:', error);
+        }
+    };
 }
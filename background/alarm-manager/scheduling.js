@@ -1,5 +1,7 @@
 'use strict';
 
+/* global TimeUtils */
+
 function applyAlarmSchedulingMethods(AlarmManager) {
     AlarmManager.prototype.setupAlarms = async function setupAlarms() {
         await this.createDailyResetAlarm();
@@ -12,14 +14,31 @@ function applyAlarmSchedulingMethods(AlarmManager) {
         chrome.alarms.onAlarm.addListener((alarm) => {
             this.handleAlarm(alarm);
         });
+
+        // Moving the day start or the day time zone moves the daily reset with it
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName !== 'local' || !changes.settings) return;
+            const before = changes.settings.oldValue || {};
+            const after = changes.settings.newValue || {};
+            if (
+                (before.dayStartHour ?? 0) !== (after.dayStartHour ?? 0) ||
+                (before.timeZone ?? null) !== (after.timeZone ?? null)
+            ) {
+                TimeUtils.applyDaySettings(after);
+                this.createDailyResetAlarm();
+            }
+        });
     };
 
+    /**
+     * Schedule the next daily reset. It fires once and is re-armed by the
+     * handler, because a fixed 24-hour period drifts across DST changes.
+     */
     AlarmManager.prototype.createDailyResetAlarm = async function createDailyResetAlarm() {
         const nextMidnight = this.getNextMidnight();
 
         await chrome.alarms.create(this.ALARM_NAMES.DAILY_RESET, {
             when: nextMidnight,
-            periodInMinutes: 24 * 60,
         });
 
         console.log(`Daily reset alarm set for: ${new Date(nextMidnight)}`);
@@ -39,6 +58,19 @@ function applyAlarmSchedulingMethods(AlarmManager) {
         });
     };
 
+    /**
+     * Schedule the end of the current focus session phase (focus or break).
+     * Replaces any previously scheduled phase alarm.
+     * @param {number} when - Epoch ms at which the phase ends.
+     */
+    AlarmManager.prototype.scheduleFocusAlarm = async function scheduleFocusAlarm(when) {
+        await chrome.alarms.create(this.ALARM_NAMES.FOCUS_PHASE, { when });
+    };
+
+    AlarmManager.prototype.clearFocusAlarm = async function clearFocusAlarm() {
+        await chrome.alarms.clear(this.ALARM_NAMES.FOCUS_PHASE);
+    };
+
     AlarmManager.prototype.createBackupAlarm = async function createBackupAlarm() {
         const next2AM = this.getNext2AM();
 
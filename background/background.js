@@ -1,6 +1,8 @@
 /* global RuleManager, AlarmManager, TabTracker, VideoService,
    applyBackgroundMessagingMethods, applyBackgroundTrackingMethods,
-   applyBackgroundDataMethods, StorageManager, MigrationEngine */
+   applyBackgroundDataMethods, applyBackgroundFocusMethods, applyBackgroundUnlockMethods,
+   applyBackgroundLockdownMethods,
+   StorageManager, MigrationEngine, TimeUtils */
 if (typeof importScripts === 'function') {
     importScripts(
         '../utils/storage/defaults.js',
@@ -8,18 +10,27 @@ if (typeof importScripts === 'function') {
         '../utils/storage/usage.js',
         '../utils/storage/blocking.js',
         '../utils/storage/misc.js',
+        '../utils/storage/focus.js',
+        '../utils/storage/sessions.js',
         '../utils/storage.js',
         '../utils/storage/migration-engine.js',
         '../utils/time-utils.js',
+        '../utils/public-suffix-list.js',
         '../utils/domain-utils.js',
+        '../core/rules/rule-schedule.js',
         '../core/rules/site-rule.js',
         '../core/rules/blocked-rule.js',
+        '../core/rules/rule-budget.js',
         '../core/rules/restricted-rule.js',
+        '../core/rules/visit-limited-rule.js',
         '../core/rules/group-rule.js',
         '../core/rules/rule-manager.js',
         'core/messaging.js',
         'core/tracking.js',
         'core/data.js',
+        'core/focus.js',
+        'core/unlock.js',
+        'core/lockdown.js',
         'alarm-manager/scheduling.js',
         'alarm-manager/handlers.js',
         'alarm-manager/notifications.js',
@@ -40,6 +51,9 @@ class TimeDashBackground {
         this.pendingUpdates = new Map();
         this.restorePendingUpdates();
         this.alarmManager = new AlarmManager();
+        this.focusSession = null;
+        this.lockdown = null;
+        this.alarmManager.focusPhaseHandler = () => this.advanceFocusSession();
 
         this.tabTracker = new TabTracker(this);
         this.videoService = new VideoService(this);
@@ -49,10 +63,14 @@ class TimeDashBackground {
     async init() {
         const engine = new MigrationEngine();
         await engine.run();
+        await TimeUtils.watchDaySettings();
 
         await this.storage.init();
         await this.ruleManager.init();
+        await this.loadFocusSession();
+        await this.loadLockdown();
 
+        this.tabTracker.applyIdleThreshold(await this.storage.getSettings());
         this.tabTracker.setupEventListeners();
         this.setupMessageHandling();
         this.startTrackingLoop();
@@ -75,5 +93,8 @@ class TimeDashBackground {
 applyBackgroundMessagingMethods(TimeDashBackground);
 applyBackgroundTrackingMethods(TimeDashBackground);
 applyBackgroundDataMethods(TimeDashBackground);
+applyBackgroundFocusMethods(TimeDashBackground);
+applyBackgroundUnlockMethods(TimeDashBackground);
+applyBackgroundLockdownMethods(TimeDashBackground);
 
 const timeDashBG = new TimeDashBackground();
@@ -37,6 +37,7 @@ function applyBackgroundDataMethods(TimeDashBackground) {
 
     TimeDashBackground.prototype.toggleTracking = async function toggleTracking() {
         const settings = await this.storage.getSettings();
+        if (settings.trackingEnabled && this.isLockdownActive()) return;
         settings.trackingEnabled = !settings.trackingEnabled;
         await this.storage.setSettings(settings);
     };
@@ -49,6 +50,8 @@ function applyBackgroundDataMethods(TimeDashBackground) {
 
         const existing = this.ruleManager.rules.get(normalized);
         if (existing && existing.type === 'BLOCKED') {
+            // The keyboard command calls this directly, past the message lockdown check
+            if (this.isLockdownActive()) return;
             this.ruleManager.removeRule(normalized);
         } else {
             this.ruleManager.addRule(new BlockedRule(normalized));
@@ -57,4 +60,84 @@ function applyBackgroundDataMethods(TimeDashBackground) {
         await this.ruleManager.saveToStorage();
         this.broadcastUpdate();
     };
+
+    /**
+     * Store an imported backup's rules, groups and other keyed data, and the
+     * settings, then reload the rules so blocking follows them right away.
+     * @param {object} stored - Storage keys prepared by the options page.
+     * @param {object} [settings] - Settings to save, if the backup has any.
+     * @returns {Promise<boolean>} True on success.
+     */
+    TimeDashBackground.prototype.importData = async function importData(stored, settings) {
+        const keys = ['siteRules', 'siteGroups', 'siteSpeeds', 'focusHistory', 'sessionLog'];
+        const values = {};
+        for (const key of keys) {
+            if (stored && stored[key] !== undefined) values[key] = stored[key];
+        }
+
+        try {
+            if (settings) await this.storage.setSettings(settings);
+            await chrome.storage.local.set(values);
+        } catch (error) {
+            console.error('Failed to import data:', error);
+            return false;
+        }
+
+        this.ruleManager.rules.clear();
+        await this.ruleManager.loadFromStorage();
+        await this.ruleManager.loadGroupsFromStorage();
+        this.broadcastUpdate();
+        return true;
+    };
+
+    /**
+     * Resolve the per-site speed for the frame that sent a message. The
+     * frame's own host wins; embedded players on another host (e.g. a
+     * youtube-nocookie iframe) fall back to the top-level page's entry.
+     * @param {chrome.runtime.MessageSender} sender - Message sender.
+     * @returns {Promise<number|null>} Stored speed, or null if none applies.
+     */
+    TimeDashBackground.prototype.resolveSiteSpeed = async function resolveSiteSpeed(sender) {
+        const speeds = await this.storage.getSiteSpeeds();
+        if (Object.keys(speeds).length === 0) return null;
+
+        const frameUrl = sender && sender.url;
+        const tabUrl = sender && sender.tab && sender.tab.url;
+        for (const url of [frameUrl, tabUrl]) {
+            if (!url || !DomainUtils.shouldTrackUrl(url)) continue;
+            const speed = await this.storage.getSiteSpeedForHost(
+                DomainUtils.extractHostname(url),
+                speeds
+            );
+            if (speed !== null) return speed;
+        }
+        return null;
+    };
+
+    /**
+     * Check whether silence skipping is on for the frame that asked, matching
+     * the frame URL first and the top-level tab URL second like site speeds.
+     * @param {chrome.runtime.MessageSender} sender - Content script that asked.
+     * @returns {Promise<boolean>} True if a listed site (or a parent domain) matches.
+     */
+    TimeDashBackground.prototype.resolveSkipSilence = async function resolveSkipSilence(sender) {
+        const settings = await this.storage.getSettings();
+        const sites = new Set(
+            (Array.isArray(settings.skipSilenceSites) ? settings.skipSilenceSites : []).map((d) =>
+                DomainUtils.normalizeDomain(String(d))
+            )
+        );
+        if (sites.size === 0) return false;
+
+        const frameUrl = sender && sender.url;
+        const tabUrl = sender && sender.tab && sender.tab.url;
+        for (const url of [frameUrl, tabUrl]) {
+            if (!url || !DomainUtils.shouldTrackUrl(url)) continue;
+            const labels = DomainUtils.extractHostname(url).toLowerCase().split('.');
+            for (let i = 0; i < labels.length - 1; i++) {
+                if (sites.has(labels.slice(i).join('.'))) return true;
+            }
+        }
+        return false;
+    };
 }
@@ -0,0 +1,265 @@
+/* global DomainUtils */
+/**
+ * Focus sessions (Pomodoro mode): while a focus phase is running, the chosen
+ * groups and domains are treated as fully blocked. Phases alternate
+ * focus → break → focus … and each phase end is driven by an AlarmManager
+ * alarm so the session survives service worker restarts.
+ */
+function applyBackgroundFocusMethods(TimeDashBackground) {
+    const MAX_FOCUS_MINUTES = 240;
+    const MAX_BREAK_MINUTES = 60;
+    const MAX_CYCLES = 12;
+
+    const clampInt = (value, min, max, fallback) => {
+        const n = Math.round(Number(value));
+        if (!Number.isFinite(n)) return fallback;
+        return Math.max(min, Math.min(max, n));
+    };
+
+    /**
+     * Serialize focus session changes: the phase alarm, the boot-time catch-up
+     * and popup/command requests can otherwise interleave across awaits.
+     * @param {Function} task - Async task to run exclusively.
+     * @returns {Promise<*>} Task result.
+     */
+    TimeDashBackground.prototype.withFocusLock = function withFocusLock(task) {
+        const result = (this.focusChain || Promise.resolve()).then(() => task());
+        this.focusChain = result.catch(() => {});
+        return result;
+    };
+
+    /**
+     * Restore the running session after a service worker restart, catching up
+     * on any phase that ended while the worker was asleep.
+     */
+    TimeDashBackground.prototype.loadFocusSession = async function loadFocusSession() {
+        await this.withFocusLock(async () => {
+            this.focusSession = await this.storage.getFocusSession();
+        });
+        if (this.focusSession && this.focusSession.phaseEndsAt <= Date.now()) {
+            await this.advanceFocusSession();
+        }
+    };
+
+    /**
+     * Start a focus session. Options not given fall back to the focus
+     * settings (the popup saves the last choice there, the keyboard command
+     * reuses it). With no groups or domains selected, every budget group is
+     * blocked.
+     * @param {object} [options] - Session options.
+     * @param {number} [options.focusMinutes] - Length of each focus phase.
+     * @param {number} [options.breakMinutes] - Length of each break (0 = no breaks).
+     * @param {number} [options.cycles] - Number of focus phases.
+     * @param {string[]} [options.groupIds] - Groups to block.
+     * @param {string[]} [options.domains] - Extra domains to block.
+     * @returns {Promise<object>} The new session.
+     */
+    TimeDashBackground.prototype.startFocusSession = function startFocusSession(options = {}) {
+        return this.withFocusLock(() => this.createFocusSession(options));
+    };
+
+    TimeDashBackground.prototype.createFocusSession = async function createFocusSession(options) {
+        if (this.focusSession) await this.finishFocusSession(false);
+
+        const settings = await this.storage.getSettings();
+        const focusMinutes = clampInt(
+            options.focusMinutes ?? settings.focusMinutes,
+            1,
+            MAX_FOCUS_MINUTES,
+            25
+        );
+        const breakMinutes = clampInt(
+            options.breakMinutes ?? settings.focusBreakMinutes,
+            0,
+            MAX_BREAK_MINUTES,
+            5
+        );
+        const cycles = clampInt(options.cycles ?? settings.focusCycles, 1, MAX_CYCLES, 1);
+        const groupIds = (options.groupIds ?? settings.focusGroupIds ?? []).filter((id) =>
+            this.ruleManager.groups.some((g) => g.id === id && !g.deletedAt)
+        );
+        const domains = [
+            ...new Set(
+                (options.domains ?? settings.focusDomains ?? [])
+                    .map((d) => DomainUtils.normalizeDomain(String(d)))
+                    .filter((d) => DomainUtils.isValidDomain(d))
+            ),
+        ];
+
+        const now = Date.now();
+        this.focusSession = {
+            startedAt: now,
+            focusMinutes,
+            breakMinutes,
+            cycles,
+            cycle: 1,
+            phase: 'focus',
+            phaseStartedAt: now,
+            phaseEndsAt: now + focusMinutes * 60000,
+            focusedSeconds: 0,
+            groupIds,
+            domains,
+        };
+
+        await this.storage.setSettings({
+            focusMinutes,
+            focusBreakMinutes: breakMinutes,
+            focusCycles: cycles,
+            focusGroupIds: groupIds,
+            focusDomains: domains,
+        });
+        await this.storage.setFocusSession(this.focusSession);
+        await this.alarmManager.scheduleFocusAlarm(this.focusSession.phaseEndsAt);
+        await this.enforceFocusOnOpenTabs();
+        this.broadcastUpdate();
+        return this.focusSession;
+    };
+
+    /**
+     * Stop the running session early. Focus time so far is still recorded.
+     * @returns {Promise<boolean>} False if no session was running.
+     */
+    TimeDashBackground.prototype.stopFocusSession = function stopFocusSession() {
+        return this.withFocusLock(async () => {
+            if (!this.focusSession) return false;
+            await this.finishFocusSession(false);
+            return true;
+        });
+    };
+
+    /**
+     * Move the session to its next phase. Called by the FOCUS_PHASE alarm.
+     * @returns {Promise<void>}
+     */
+    TimeDashBackground.prototype.advanceFocusSession = function advanceFocusSession() {
+        return this.withFocusLock(() => this.applyFocusPhaseEnd());
+    };
+
+    TimeDashBackground.prototype.applyFocusPhaseEnd = async function applyFocusPhaseEnd() {
+        const session = this.focusSession || (await this.storage.getFocusSession());
+        const now = Date.now();
+        // Already advanced (e.g. by the boot catch-up) or not due yet
+        if (!session || session.phaseEndsAt > now + 1000) return;
+        this.focusSession = session;
+
+        if (session.phase === 'focus') {
+            session.focusedSeconds += Math.round(
+                (Math.min(now, session.phaseEndsAt) - session.phaseStartedAt) / 1000
+            );
+            if (session.cycle >= session.cycles) {
+                await this.finishFocusSession(true);
+                return;
+            }
+            if (session.breakMinutes > 0) {
+                session.phase = 'break';
+                session.phaseStartedAt = now;
+                session.phaseEndsAt = now + session.breakMinutes * 60000;
+                await this.alarmManager.sendFocusNotification(
+                    chrome.i18n.getMessage('focusBreakTitle'),
+                    chrome.i18n.getMessage('focusBreakMessage', [String(session.breakMinutes)])
+                );
+            } else {
+                session.cycle += 1;
+                session.phaseStartedAt = now;
+                session.phaseEndsAt = now + session.focusMinutes * 60000;
+            }
+        } else {
+            session.cycle += 1;
+            session.phase = 'focus';
+            session.phaseStartedAt = now;
+            session.phaseEndsAt = now + session.focusMinutes * 60000;
+            await this.alarmManager.sendFocusNotification(
+                chrome.i18n.getMessage('focusResumeTitle'),
+                chrome.i18n.getMessage('focusResumeMessage', [
+                    String(session.cycle),
+                    String(session.cycles),
+                ])
+            );
+        }
+
+        await this.storage.setFocusSession(session);
+        await this.alarmManager.scheduleFocusAlarm(session.phaseEndsAt);
+        if (session.phase === 'focus') await this.enforceFocusOnOpenTabs();
+        this.broadcastUpdate();
+    };
+
+    /**
+     * End the session, record it in the focus history and clear its alarm.
+     * @param {boolean} completed - True if all cycles ran to the end.
+     */
+    TimeDashBackground.prototype.finishFocusSession = async function finishFocusSession(completed) {
+        const session = this.focusSession;
+        this.focusSession = null;
+        await this.alarmManager.clearFocusAlarm();
+        await this.storage.setFocusSession(null);
+        if (!session) return;
+
+        const now = Date.now();
+        let focusedSeconds = session.focusedSeconds;
+        if (!completed && session.phase === 'focus') {
+            focusedSeconds += Math.round((now - session.phaseStartedAt) / 1000);
+        }
+
+        await this.storage.recordFocusSession({
+            startedAt: session.startedAt,
+            endedAt: now,
+            focusedSeconds,
+            cycles: completed
+                ? session.cycles
+                : session.cycle - (session.phase === 'focus' ? 1 : 0),
+            completed,
+        });
+
+        if (completed) {
+            await this.alarmManager.sendFocusNotification(
+                chrome.i18n.getMessage('focusCompleteTitle'),
+                chrome.i18n.getMessage('focusCompleteMessage', [
+                    String(Math.round(focusedSeconds / 60)),
+                ])
+            );
+        }
+        this.broadcastUpdate();
+    };
+
+    /**
+     * Check whether the running session blocks a URL right now.
+     * @param {string} url - URL to test.
+     * @returns {boolean} True while in a focus phase and the URL is targeted.
+     */
+    TimeDashBackground.prototype.isFocusBlocked = function isFocusBlocked(url) {
+        const session = this.focusSession;
+        if (!session || session.phase !== 'focus' || session.phaseEndsAt <= Date.now()) {
+            return false;
+        }
+
+        const hostname = DomainUtils.extractHostname(url);
+        if (!hostname) return false;
+        if (session.domains.some((d) => hostname === d || hostname.endsWith(`.${d}`))) {
+            return true;
+        }
+
+        const groups = this.ruleManager.groups.filter((g) => !g.deletedAt);
+        if (session.groupIds.length === 0 && session.domains.length === 0) {
+            return groups.some((g) => g.contains(hostname));
+        }
+        return groups.some((g) => session.groupIds.includes(g.id) && g.contains(hostname));
+    };
+
+    /**
+     * Re-evaluate every open tab so targeted sites are blocked as soon as a
+     * focus phase starts, not only on their next navigation.
+     */
+    TimeDashBackground.prototype.enforceFocusOnOpenTabs = async function enforceFocusOnOpenTabs() {
+        try {
+            const tabs = await chrome.tabs.query({});
+            for (const tab of tabs) {
+                if (!tab.url || !DomainUtils.shouldTrackUrl(tab.url)) continue;
+                if (!this.isFocusBlocked(tab.url)) continue;
+                const domain = this.ruleManager.resolveTrackingDomain(tab.url);
+                await this.tabTracker.checkAndHandleBlocking(tab, domain);
+            }
+        } catch (error) {
+            console.error('Failed to apply focus session to open tabs:', error);
+        }
+    };
+}
@@ -0,0 +1,298 @@
+/* global RuleSchedule, GroupRule, VisitLimitedRule, RuleBudget, DomainUtils */
+/**
+ * Lockdown mode: until a chosen moment, rules can only be tightened. Every
+ * incoming message is checked by getLockdownViolation() first, which refuses
+ * changes that would remove a rule, raise a limit, shorten a schedule or turn
+ * tracking off. Lockdown can be extended but never ended early.
+ */
+function applyBackgroundLockdownMethods(TimeDashBackground) {
+    const MAX_LOCKDOWN_DAYS = 90;
+
+    const ALLOWLIST_KEYS = [
+        'allowlistMode',
+        'allowlistUntil',
+        'allowlistSchedule',
+        'allowlistDomains',
+        'allowlistGroupIds',
+    ];
+
+    /**
+     * Restore the lockdown window after a service worker restart and keep
+     * tracking and allowlist-only mode in force while it lasts, including
+     * against settings written straight to storage by the options page.
+     */
+    TimeDashBackground.prototype.loadLockdown = async function loadLockdown() {
+        const lockdown = await this.storage.getLockdown();
+        this.lockdown = lockdown && lockdown.until > Date.now() ? lockdown : null;
+        if (lockdown && !this.lockdown) await this.storage.setLockdown(null);
+
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName !== 'local' || !changes.settings || !this.isLockdownActive()) return;
+            const next = changes.settings.newValue || {};
+            const previous = changes.settings.oldValue || {};
+            if (next.trackingEnabled === false && previous.trackingEnabled !== false) {
+                this.storage.setSettings({ trackingEnabled: true });
+            }
+            if (this.isLooseningAllowlistChange(previous, next)) {
+                const restored = {};
+                for (const key of ALLOWLIST_KEYS) restored[key] = previous[key];
+                this.storage.setSettings(restored);
+            }
+        });
+    };
+
+    /**
+     * @param {number} [now] - Moment to test (ms).
+     * @returns {boolean} True while a lockdown window is running.
+     */
+    TimeDashBackground.prototype.isLockdownActive = function isLockdownActive(now = Date.now()) {
+        return Boolean(this.lockdown && this.lockdown.until > now);
+    };
+
+    /**
+     * Start a lockdown, or extend the running one.
+     * @param {object} options - Lockdown length.
+     * @param {number} [options.until] - End time (ms); takes precedence over minutes.
+     * @param {number} [options.minutes] - Duration from now.
+     * @returns {Promise<{success: boolean, lockdown?: object, error?: string}>} Outcome.
+     */
+    TimeDashBackground.prototype.startLockdown = async function startLockdown({ until, minutes }) {
+        const now = Date.now();
+        let end = Number(until);
+        if (!Number.isFinite(end) || end <= 0) end = now + Number(minutes) * 60000;
+        if (!Number.isFinite(end) || end <= now) {
+            return { success: false, error: chrome.i18n.getMessage('lockdownInvalidEnd') };
+        }
+        end = Math.min(end, now + MAX_LOCKDOWN_DAYS * 24 * 3600000);
+
+        const running = this.isLockdownActive(now);
+        if (running && end <= this.lockdown.until) {
+            return { success: false, error: chrome.i18n.getMessage('lockdownCannotShorten') };
+        }
+
+        this.lockdown = { startedAt: running ? this.lockdown.startedAt : now, until: end };
+        await this.storage.setLockdown(this.lockdown);
+        return { success: true, lockdown: this.lockdown };
+    };
+
+    /**
+     * Decide whether a message would loosen blocking during lockdown.
+     * @param {object} message - Incoming runtime message.
+     * @returns {Promise<string|null>} Error to send back, or null if allowed.
+     */
+    TimeDashBackground.prototype.getLockdownViolation = async function getLockdownViolation(
+        message
+    ) {
+        if (!message || !this.isLockdownActive()) return null;
+
+        const loosens = await this.isLooseningChange(message);
+        if (!loosens) return null;
+
+        const until = new Date(this.lockdown.until).toLocaleString(undefined, {
+            dateStyle: 'medium',
+            timeStyle: 'short',
+        });
+        return chrome.i18n.getMessage('lockdownActive', [until]);
+    };
+
+    TimeDashBackground.prototype.isLooseningChange = async function isLooseningChange(message) {
+        switch (message.type) {
+            case 'REMOVE_SITE_RULE':
+            case 'DELETE_GROUP':
+            case 'REMOVE_DOMAIN_FROM_GROUP':
+            case 'UNDO_PRESET_GROUPS':
+            case 'REQUEST_UNLOCK':
+            // Clearing a site's usage would reset the time counted against its limit
+            case 'DELETE_DOMAIN_DATA':
+            case 'RESET_ALL_DATA':
+            // An import can replace or add to every rule, group and setting
+            case 'IMPORT_DATA':
+                return true;
+            case 'IMPORT_USAGE':
+                return message.mode === 'replace';
+            case 'TOGGLE_BLOCK': {
+                const existing = this.ruleManager.rules.get(
+                    DomainUtils.normalizeDomain(message.domain || '')
+                );
+                return Boolean(existing && existing.type === 'BLOCKED');
+            }
+            case 'UPDATE_SETTINGS': {
+                const settings = await this.storage.getSettings();
+                const next = { ...settings, ...message.settings };
+                if (next.trackingEnabled === false && settings.trackingEnabled !== false) {
+                    return true;
+                }
+                return this.isLooseningAllowlistChange(settings, next);
+            }
+            case 'ADD_SITE_RULE':
+                return this.isLooseningRuleChange(message);
+            case 'UPDATE_RULE_SCHEDULE': {
+                const rule = this.ruleManager.getRule(message.domain || '');
+                if (!rule) return false;
+                return !RuleSchedule.covers(
+                    RuleSchedule.normalize(message.schedule),
+                    rule.schedule
+                );
+            }
+            case 'UPDATE_RULE_GRACE': {
+                const rule = this.ruleManager.getRule(message.domain || '');
+                return Boolean(rule && Number(message.graceSeconds) > rule.graceSeconds);
+            }
+            case 'UPDATE_RULE_BUDGET': {
+                const rule = this.ruleManager.getRule(message.domain || '');
+                if (!rule || rule.type !== 'RESTRICTED') return false;
+                return this.isLooseningBudgetChange(rule, message);
+            }
+            case 'UPDATE_GROUP':
+                return this.isLooseningGroupChange(message);
+            default:
+                return false;
+        }
+    };
+
+    /**
+     * Allowlist-only mode loosens when it is switched off or to another
+     * mode, its timer is cut short, its schedule stops covering a minute it
+     * covered, or a site or group joins the allowlist.
+     * @param {object} previous - Settings before the change.
+     * @param {object} next - Settings after the change.
+     * @returns {boolean} True if the change loosens allowlist-only mode.
+     */
+    TimeDashBackground.prototype.isLooseningAllowlistChange = function isLooseningAllowlistChange(
+        previous,
+        next
+    ) {
+        const mode = previous.allowlistMode || 'off';
+        if (mode === 'off') return false;
+        if (mode === 'timed' && !(Number(previous.allowlistUntil || 0) > Date.now())) return false;
+        if ((next.allowlistMode || 'off') !== mode) return true;
+
+        if (mode === 'timed' && Number(next.allowlistUntil || 0) < previous.allowlistUntil) {
+            return true;
+        }
+        if (
+            mode === 'scheduled' &&
+            !RuleSchedule.covers(
+                RuleSchedule.normalize(next.allowlistSchedule),
+                RuleSchedule.normalize(previous.allowlistSchedule)
+            )
+        ) {
+            return true;
+        }
+
+        const added = (key) => {
+            const before = Array.isArray(previous[key]) ? previous[key] : [];
+            const after = Array.isArray(next[key]) ? next[key] : [];
+            return after.some((item) => !before.includes(item));
+        };
+        return added('allowlistDomains') || added('allowlistGroupIds');
+    };
+
+    /**
+     * Re-adding an existing rule loosens it when it turns into a different,
+     * non-blocking kind of rule (e.g. a hard block becomes a time limit), the
+     * time limit, open limit, grace period or budget goes up, or the new
+     * schedule is active for less time.
+     * @param {object} message - ADD_SITE_RULE message.
+     * @returns {Promise<boolean>} True if the change loosens the rule.
+     */
+    TimeDashBackground.prototype.isLooseningRuleChange = async function isLooseningRuleChange(
+        message
+    ) {
+        const domain = DomainUtils.normalizeRulePattern(String(message.domain || ''));
+        const previous = this.ruleManager.getRule(domain);
+        if (!previous || previous.isEnabled === false) return false;
+
+        if (previous.type !== message.ruleType && message.ruleType !== 'BLOCKED') return true;
+        if (Number(message.graceSeconds) > previous.graceSeconds) return true;
+        if (previous.type === 'RESTRICTED' && message.ruleType === 'RESTRICTED') {
+            const settings = await this.storage.getSettings();
+            const maxCap = Number(settings.restrictedSliderMax || 120);
+            const limit = Math.max(0, Math.min(message.timeLimitMinutes ?? 30, maxCap));
+            if (limit > previous.timeLimitMinutes) return true;
+            if (this.isLooseningBudgetChange(previous, message)) return true;
+        }
+        if (previous.type === 'VISIT_LIMITED' && message.ruleType === 'VISIT_LIMITED') {
+            if (VisitLimitedRule.normalizeMaxVisits(message.maxVisits) > previous.maxVisits) {
+                return true;
+            }
+        }
+
+        if (message.schedule === undefined || previous.type !== message.ruleType) return false;
+        return !RuleSchedule.covers(RuleSchedule.normalize(message.schedule), previous.schedule);
+    };
+
+    /**
+     * A group update loosens the group when it disables it, drops domains,
+     * raises the budget on any weekday or the open limit, pools or carries
+     * over more of its budget, or shortens its schedule.
+     * @param {object} message - UPDATE_GROUP message.
+     * @returns {Promise<boolean>} True if the change loosens the group.
+     */
+    TimeDashBackground.prototype.isLooseningGroupChange = async function isLooseningGroupChange(
+        message
+    ) {
+        const group = this.ruleManager.groups.find((g) => g.id === message.id && !g.deletedAt);
+        if (!group || !group.isEnabled) return false;
+
+        if (message.isEnabled === false) return true;
+
+        if (message.domains !== undefined) {
+            const next = new Set(message.domains.map((d) => d.toLowerCase().replace(/^www\./, '')));
+            if (group.domains.some((d) => !next.has(d))) return true;
+        }
+
+        if (message.timeLimitMinutes !== undefined || message.dayLimits !== undefined) {
+            const settings = await this.storage.getSettings();
+            const maxCap = Number(settings.restrictedSliderMax || 120);
+            const nextDefault =
+                message.timeLimitMinutes !== undefined
+                    ? Math.max(0, Math.min(message.timeLimitMinutes, maxCap))
+                    : group.timeLimitMinutes;
+            const nextDays =
+                message.dayLimits !== undefined
+                    ? GroupRule.normalizeDayLimits(message.dayLimits, maxCap)
+                    : group.dayLimits;
+            for (let day = 0; day < 7; day++) {
+                const next = nextDays[day] ?? nextDefault;
+                const current = group.dayLimits[day] ?? group.timeLimitMinutes;
+                if (next > current) return true;
+            }
+        }
+
+        if (message.maxVisits !== undefined) {
+            // 0 means no open limit at all
+            const next = GroupRule.normalizeMaxVisits(message.maxVisits) || Infinity;
+            if (next > (group.maxVisits || Infinity)) return true;
+        }
+
+        if (this.isLooseningBudgetChange(group, message)) return true;
+
+        if (message.schedule === undefined) return false;
+        return !RuleSchedule.covers(RuleSchedule.normalize(message.schedule), group.schedule);
+    };
+
+    /**
+     * Pooling daily limits into a weekly budget lets a single day run longer,
+     * and a higher carry-over cap keeps more unused time, so both loosen.
+     * @param {{budgetMode: string, carryOverMinutes: number}} current - Rule or group.
+     * @param {object} message - Message that may carry budgetMode and carryOverMinutes.
+     * @returns {boolean} True if the new budget options are looser.
+     */
+    TimeDashBackground.prototype.isLooseningBudgetChange = function isLooseningBudgetChange(
+        current,
+        message
+    ) {
+        if (
+            message.budgetMode !== undefined &&
+            RuleBudget.normalizeMode(message.budgetMode) === 'weekly' &&
+            current.budgetMode !== 'weekly'
+        ) {
+            return true;
+        }
+        return (
+            message.carryOverMinutes !== undefined &&
+            RuleBudget.normalizeCarryOver(message.carryOverMinutes) > current.carryOverMinutes
+        );
+    };
+}
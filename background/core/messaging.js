@@ -1,4 +1,4 @@
-/* global BlockedRule, RestrictedRule, GroupRule, DomainUtils */
+/* global BlockedRule, RestrictedRule, VisitLimitedRule, GroupRule, RuleSchedule, RuleBudget, DomainUtils */
 function applyBackgroundMessagingMethods(TimeDashBackground) {
     TimeDashBackground.prototype.setupMessageHandling = function setupMessageHandling() {
         chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -17,6 +17,12 @@ function applyBackgroundMessagingMethods(TimeDashBackground) {
         sendResponse
     ) {
         try {
+            const lockdownError = await this.getLockdownViolation(message);
+            if (lockdownError) {
+                sendResponse({ success: false, error: lockdownError, lockdown: true });
+                return;
+            }
+
             switch (message.type) {
                 case 'GET_TAB_INFO':
                     sendResponse(await this.getTabInfo(sender.tab ? sender.tab.id : undefined));
@@ -41,6 +47,108 @@ function applyBackgroundMessagingMethods(TimeDashBackground) {
                     await this.storage.setCurrentSpeed(message.speed);
                     sendResponse({ success: true });
                     break;
+                case 'GET_SITE_SPEEDS':
+                    sendResponse({ speeds: await this.storage.getSiteSpeeds() });
+                    break;
+                case 'GET_SITE_SPEED':
+                    sendResponse({ speed: await this.resolveSiteSpeed(sender) });
+                    break;
+                case 'GET_SKIP_SILENCE':
+                    sendResponse({ enabled: await this.resolveSkipSilence(sender) });
+                    break;
+                case 'RECORD_SILENCE_SKIPPED': {
+                    const tabUrl = sender && sender.tab && sender.tab.url;
+                    const seconds = Number(message.seconds);
+                    if (!tabUrl || !DomainUtils.shouldTrackUrl(tabUrl) || !(seconds > 0)) {
+                        sendResponse({ success: false });
+                        break;
+                    }
+                    sendResponse({
+                        success: await this.storage.addSilenceSkipped(
+                            this.ruleManager.resolveTrackingDomain(tabUrl),
+                            Math.min(seconds, 3600)
+                        ),
+                    });
+                    break;
+                }
+                case 'RECORD_MEDIA_WATCH': {
+                    const tabUrl = sender && sender.tab && sender.tab.url;
+                    const watchSeconds = Number(message.watchSeconds);
+                    const mediaSeconds = Number(message.mediaSeconds);
+                    if (
+                        !tabUrl ||
+                        !DomainUtils.shouldTrackUrl(tabUrl) ||
+                        !(watchSeconds > 0) ||
+                        !(mediaSeconds >= 0)
+                    ) {
+                        sendResponse({ success: false });
+                        break;
+                    }
+                    // Same opt-outs as time tracking: paused, incognito, whitelisted
+                    const settings = await this.storage.getSettings();
+                    const domain = this.ruleManager.resolveTrackingDomain(tabUrl);
+                    if (
+                        !settings.trackingEnabled ||
+                        (sender.tab.incognito && !settings.incognitoTracking) ||
+                        (settings.whitelist || []).includes(domain)
+                    ) {
+                        sendResponse({ success: false });
+                        break;
+                    }
+                    // A report covers at most a few minutes; cap both so a bad
+                    // sender can't skew the totals
+                    sendResponse({
+                        success: await this.storage.addMediaWatch(
+                            domain,
+                            Math.min(watchSeconds, 3600),
+                            Math.min(mediaSeconds, watchSeconds * 16, 3600 * 16)
+                        ),
+                    });
+                    break;
+                }
+                case 'SET_SITE_SPEED': {
+                    const domain = DomainUtils.normalizeDomain(String(message.domain || ''));
+                    if (!DomainUtils.isValidDomain(domain)) {
+                        sendResponse({
+                            success: false,
+                            error: chrome.i18n.getMessage('msgInvalidDomain'),
+                        });
+                        break;
+                    }
+                    sendResponse({ success: await this.storage.setSiteSpeed(domain, message.speed) });
+                    break;
+                }
+                case 'REMOVE_SITE_SPEED':
+                    sendResponse({
+                        success: await this.storage.removeSiteSpeed(
+                            DomainUtils.normalizeDomain(String(message.domain || ''))
+                        ),
+                    });
+                    break;
+                case 'GET_COUNTDOWN_POSITION': {
+                    // Keyed like tracking: content scripts lack the public suffix list
+                    const tabUrl = sender && sender.tab && sender.tab.url;
+                    sendResponse({
+                        position: tabUrl
+                            ? await this.storage.getCountdownPosition(
+                                  this.ruleManager.resolveTrackingDomain(tabUrl)
+                              )
+                            : null,
+                    });
+                    break;
+                }
+                case 'SET_COUNTDOWN_POSITION': {
+                    const tabUrl = sender && sender.tab && sender.tab.url;
+                    sendResponse({
+                        success: tabUrl
+                            ? await this.storage.setCountdownPosition(
+                                  this.ruleManager.resolveTrackingDomain(tabUrl),
+                                  message.position
+                              )
+                            : false,
+                    });
+                    break;
+                }
                 case 'GET_CURRENTLY_PLAYING_VIDEOS':
                     sendResponse(await this.videoService.getCurrentlyPlayingVideos());
                     break;
@@ -70,32 +178,120 @@ function applyBackgroundMessagingMethods(TimeDashBackground) {
                     sendResponse({ success: await this.storage.compactStorage() });
                     break;
                 case 'DELETE_DOMAIN_DATA':
+                    await this.storage.deleteDomainSessions(message.domain);
                     sendResponse({ success: await this.storage.deleteDomainUsage(message.domain) });
                     break;
                 case 'IMPORT_USAGE':
                     sendResponse({ success: await this.storage.importUsage(message.usage, message.mode) });
                     break;
+                case 'IMPORT_DATA':
+                    sendResponse({
+                        success: await this.importData(message.stored, message.settings),
+                    });
+                    break;
+                case 'RESET_ALL_DATA':
+                    sendResponse({ success: await this.storage.clearAllData() });
+                    break;
                 case 'GET_SITE_RULES':
                     sendResponse({
                         blocked: this.ruleManager.getBlockedDomains(),
                         restricted: this.ruleManager.getRestrictedDomains(),
+                        visitLimited: this.ruleManager.getVisitLimitedDomains(),
+                        schedules: this.ruleManager.getRuleSchedules(),
                     });
                     break;
                 case 'ADD_SITE_RULE': {
-                    const { domain, ruleType, timeLimitMinutes } = message;
-                    if (ruleType === 'BLOCKED') this.ruleManager.addRule(new BlockedRule(domain));
+                    const { ruleType, timeLimitMinutes } = message;
+                    const domain = DomainUtils.normalizeRulePattern(String(message.domain || ''));
+                    if (!DomainUtils.isValidRulePattern(domain)) {
+                        sendResponse({
+                            success: false,
+                            error: chrome.i18n.getMessage('msgInvalidDomain'),
+                        });
+                        break;
+                    }
+                    // Re-adding a rule (e.g. to change its limit) keeps its schedule
+                    const previous = this.ruleManager.getRule(domain);
+                    const schedule =
+                        message.schedule !== undefined
+                            ? message.schedule
+                            : previous && previous.type === ruleType
+                              ? previous.schedule
+                              : [];
+                    let rule = null;
+                    if (ruleType === 'BLOCKED') rule = new BlockedRule(domain);
                     if (ruleType === 'RESTRICTED') {
                         const settings = await this.storage.getSettings();
                         const maxCap = Number(settings.restrictedSliderMax || 120);
                         const cappedLimit = Math.max(0, Math.min(timeLimitMinutes ?? 30, maxCap));
-                        this.ruleManager.addRule(
-                            new RestrictedRule(domain, cappedLimit)
+                        rule = new RestrictedRule(domain, cappedLimit);
+                        // Changing the limit keeps the budget mode and carry-over
+                        const keep = previous && previous.type === ruleType ? previous : null;
+                        rule.setBudget(
+                            message.budgetMode ?? keep?.budgetMode,
+                            message.carryOverMinutes ?? keep?.carryOverMinutes
                         );
                     }
+                    if (ruleType === 'VISIT_LIMITED') {
+                        rule = new VisitLimitedRule(domain, message.maxVisits);
+                    }
+                    if (rule) {
+                        rule.setSchedule(schedule);
+                        rule.setGraceSeconds(
+                            message.graceSeconds ?? (previous ? previous.graceSeconds : 0)
+                        );
+                        this.ruleManager.addRule(rule);
+                    }
                     await this.ruleManager.saveToStorage();
                     sendResponse({ success: true });
                     break;
                 }
+                case 'UPDATE_RULE_SCHEDULE': {
+                    const rule = this.ruleManager.getRule(message.domain || '');
+                    if (!rule) {
+                        sendResponse({ success: false, error: chrome.i18n.getMessage('msgRuleNotFound') });
+                        break;
+                    }
+                    rule.setSchedule(message.schedule);
+                    await this.ruleManager.saveToStorage();
+                    sendResponse({ success: true, schedule: rule.toJSON().schedule });
+                    break;
+                }
+                case 'UPDATE_RULE_GRACE': {
+                    const rule = this.ruleManager.getRule(message.domain || '');
+                    if (!rule) {
+                        sendResponse({
+                            success: false,
+                            error: chrome.i18n.getMessage('msgRuleNotFound'),
+                        });
+                        break;
+                    }
+                    rule.setGraceSeconds(message.graceSeconds);
+                    await this.ruleManager.saveToStorage();
+                    sendResponse({ success: true, graceSeconds: rule.graceSeconds });
+                    break;
+                }
+                case 'UPDATE_RULE_BUDGET': {
+                    const rule = this.ruleManager.getRule(message.domain || '');
+                    if (!rule || rule.type !== 'RESTRICTED') {
+                        sendResponse({
+                            success: false,
+                            error: chrome.i18n.getMessage('msgRuleNotFound'),
+                        });
+                        break;
+                    }
+                    rule.setBudget(
+                        message.budgetMode ?? rule.budgetMode,
+                        message.carryOverMinutes ?? rule.carryOverMinutes
+                    );
+                    await this.ruleManager.saveToStorage();
+                    sendResponse({
+                        success: true,
+                        budgetMode: rule.budgetMode,
+                        carryOverMinutes: rule.carryOverMinutes,
+                    });
+                    break;
+                }
                 case 'REMOVE_SITE_RULE':
                     this.ruleManager.removeRule(message.domain);
                     await this.ruleManager.saveToStorage();
@@ -110,9 +306,9 @@ function applyBackgroundMessagingMethods(TimeDashBackground) {
                             .map(([d, r]) => [d, r])
                     );
                     const reordered = new Map();
-                    // Blocked rules keep their relative position first
+                    // Other rules keep their relative position first
                     entries.forEach(([d, r]) => {
-                        if (r.type === 'BLOCKED') reordered.set(d, r);
+                        if (r.type !== 'RESTRICTED') reordered.set(d, r);
                     });
                     // Restricted rules follow the requested order
                     order.forEach((domain) => {
@@ -130,6 +326,32 @@ function applyBackgroundMessagingMethods(TimeDashBackground) {
                     sendResponse({ success: true });
                     break;
                 }
+                case 'GET_FOCUS_SESSION':
+                    sendResponse({ session: this.focusSession });
+                    break;
+                case 'START_FOCUS_SESSION':
+                    sendResponse({
+                        success: true,
+                        session: await this.startFocusSession({
+                            focusMinutes: message.focusMinutes,
+                            breakMinutes: message.breakMinutes,
+                            cycles: message.cycles,
+                            groupIds: message.groupIds,
+                            domains: message.domains,
+                        }),
+                    });
+                    break;
+                case 'STOP_FOCUS_SESSION':
+                    sendResponse({ success: await this.stopFocusSession() });
+                    break;
+                case 'GET_LOCKDOWN':
+                    sendResponse({ lockdown: this.isLockdownActive() ? this.lockdown : null });
+                    break;
+                case 'START_LOCKDOWN':
+                    sendResponse(
+                        await this.startLockdown({ until: message.until, minutes: message.minutes })
+                    );
+                    break;
                 case 'GET_GROUPS':
                     sendResponse(
                         this.ruleManager.groups.filter((g) => !g.deletedAt).map((g) => g.toJSON())
@@ -137,7 +359,14 @@ function applyBackgroundMessagingMethods(TimeDashBackground) {
                     break;
 
                 case 'CREATE_GROUP': {
-                    const { name, domains = [], timeLimitMinutes } = message;
+                    const {
+                        name,
+                        domains = [],
+                        timeLimitMinutes,
+                        dayLimits,
+                        schedule,
+                        category,
+                    } = message;
                     if (!name) {
                         sendResponse({ success: false, error: chrome.i18n.getMessage('msgGroupNameRequired') });
                         break;
@@ -171,7 +400,14 @@ function applyBackgroundMessagingMethods(TimeDashBackground) {
                     const settings = await this.storage.getSettings();
                     const maxCap = Number(settings.restrictedSliderMax || 120);
                     const cappedLimit = Math.max(0, Math.min(timeLimitMinutes ?? 60, maxCap));
-                    const group = new GroupRule({ name, domains, timeLimitMinutes: cappedLimit });
+                    const group = new GroupRule({
+                        name,
+                        domains,
+                        timeLimitMinutes: cappedLimit,
+                        dayLimits: GroupRule.normalizeDayLimits(dayLimits, maxCap),
+                        schedule,
+                        category,
+                    });
                     this.ruleManager.groups.push(group);
                     await this.ruleManager.saveGroupsToStorage();
                     sendResponse({ success: true, group: group.toJSON() });
@@ -196,13 +432,35 @@ function applyBackgroundMessagingMethods(TimeDashBackground) {
                         }
                         target.name = message.name;
                     }
-                    if (message.timeLimitMinutes !== undefined) {
+                    if (message.timeLimitMinutes !== undefined || message.dayLimits !== undefined) {
                         const settings = await this.storage.getSettings();
                         const maxCap = Number(settings.restrictedSliderMax || 120);
-                        target.timeLimitMinutes = Math.max(0, Math.min(message.timeLimitMinutes, maxCap));
+                        if (message.timeLimitMinutes !== undefined) {
+                            target.timeLimitMinutes = Math.max(0, Math.min(message.timeLimitMinutes, maxCap));
+                        }
+                        if (message.dayLimits !== undefined) {
+                            target.dayLimits = GroupRule.normalizeDayLimits(message.dayLimits, maxCap);
+                        }
+                    }
+                    if (message.schedule !== undefined) {
+                        target.schedule = RuleSchedule.normalize(message.schedule);
+                    }
+                    if (message.maxVisits !== undefined) {
+                        target.maxVisits = GroupRule.normalizeMaxVisits(message.maxVisits);
+                    }
+                    if (message.budgetMode !== undefined) {
+                        target.budgetMode = RuleBudget.normalizeMode(message.budgetMode);
+                    }
+                    if (message.carryOverMinutes !== undefined) {
+                        target.carryOverMinutes = RuleBudget.normalizeCarryOver(
+                            message.carryOverMinutes
+                        );
                     }
                     if (message.isEnabled !== undefined) target.isEnabled = message.isEnabled;
                     if (message.icon !== undefined) target.icon = message.icon;
+                    if (message.category !== undefined) {
+                        target.category = GroupRule.normalizeCategory(message.category);
+                    }
                     if (message.domains !== undefined)
                         target.domains = message.domains.map((d) =>
                             d.toLowerCase().replace(/^www\./, '')
@@ -273,6 +531,7 @@ function applyBackgroundMessagingMethods(TimeDashBackground) {
                                     Math.min(preset.timeLimitMinutes ?? 60, maxCap)
                                 ),
                                 icon: preset.icon,
+                                category: preset.category,
                             });
                             this.ruleManager.groups.push(group);
                             created.push(group.id);
@@ -413,6 +672,9 @@ function applyBackgroundMessagingMethods(TimeDashBackground) {
                     sendResponse(result);
                     break;
                 }
+                case 'REQUEST_UNLOCK':
+                    sendResponse(await this.grantTemporaryUnlock(message.url, message.domain));
+                    break;
                 default:
                     sendResponse({ error: chrome.i18n.getMessage('msgUnknownMessageType') });
             }
@@ -424,6 +686,11 @@ function applyBackgroundMessagingMethods(TimeDashBackground) {
 
     TimeDashBackground.prototype.handleCommand = async function handleCommand(command) {
         try {
+            if (command === 'toggle-focus') {
+                if (!(await this.stopFocusSession())) await this.startFocusSession();
+                return;
+            }
+
             const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
             if (tabs.length === 0 || !tabs[0].url) return;
             
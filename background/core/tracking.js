@@ -1,6 +1,6 @@
 'use strict';
 
-/* global DomainUtils, TimeUtils */
+/* global DomainUtils, TimeUtils, RuleBudget, SiteRule */
 
 function applyBackgroundTrackingMethods(TimeDashBackground) {
     TimeDashBackground.prototype.addToPendingUpdates = function addToPendingUpdates(
@@ -93,7 +93,7 @@ function applyBackgroundTrackingMethods(TimeDashBackground) {
         try {
             const tab = await chrome.tabs.get(track.tabId);
             if (!tab.active) {
-                this.tabTracker.stopTrackingTab(track.tabId);
+                this.tabTracker.stopTrackingTab(track.tabId, 'switch');
                 return;
             }
 
@@ -101,13 +101,30 @@ function applyBackgroundTrackingMethods(TimeDashBackground) {
                 type: 'CHECK_VISIBILITY',
             });
             if (!response || !response.visible) {
-                this.tabTracker.stopTrackingTab(track.tabId);
+                this.tabTracker.stopTrackingTab(track.tabId, 'blur');
                 return;
             }
 
+            // Stop counting once the user walks away, unless a video is playing
+            if (await this.tabTracker.isUserIdle()) {
+                if (await this.videoService.isTabPlayingVideo(track.tabId)) {
+                    track.mediaSeenAt = Date.now();
+                } else {
+                    this.tabTracker.stopTrackingIdle(track);
+                    return;
+                }
+            }
+
             // Perform real-time limit/blocking check
             const domain = this.ruleManager.resolveTrackingDomain(tab.url);
-            await this.tabTracker.checkAndHandleBlocking(tab, domain);
+            const wasBlocked = await this.tabTracker.checkAndHandleBlocking(tab, domain);
+
+            // In-page navigation (e.g. youtube.com/watch -> /shorts) can move the
+            // tab under a different path rule without a new page load
+            if (!wasBlocked && domain !== track.domain) {
+                this.tabTracker.stopTrackingTab(tab.id, 'navigate');
+                await this.tabTracker.startTrackingTab(tab.id, domain);
+            }
         } catch {
             this.tabTracker.stopTrackingTab(track.tabId);
         }
@@ -156,8 +173,17 @@ function applyBackgroundTrackingMethods(TimeDashBackground) {
         const dailyLimitMinutes = Number(settings.dailyTimeLimitMinutes || 0);
         const resolvedDomain = this.ruleManager.resolveTrackingDomain(url) || domain;
 
+        // A running focus session blocks its targets outright
+        if (this.isFocusBlocked(url)) {
+            return {
+                shouldBlock: true,
+                reason: 'focus',
+                domain: resolvedDomain || DomainUtils.extractDomain(url || ''),
+            };
+        }
+
         let allUsage = null;
-        if (dailyLimitMinutes > 0) {
+        if (dailyLimitMinutes > 0 && !this.ruleManager.getUnlockExpiry(url)) {
             allUsage = await this.storage.getAllUsage();
             let totalTodaySeconds = 0;
             for (const domainUsage of Object.values(allUsage)) {
@@ -201,10 +227,50 @@ function applyBackgroundTrackingMethods(TimeDashBackground) {
             }
         }
 
+        // Opens today, only needed when some rule or group limits them
+        let todayVisits = 0;
+        const groupVisits = {};
+        const visitGroups = activeGroups.filter((g) => g.maxVisits > 0);
+        if (visitGroups.length > 0 || this.ruleManager.getVisitLimitedDomains().length > 0) {
+            if (!allUsage) allUsage = await this.storage.getAllUsage();
+            todayVisits = TimeUtils.calculateTodayVisits(allUsage[resolvedDomain] || {});
+            for (const g of visitGroups) {
+                groupVisits[g.id] = g.domains.reduce(
+                    (sum, d) => sum + TimeUtils.calculateTodayVisits(allUsage[d] || {}),
+                    0
+                );
+            }
+        }
+
+        // Earlier days, only needed by weekly and carry-over budgets
+        let history;
+        const groupHistory = {};
+        const rule = this.ruleManager.findMatchingRule(url);
+        const ruleNeedsHistory =
+            rule?.type === SiteRule.TYPES.RESTRICTED &&
+            RuleBudget.needsHistory(rule.budgetMode, rule.carryOverMinutes);
+        const historyGroups = activeGroups.filter((g) =>
+            RuleBudget.needsHistory(g.budgetMode, g.carryOverMinutes)
+        );
+        if (ruleNeedsHistory || historyGroups.length > 0) {
+            if (!allUsage) allUsage = await this.storage.getAllUsage();
+            history = allUsage[DomainUtils.normalizeDomain(resolvedDomain)];
+            for (const g of historyGroups) {
+                const summed = {};
+                for (const d of g.domains) {
+                    for (const [key, seconds] of Object.entries(allUsage[d] || {})) {
+                        if (!/^\d{4}-\d{2}-\d{2}$/.test(key)) continue;
+                        summed[key] = (summed[key] || 0) + (Number(seconds) || 0);
+                    }
+                }
+                groupHistory[g.id] = summed;
+            }
+        }
+
         const todayTimeSeconds = await this.getRealTimeUsage(resolvedDomain, allUsage);
         const result = this.ruleManager.evaluateAccess(
             url,
-            { todayTimeSeconds },
+            { todayTimeSeconds, todayVisits, groupVisits, history, groupHistory },
             groupUsageSecondsMap,
             settings
         );
@@ -0,0 +1,50 @@
+/**
+ * Temporary unlocks: the block page can lift blocking for a site for a few
+ * minutes. The typed phrase and countdown friction run on the block page;
+ * the daily cap and the cooldown between unlocks are enforced here, where
+ * the page cannot skip them.
+ */
+function applyBackgroundUnlockMethods(TimeDashBackground) {
+    /**
+     * Grant a temporary unlock for a blocked site.
+     * @param {string} url - URL that was blocked.
+     * @param {string} [domain] - Tracking key the block page was opened for.
+     * @returns {Promise<{success: boolean, until?: number, error?: string}>} Outcome.
+     */
+    TimeDashBackground.prototype.grantTemporaryUnlock = async function grantTemporaryUnlock(
+        url,
+        domain
+    ) {
+        const settings = await this.storage.getSettings();
+        const policy = await this.storage.getUnlockPolicy(settings);
+        const allowlistBlocked =
+            this.ruleManager.isAllowlistModeActive(settings) &&
+            !this.ruleManager.isAllowlisted(url, settings);
+        if (policy.friction === 'off' || !url || this.isFocusBlocked(url) || allowlistBlocked) {
+            return { success: false, error: chrome.i18n.getMessage('unlockUnavailable') };
+        }
+
+        const key = domain || this.ruleManager.resolveTrackingDomain(url);
+        if (!key) {
+            return { success: false, error: chrome.i18n.getMessage('unlockUnavailable') };
+        }
+
+        const { usedToday, lastUnlockAt } = await this.storage.getUnlockSummary();
+        if (usedToday >= policy.maxPerDay) {
+            return { success: false, error: chrome.i18n.getMessage('unlockLimitReached') };
+        }
+
+        const now = Date.now();
+        if (policy.friction === 'cooldown' && lastUnlockAt) {
+            const readyAt = lastUnlockAt + policy.cooldownMinutes * 60000;
+            if (now < readyAt) {
+                return { success: false, error: chrome.i18n.getMessage('unlockCoolingDown') };
+            }
+        }
+
+        const until = now + policy.minutes * 60000;
+        this.ruleManager.grantUnlock(key, until);
+        await this.storage.recordUnlock(key, until);
+        return { success: true, until };
+    };
+}
@@ -9,6 +9,12 @@
 class TabTracker {
     constructor(instance) {
         this.instance = instance;
+        this.idleThresholdSeconds = 0;
+        this.idleSince = null;
+        /** @type {Map<number, {domain: string, endsAt: number}>} Running grace periods by tab */
+        this.graceDeadlines = new Map();
+        /** @type {Map<number, string>} Tracking key of the site each tab last committed */
+        this.lastVisitKeys = new Map();
     }
 
     setupEventListeners() {
@@ -44,27 +50,104 @@ class TabTracker {
                 return;
             }
 
-            if (!DomainUtils.shouldTrackUrl(details.url)) return;
+            if (!DomainUtils.shouldTrackUrl(details.url)) {
+                this.lastVisitKeys.delete(details.tabId);
+                return;
+            }
             try {
                 const tab = await chrome.tabs.get(details.tabId);
                 if (!tab || !tab.id) return;
                 const domain = this.instance.ruleManager.resolveTrackingDomain(details.url);
+                await this.recordVisit(details, domain);
                 await this.checkAndHandleBlocking(tab, domain);
             } catch {
                 // Tab may have been closed between event and lookup
             }
         });
 
+        if (chrome.idle) {
+            chrome.idle.onStateChanged.addListener((state) => {
+                this.handleIdleStateChanged(state);
+            });
+        }
+
         chrome.storage.onChanged.addListener((changes, areaName) => {
             if (areaName === 'local' && changes.settings) {
+                this.applyIdleThreshold(changes.settings.newValue || {});
                 this.handleSettingsChanged(changes.settings.newValue || {});
             }
         });
     }
 
+    /**
+     * Apply the idle threshold setting (minutes, 0 = idle detection off).
+     * chrome.idle does not accept intervals below 15 seconds.
+     * @param {object} settings - Current settings.
+     */
+    applyIdleThreshold(settings) {
+        const minutes = Number(
+            settings.idleThresholdMinutes ??
+                this.instance.storage.DEFAULT_SETTINGS.idleThresholdMinutes
+        );
+        this.idleThresholdSeconds =
+            Number.isFinite(minutes) && minutes > 0 ? Math.max(15, Math.round(minutes * 60)) : 0;
+        if (!this.idleThresholdSeconds) {
+            this.idleSince = null;
+            return;
+        }
+        if (chrome.idle) chrome.idle.setDetectionInterval(this.idleThresholdSeconds);
+    }
+
+    /**
+     * Query the idle state, remembering when the user went idle. The system
+     * reports "idle" only after the threshold has passed without input, so
+     * the user actually left that long before the first idle report.
+     * @returns {Promise<boolean>} True if the user is idle or the screen is locked.
+     */
+    async isUserIdle() {
+        if (!this.idleThresholdSeconds || !chrome.idle) return false;
+        try {
+            const state = await chrome.idle.queryState(this.idleThresholdSeconds);
+            this.noteIdleState(state);
+            return state !== 'active';
+        } catch {
+            return false;
+        }
+    }
+
+    noteIdleState(state) {
+        if (state === 'active') {
+            this.idleSince = null;
+        } else if (!this.idleSince) {
+            this.idleSince =
+                state === 'locked' ? Date.now() : Date.now() - this.idleThresholdSeconds * 1000;
+        }
+    }
+
+    async handleIdleStateChanged(state) {
+        if (!this.idleThresholdSeconds) return;
+        this.noteIdleState(state);
+
+        try {
+            if (state !== 'active') {
+                await this.instance.updateActiveTracking();
+                return;
+            }
+
+            // Back from idle: resume on whatever tab the user returned to
+            if (this.instance.currentTrack) return;
+            const tabs = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+            if (tabs.length > 0) {
+                await this.handleTabActivated(tabs[0].id);
+            }
+        } catch (error) {
+            console.error('Error handling idle state change:', error);
+        }
+    }
+
     async handleTabActivated(tabId) {
         try {
-            this.stopTrackingAllTabs();
+            this.stopTrackingAllTabs('switch');
 
             const tab = await chrome.tabs.get(tabId);
             if (!tab || !tab.url) return;
@@ -91,7 +174,7 @@ class TabTracker {
         try {
             const isExtUrl = url && (url.startsWith('chrome-extension://') || url.startsWith('moz-extension://'));
             if (isExtUrl && (url.includes('domain=') || url.includes('url='))) {
-                this.stopTrackingTab(tabId);
+                this.stopTrackingTab(tabId, 'navigate');
                 const tab = await chrome.tabs.get(tabId);
                 if (tab) {
                     await this.checkAndRedirectUnblockedPage(tab);
@@ -100,7 +183,7 @@ class TabTracker {
             }
 
             if (!DomainUtils.shouldTrackUrl(url)) {
-                this.stopTrackingTab(tabId);
+                this.stopTrackingTab(tabId, 'navigate');
                 return;
             }
 
@@ -108,7 +191,7 @@ class TabTracker {
             const tab = await chrome.tabs.get(tabId);
 
             if (tab.active) {
-                this.stopTrackingAllTabs();
+                this.stopTrackingAllTabs('navigate');
                 const wasBlocked = await this.checkAndHandleBlocking(tab, domain);
                 if (!wasBlocked) {
                     await this.startTrackingTab(tabId, domain);
@@ -144,12 +227,29 @@ class TabTracker {
     }
 
     handleTabRemoved(tabId) {
-        this.stopTrackingTab(tabId);
+        this.stopTrackingTab(tabId, 'close');
+        this.graceDeadlines.delete(tabId);
+        this.lastVisitKeys.delete(tabId);
+    }
+
+    /**
+     * Count an open of a site whose opens are limited. Reloads and navigation
+     * within the site the tab already shows are not new opens; going back
+     * from the block page is not either, since the tab's last site is kept.
+     * @param {object} details - webNavigation.onCommitted details (top frame).
+     * @param {string} domain - Tracking key of the committed URL.
+     */
+    async recordVisit(details, domain) {
+        const previous = this.lastVisitKeys.get(details.tabId);
+        this.lastVisitKeys.set(details.tabId, domain);
+        if (previous === domain || details.transitionType === 'reload') return;
+        if (!this.instance.ruleManager.hasVisitLimit(details.url)) return;
+        await this.instance.storage.incrementVisitCount(domain);
     }
 
     async handleWindowActivationChanged(windowId) {
         if (windowId === chrome.windows.WINDOW_ID_NONE) {
-            this.stopTrackingAllTabs();
+            this.stopTrackingAllTabs('blur');
         } else {
             try {
                 const tabs = await chrome.tabs.query({ active: true, windowId });
@@ -169,17 +269,28 @@ class TabTracker {
             const currentActiveTab = tabs[0];
 
             if (!DomainUtils.shouldTrackUrl(currentActiveTab.url)) {
-                this.stopTracking();
+                this.stopTracking('paused');
                 return;
             }
 
             const domain = this.instance.ruleManager.resolveTrackingDomain(currentActiveTab.url);
+
+            // Switching allowlist-only mode on blocks the open tab straight away
+            const { ruleManager } = this.instance;
+            if (
+                ruleManager.isAllowlistModeActive(newSettings) &&
+                !ruleManager.isAllowlisted(currentActiveTab.url, newSettings) &&
+                (await this.checkAndHandleBlocking(currentActiveTab, domain))
+            ) {
+                return;
+            }
+
             const isIncognitoDisallowed = currentActiveTab.incognito && !newSettings.incognitoTracking;
             const isWhitelisted = newSettings.whitelist && newSettings.whitelist.includes(domain);
             const isTrackingDisabled = newSettings.trackingEnabled === false;
 
             if (isIncognitoDisallowed || isWhitelisted || isTrackingDisabled) {
-                this.stopTracking();
+                this.stopTracking('paused');
             } else if (!this.instance.currentTrack || this.instance.currentTrack.tabId !== currentActiveTab.id) {
                 await this.handleTabActivated(currentActiveTab.id);
             }
@@ -207,29 +318,67 @@ class TabTracker {
         // Stop any previous tracking before starting new one
         this.stopTracking();
 
-        this.instance.currentTrack = { tabId, domain, startTime: Date.now() };
+        const now = Date.now();
+        // startTime advances as time is flushed; sessionStart stays put for the session log
+        this.instance.currentTrack = { tabId, domain, startTime: now, sessionStart: now };
 
         await this.updateBadge();
     }
 
-    stopTracking() {
+    /**
+     * Stop tracking the current tab, flushing its time and logging the session.
+     * @param {string} [reason] - Why the session ended: 'switch', 'navigate',
+     *        'blur', 'idle', 'block', 'close' or 'paused'.
+     */
+    stopTracking(reason = 'switch') {
         if (!this.instance.currentTrack) return;
         const { domain, startTime } = this.instance.currentTrack;
-        const elapsed = Math.floor((Date.now() - startTime) / 1000);
+        const now = Date.now();
+        const elapsed = Math.floor((now - startTime) / 1000);
         if (elapsed > 0) {
             this.instance.addToPendingUpdates(domain, elapsed);
         }
+        this.logSession(this.instance.currentTrack, now, reason);
         this.instance.currentTrack = null;
     }
 
-    stopTrackingTab(tabId) {
+    stopTrackingTab(tabId, reason) {
         if (this.instance.currentTrack && this.instance.currentTrack.tabId === tabId) {
-            this.stopTracking();
+            this.stopTracking(reason);
         }
     }
 
-    stopTrackingAllTabs() {
-        this.stopTracking();
+    stopTrackingAllTabs(reason) {
+        this.stopTracking(reason);
+    }
+
+    logSession(track, end, reason) {
+        const start = track.sessionStart || track.startTime;
+        // Sub-second fragments (e.g. a tab flicked past) aren't worth a log entry
+        if (end - start < 1000) return;
+        this.instance.storage
+            .recordBrowsingSession({ domain: track.domain, start, end, reason })
+            .catch(() => {});
+    }
+
+    /**
+     * Stop tracking because the user went idle. Time up to the moment they
+     * left (or the last time a video was seen playing) is kept; time after
+     * it is discarded, and taken back again if it was already flushed.
+     * @param {object} track - The track that was found idle.
+     */
+    stopTrackingIdle(track) {
+        if (!track || this.instance.currentTrack !== track) return;
+        const now = Date.now();
+        const activeUntil = Math.min(now, Math.max(this.idleSince || now, track.mediaSeenAt || 0));
+        // Negative once flushes have gone past the moment the user left
+        const from = track.sessionStart || track.startTime;
+        const elapsed = Math.floor((Math.max(activeUntil, from) - track.startTime) / 1000);
+        if (elapsed !== 0) {
+            this.instance.addToPendingUpdates(track.domain, elapsed);
+        }
+        this.logSession(track, activeUntil, 'idle');
+        this.instance.currentTrack = null;
     }
 
     flushActiveTime() {
@@ -238,7 +387,7 @@ class TabTracker {
         const elapsed = Math.floor((Date.now() - startTime) / 1000);
         if (elapsed > 0) {
             this.instance.addToPendingUpdates(domain, elapsed);
-            this.instance.currentTrack.startTime = Date.now();
+            this.instance.currentTrack.startTime = startTime + elapsed * 1000;
         }
     }
 
@@ -246,7 +395,12 @@ class TabTracker {
         const accessResult = await this.instance.evaluateAccessForDomain(tab.url, domain);
         const resolvedDomain = accessResult.domain || domain;
 
+        if (accessResult.shouldBlock && this.holdForGrace(tab, resolvedDomain, accessResult)) {
+            return false;
+        }
+
         if (accessResult.shouldBlock) {
+            this.stopTrackingTab(tab.id, 'block');
             try {
                 await this.instance.storage.incrementBlockCount(resolvedDomain);
             } catch (error) {
@@ -267,15 +421,79 @@ class TabTracker {
                 `?domain=${encodeURIComponent(resolvedDomain)}&url=${encodeURIComponent(tab.url)}&reason=${accessResult.reason}` +
                 (accessResult.todayTimeSeconds != null
                     ? `&used=${Math.round(accessResult.todayTimeSeconds)}`
+                    : '') +
+                (accessResult.maxVisits != null
+                    ? `&opens=${accessResult.visits}&maxOpens=${accessResult.maxVisits}`
+                    : '') +
+                (accessResult.budgetMode
+                    ? `&budget=${accessResult.budgetMode}&allowance=${accessResult.allowanceMinutes}&carried=${accessResult.carriedMinutes}`
                     : '');
             await new Promise((resolve) => setTimeout(resolve, 50));
             await chrome.tabs.update(tab.id, { url: blockPageUrl });
             return true;
         }
 
+        // The limit no longer applies (raised, unlocked), so a later trip gets a fresh grace period
+        this.graceDeadlines.delete(tab.id);
+
+        // Warn and update the countdown on the page the user is looking at,
+        // once its content script can draw them
+        if (tab.active && tab.status === 'complete') {
+            if (accessResult.limits?.length > 0) {
+                await this.instance.alarmManager.checkAndSendLimitWarnings(
+                    tab.id,
+                    accessResult.limits
+                );
+            }
+            chrome.tabs
+                .sendMessage(
+                    tab.id,
+                    {
+                        type: 'UPDATE_COUNTDOWN',
+                        remainingMinutes: accessResult.remainingMinutes ?? null,
+                    },
+                    { frameId: 0 }
+                )
+                .catch(() => {});
+        }
         return false;
     }
 
+    /**
+     * Keep a page open for the rule's grace period before blocking it, with a
+     * full-page warning so unsaved work can be finished. The period starts
+     * only when the limit trips on the page being tracked, and keeps running
+     * across reloads and navigation within the site.
+     * @param {chrome.tabs.Tab} tab - Tab about to be blocked.
+     * @param {string} domain - Tracking key of the blocked site.
+     * @param {object} accessResult - Block decision from evaluateAccessForDomain().
+     * @returns {boolean} True while the block should wait.
+     */
+    holdForGrace(tab, domain, accessResult) {
+        const now = Date.now();
+        let grace = this.graceDeadlines.get(tab.id);
+        if (!grace || grace.domain !== domain) {
+            const track = this.instance.currentTrack;
+            if (!(accessResult.graceSeconds > 0) || !track || track.tabId !== tab.id) return false;
+            grace = { domain, endsAt: now + accessResult.graceSeconds * 1000 };
+            this.graceDeadlines.set(tab.id, grace);
+        }
+
+        if (now >= grace.endsAt) {
+            this.graceDeadlines.delete(tab.id);
+            return false;
+        }
+
+        chrome.tabs
+            .sendMessage(
+                tab.id,
+                { type: 'SHOW_GRACE_OVERLAY', endsAt: grace.endsAt },
+                { frameId: 0 }
+            )
+            .catch(() => {});
+        return true;
+    }
+
     async updateBadge() {
         try {
             // Total usage today across all domains, including pending batches
@@ -9,12 +9,16 @@ class VideoService {
         this.instance = instance;
         this.contentScriptFiles = [
             'utils/domain-utils.js',
+            'utils/shortcut-map.js',
             'content/overlay.js',
             'content/modules/video-detector.js',
             'content/modules/video-controller.js',
             'content/modules/playback-state.js',
             'content/modules/message-handler.js',
             'content/modules/keyboard-handler.js',
+            'content/modules/silence-skipper.js',
+            'content/modules/segment-loop.js',
+            'content/modules/watch-tracker.js',
             'content/content.js',
         ];
     }
@@ -68,7 +72,7 @@ class VideoService {
                         const seen = new Map();
                         const deduped = [];
                         for (const v of videos) {
-                            const key = `${v.sourceLabel || ''}|${v.duration ?? 0}`;
+                            const key = `${v.kind || 'video'}|${v.sourceLabel || ''}|${v.duration ?? 0}`;
                             const existing = seen.get(key);
                             if (!existing) {
                                 seen.set(key, v);
@@ -98,6 +102,35 @@ class VideoService {
         };
     }
 
+    /**
+     * Check whether any frame of a tab has video or audio that is actually playing.
+     * @param {number} tabId - Tab to check.
+     * @returns {Promise<boolean>} True if at least one media element is not paused.
+     */
+    async isTabPlayingVideo(tabId) {
+        const frameIds = await this.getTabFrameIds(tabId);
+        const results = await Promise.all(
+            frameIds.map(async (frameId) => {
+                try {
+                    const response = await this.sendMessageWithTimeout(
+                        tabId,
+                        { type: 'GET_VIDEO_PLAYBACK_STATE' },
+                        { frameId },
+                        1500
+                    );
+                    return (
+                        Boolean(response) &&
+                        Array.isArray(response.videos) &&
+                        response.videos.some((video) => !video.paused)
+                    );
+                } catch {
+                    return false;
+                }
+            })
+        );
+        return results.some(Boolean);
+    }
+
     async controlVideoPlayback(message) {
         if (!message || !message.tabId || !message.action) {
             return { success: false, error: chrome.i18n.getMessage('invalidControlRequest') };
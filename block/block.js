@@ -1,4 +1,4 @@
-/* global StorageManager, applyBlockAccessMethods, applyBlockUiMethods */
+/* global StorageManager, TimeUtils, applyBlockAccessMethods, applyBlockUiMethods, applyBlockUnlockMethods */
 class BlockPageController {
     constructor() {
         this.storageManager = null;
@@ -11,6 +11,7 @@ class BlockPageController {
             todayTime: 0,
         };
         this.usedFromUrl = null;
+        this.focusSession = null;
         this.init();
     }
 
@@ -20,6 +21,7 @@ class BlockPageController {
             this.parseUrlParameters();
 
             const settings = await this.storageManager.getSettings();
+            TimeUtils.applyDaySettings(settings);
             if (typeof I18n !== 'undefined') {
                 await I18n.setLocale(settings?.language || 'auto');
                 I18n.init(document);
@@ -44,6 +46,7 @@ class BlockPageController {
             await this.loadBlockData();
             this.setupEventListeners();
             this.updateUI();
+            await this.setupUnlock();
 
             this._storageHandler = (changes, area) => {
                 if (area !== 'local') return;
@@ -80,11 +83,14 @@ class BlockPageController {
 
 applyBlockAccessMethods(BlockPageController);
 applyBlockUiMethods(BlockPageController);
+applyBlockUnlockMethods(BlockPageController);
 
 document.addEventListener('DOMContentLoaded', () => {
     const ctrl = new BlockPageController();
     window.addEventListener('beforeunload', () => {
         if (ctrl._recheckTimer) clearInterval(ctrl._recheckTimer);
+        if (ctrl._unlockCountdown) clearInterval(ctrl._unlockCountdown);
+        if (ctrl._unlockReadyTimer) clearTimeout(ctrl._unlockReadyTimer);
         if (ctrl._storageHandler) chrome.storage.onChanged.removeListener(ctrl._storageHandler);
     });
 });
@@ -34,21 +34,32 @@ function applyBlockAccessMethods(BlockPageController) {
         return new Promise((resolve) => setTimeout(resolve, ms));
     };
 
-    BlockPageController.prototype.redirectToOriginalUrl = function redirectToOriginalUrl() {
+    /**
+     * The exact page that was blocked, hash included, or '' if there is no
+     * safe http(s) URL to go back to.
+     * @returns {string} Original URL.
+     */
+    BlockPageController.prototype.getOriginalUrl = function getOriginalUrl() {
         try {
             const urlToRedirect = this.blockedUrl || (this.blockedDomain ? `https://${this.blockedDomain}` : '');
-            if (!urlToRedirect) return;
+            if (!urlToRedirect) return '';
             const normalized = urlToRedirect.startsWith('http')
                 ? urlToRedirect
                 : `https://${urlToRedirect}`;
             const target = new URL(normalized);
-            if (!['http:', 'https:'].includes(target.protocol)) return;
-            window.location.replace(target.toString());
+            if (!['http:', 'https:'].includes(target.protocol)) return '';
+            return target.href;
         } catch (error) {
-            console.error('Failed to redirect to original URL:', error);
+            console.error('Failed to parse original URL:', error);
+            return '';
         }
     };
 
+    BlockPageController.prototype.redirectToOriginalUrl = function redirectToOriginalUrl() {
+        const target = this.getOriginalUrl();
+        if (target) window.location.replace(target);
+    };
+
     BlockPageController.prototype.parseUrlParameters = function parseUrlParameters() {
         const urlParams = new URLSearchParams(window.location.search);
         this.blockedUrl = urlParams.get('url') || '';
@@ -62,6 +73,30 @@ function applyBlockAccessMethods(BlockPageController) {
             this.usedFromUrl = Number(used) || 0;
         }
 
+        // Opens counted against a visit limit when that is what blocked the site
+        const opens = urlParams.get('opens');
+        if (opens != null) {
+            this.visitsFromUrl = Number(opens) || 0;
+            this.maxVisitsFromUrl = Number(urlParams.get('maxOpens')) || 0;
+        }
+
+        // Balance of the budget period that ran out (weekly pool, carried-over minutes)
+        const budget = urlParams.get('budget');
+        if (budget != null) {
+            this.budgetFromUrl = {
+                mode: budget,
+                allowanceMinutes: Number(urlParams.get('allowance')) || 0,
+                carriedMinutes: Number(urlParams.get('carried')) || 0,
+            };
+        }
+
+        // Restricted path rules track usage under their pattern (e.g. "reddit.com/r/all")
+        const domainParam = urlParams.get('domain') || '';
+        if (domainParam.includes('/')) {
+            this.blockedDomain = domainParam;
+            return;
+        }
+
         if (!this.blockedUrl) {
             const domain = urlParams.get('domain') || chrome.i18n.getMessage('unknownSite');
             this.blockedDomain = domain.replace(/^www\./, '');
@@ -6,8 +6,7 @@ function applyBlockUiMethods(BlockPageController) {
         try {
             const usage = await this.storageManager.getAllUsage();
             const domainData = usage[this.blockedDomain] || {};
-            const now = new Date();
-            const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+            const today = TimeUtils.getCurrentDate();
 
             this.blockStats.count = domainData.blockedToday || 1;
             this.blockStats.timeSpent = domainData.cumulative || 0;
@@ -15,12 +14,24 @@ function applyBlockUiMethods(BlockPageController) {
             // fall back to storage (e.g. on a manual refresh without the param).
             this.blockStats.todayTime =
                 this.usedFromUrl != null ? this.usedFromUrl : domainData[today] || 0;
+
+            if (this.blockReason === 'focus') {
+                this.focusSession = await this.storageManager.getFocusSession();
+            }
         } catch (error) {
             console.error('Failed to load block data:', error);
         }
     };
 
     BlockPageController.prototype.setupEventListeners = function setupEventListeners() {
+        // Goes back to the exact page that was blocked, hash included
+        const returnLink = document.getElementById('returnLink');
+        const originalUrl = this.getOriginalUrl();
+        if (returnLink && originalUrl) {
+            returnLink.href = originalUrl;
+            returnLink.hidden = false;
+        }
+
         const settingsBtn = document.getElementById('settingsBtn');
         if (!settingsBtn) return;
 
@@ -38,21 +49,58 @@ function applyBlockUiMethods(BlockPageController) {
         const reasonEl = document.getElementById('blockReason');
         const blockIcon = document.querySelector('.block-icon');
 
+        const weekly = this.budgetFromUrl?.mode === 'weekly';
         if (this.blockReason === 'restricted') {
-            if (headingEl) headingEl.textContent = I18n.t('dailyLimitReached');
+            const heading = weekly ? 'weeklyBudgetReached' : 'dailyLimitReached';
+            if (headingEl) headingEl.textContent = I18n.t(heading);
             if (reasonEl)
                 reasonEl.textContent = I18n.t('restrictedReason', [this.blockedDomain]);
             document.title = I18n.t('limitReachedTitle', [this.blockedDomain]);
             this.updateStat('blockCount', this.formatTime(this.blockStats.todayTime || 0));
             this.updateStatLabel('blockCount', I18n.t('timeUsedToday'));
             if (blockIcon) blockIcon.style.color = '#f59e0b';
+            this.showBudgetNote();
         } else if (this.blockReason === 'restricted_group') {
-            if (headingEl) headingEl.textContent = I18n.t('groupLimitReached');
+            const heading = weekly ? 'weeklyBudgetReached' : 'groupLimitReached';
+            if (headingEl) headingEl.textContent = I18n.t(heading);
             if (reasonEl) reasonEl.textContent = I18n.t('groupLimitReason');
             document.title = I18n.t('groupLimitReachedTitle');
             this.updateStat('blockCount', this.formatTime(this.blockStats.todayTime || 0));
             this.updateStatLabel('blockCount', I18n.t('timeUsedToday'));
             if (blockIcon) blockIcon.style.color = '#f59e0b';
+            this.showBudgetNote();
+        } else if (this.blockReason === 'visits' || this.blockReason === 'visits_group') {
+            if (headingEl) headingEl.textContent = I18n.t('visitLimitReached');
+            if (reasonEl) {
+                reasonEl.textContent =
+                    this.blockReason === 'visits'
+                        ? I18n.t('visitLimitReason', [
+                              this.blockedDomain,
+                              String(this.maxVisitsFromUrl || 0),
+                          ])
+                        : I18n.t('groupVisitLimitReason', [String(this.maxVisitsFromUrl || 0)]);
+            }
+            document.title = I18n.t('limitReachedTitle', [this.blockedDomain]);
+            this.updateStat('blockCount', this.visitsFromUrl || 0);
+            this.updateStatLabel('blockCount', I18n.t('opensToday'));
+            if (blockIcon) blockIcon.style.color = '#f59e0b';
+        } else if (this.blockReason === 'focus') {
+            if (headingEl) headingEl.textContent = I18n.t('focusBlockedHeading');
+            if (reasonEl) reasonEl.textContent = I18n.t('focusBlockedReason', [this.blockedDomain]);
+            document.title = I18n.t('focusBlockedTitle', [this.blockedDomain]);
+            const endsAt = this.focusSession?.phaseEndsAt || 0;
+            const remaining = Math.max(0, Math.ceil((endsAt - Date.now()) / 1000));
+            this.updateStat('blockCount', this.formatTime(remaining));
+            this.updateStatLabel('blockCount', I18n.t('focusTimeLeft'));
+            if (blockIcon) blockIcon.style.color = '#10b981';
+        } else if (this.blockReason === 'allowlist') {
+            if (headingEl) headingEl.textContent = I18n.t('allowlistBlockedHeading');
+            if (reasonEl)
+                reasonEl.textContent = I18n.t('allowlistBlockedReason', [this.blockedDomain]);
+            document.title = I18n.t('blockedTitleDomain', [this.blockedDomain]);
+            this.updateStat('blockCount', this.blockStats.count);
+            this.updateStatLabel('blockCount', I18n.t('timesBlockedToday'));
+            if (blockIcon) blockIcon.style.color = '#3b82f6';
         } else {
             if (headingEl) headingEl.textContent = I18n.t('blockedSite');
             if (reasonEl) reasonEl.textContent = I18n.t('blockReasonDefault');
@@ -65,6 +113,32 @@ function applyBlockUiMethods(BlockPageController) {
         this.updateMotivationalContent();
     };
 
+    /**
+     * Explain a weekly budget or carried-over minutes under the block reason;
+     * a plain daily limit needs no extra line.
+     */
+    BlockPageController.prototype.showBudgetNote = function showBudgetNote() {
+        const budgetEl = document.getElementById('blockBudget');
+        const budget = this.budgetFromUrl;
+        if (!budgetEl || !budget) return;
+        if (budget.mode !== 'weekly' && budget.carriedMinutes <= 0) return;
+
+        const parts = [];
+        if (budget.mode === 'weekly') {
+            parts.push(I18n.t('weeklyBudgetUsedUp', [String(budget.allowanceMinutes)]));
+        }
+        if (budget.carriedMinutes > 0) {
+            parts.push(
+                I18n.t('budgetIncludedCarryOver', [
+                    String(budget.allowanceMinutes),
+                    String(budget.carriedMinutes),
+                ])
+            );
+        }
+        budgetEl.textContent = parts.join(' ');
+        budgetEl.hidden = false;
+    };
+
     BlockPageController.prototype.updateStat = function updateStat(id, value) {
         const el = document.getElementById(id);
         if (el) el.textContent = value;
@@ -0,0 +1,174 @@
+'use strict';
+/* global I18n */
+
+function applyBlockUnlockMethods(BlockPageController) {
+    /**
+     * Show the "unlock for N minutes" controls unless unlocks are turned off,
+     * the site is blocked by a focus session or allowlist-only mode, or
+     * lockdown is on.
+     */
+    BlockPageController.prototype.setupUnlock = async function setupUnlock() {
+        const section = document.getElementById('unlockSection');
+        if (!section) return;
+
+        this.unlockPolicy = await this.storageManager.getUnlockPolicy();
+        const lockdown = await this.storageManager.getLockdown();
+        const lockedDown = Boolean(lockdown && lockdown.until > Date.now());
+        const exempt = this.blockReason === 'focus' || this.blockReason === 'allowlist';
+        if (this.unlockPolicy.friction === 'off' || exempt || lockedDown) {
+            section.hidden = true;
+            return;
+        }
+        section.hidden = false;
+
+        const unlockBtn = document.getElementById('unlockBtn');
+        const confirmBtn = document.getElementById('unlockConfirmBtn');
+        const cancelBtn = document.getElementById('unlockCancelBtn');
+        const phraseInput = document.getElementById('unlockPhraseInput');
+
+        if (unlockBtn) {
+            unlockBtn.textContent = I18n.t('unlockForMinutes', [String(this.unlockPolicy.minutes)]);
+            unlockBtn.addEventListener('click', () => this.startUnlock());
+        }
+        if (confirmBtn) confirmBtn.addEventListener('click', () => this.confirmUnlock());
+        if (cancelBtn) cancelBtn.addEventListener('click', () => this.cancelUnlock());
+        if (phraseInput) {
+            phraseInput.addEventListener('input', () => {
+                if (confirmBtn) confirmBtn.disabled = !this.isUnlockPhraseTyped();
+            });
+            phraseInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' && this.isUnlockPhraseTyped()) this.confirmUnlock();
+            });
+        }
+
+        await this.refreshUnlockStatus();
+    };
+
+    /**
+     * Update the remaining-unlocks line and enable or disable the unlock button.
+     */
+    BlockPageController.prototype.refreshUnlockStatus = async function refreshUnlockStatus() {
+        const unlockBtn = document.getElementById('unlockBtn');
+        const statusEl = document.getElementById('unlockStatus');
+        const policy = this.unlockPolicy;
+        const { usedToday, lastUnlockAt } = await this.storageManager.getUnlockSummary();
+        const remaining = Math.max(0, policy.maxPerDay - usedToday);
+
+        let status = I18n.t('unlocksLeftToday', [String(remaining), String(policy.maxPerDay)]);
+        let available = remaining > 0;
+
+        if (available && policy.friction === 'cooldown' && lastUnlockAt) {
+            const readyAt = lastUnlockAt + policy.cooldownMinutes * 60000;
+            if (readyAt > Date.now()) {
+                available = false;
+                const time = new Date(readyAt).toLocaleTimeString(undefined, {
+                    hour: '2-digit',
+                    minute: '2-digit',
+                });
+                status = I18n.t('unlockAvailableAt', [time]);
+                clearTimeout(this._unlockReadyTimer);
+                this._unlockReadyTimer = setTimeout(
+                    () => this.refreshUnlockStatus(),
+                    readyAt - Date.now() + 500
+                );
+            }
+        }
+        if (remaining === 0) status = I18n.t('unlockLimitReached');
+
+        if (unlockBtn) unlockBtn.disabled = !available;
+        if (statusEl) statusEl.textContent = status;
+    };
+
+    /**
+     * Begin the configured friction step; cooldown mode unlocks straight away
+     * because its wait has already been served.
+     */
+    BlockPageController.prototype.startUnlock = function startUnlock() {
+        const policy = this.unlockPolicy;
+        if (policy.friction === 'cooldown') {
+            this.confirmUnlock();
+            return;
+        }
+
+        const unlockBtn = document.getElementById('unlockBtn');
+        const panel = document.getElementById('unlockFriction');
+        const prompt = document.getElementById('unlockPrompt');
+        const phraseInput = document.getElementById('unlockPhraseInput');
+        const confirmBtn = document.getElementById('unlockConfirmBtn');
+        if (!panel || !prompt || !confirmBtn) return;
+
+        if (unlockBtn) unlockBtn.hidden = true;
+        panel.hidden = false;
+        confirmBtn.disabled = true;
+
+        if (policy.friction === 'phrase') {
+            prompt.textContent = I18n.t('unlockTypePhrase', [I18n.t('unlockPhrase')]);
+            if (phraseInput) {
+                phraseInput.hidden = false;
+                phraseInput.value = '';
+                phraseInput.focus();
+            }
+            return;
+        }
+
+        if (phraseInput) phraseInput.hidden = true;
+        const endsAt = Date.now() + policy.countdownSeconds * 1000;
+        const tick = () => {
+            const left = Math.ceil((endsAt - Date.now()) / 1000);
+            if (left <= 0) {
+                clearInterval(this._unlockCountdown);
+                this._unlockCountdown = null;
+                prompt.textContent = I18n.t('unlockCountdownDone');
+                confirmBtn.disabled = false;
+                return;
+            }
+            prompt.textContent = I18n.t('unlockCountdown', [String(left)]);
+        };
+        clearInterval(this._unlockCountdown);
+        this._unlockCountdown = setInterval(tick, 1000);
+        tick();
+    };
+
+    BlockPageController.prototype.cancelUnlock = function cancelUnlock() {
+        clearInterval(this._unlockCountdown);
+        this._unlockCountdown = null;
+        const unlockBtn = document.getElementById('unlockBtn');
+        const panel = document.getElementById('unlockFriction');
+        if (panel) panel.hidden = true;
+        if (unlockBtn) unlockBtn.hidden = false;
+    };
+
+    BlockPageController.prototype.isUnlockPhraseTyped = function isUnlockPhraseTyped() {
+        const phraseInput = document.getElementById('unlockPhraseInput');
+        if (!phraseInput) return false;
+        const normalize = (text) => text.trim().replace(/\s+/g, ' ').toLowerCase();
+        return normalize(phraseInput.value) === normalize(I18n.t('unlockPhrase'));
+    };
+
+    /**
+     * Ask the background for the unlock and return to the site once granted.
+     */
+    BlockPageController.prototype.confirmUnlock = async function confirmUnlock() {
+        const confirmBtn = document.getElementById('unlockConfirmBtn');
+        const statusEl = document.getElementById('unlockStatus');
+        if (confirmBtn) confirmBtn.disabled = true;
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'REQUEST_UNLOCK',
+                url: this.blockedUrl || `https://${this.blockedDomain}`,
+                domain: this.blockedDomain,
+            });
+            if (response?.success) {
+                this.redirectToOriginalUrl();
+                return;
+            }
+            this.cancelUnlock();
+            await this.refreshUnlockStatus();
+            if (statusEl && response?.error) statusEl.textContent = response.error;
+        } catch (error) {
+            console.error('Failed to unlock site:', error);
+            this.cancelUnlock();
+        }
+    };
+}
@@ -1,9 +1,11 @@
 /* global DomainUtils, VideoDetector, VideoController, PlaybackState,
-   MessageHandlerContent, KeyboardHandler */
+   MessageHandlerContent, KeyboardHandler, SilenceSkipper, SegmentLoop,
+   WatchTracker */
 class TimeDashContent {
     constructor() {
         this.videos = new Set();
         this.currentSpeed = null;
+        this.siteSpeed = null;
         this.domain = DomainUtils.extractDomain(window.location.href);
         this.settings = {};
         this.initialized = false;
@@ -17,6 +19,15 @@ class TimeDashContent {
         this.ui = window.TimeDashOverlayUI
             ? new window.TimeDashOverlayUI({
                   onSpeedChange: (speed) => this.controller.setSpeed(speed),
+                  loadCountdownPosition: () =>
+                      chrome.runtime
+                          .sendMessage({ type: 'GET_COUNTDOWN_POSITION' })
+                          .then((response) => response && response.position)
+                          .catch(() => null),
+                  onCountdownMoved: (position) =>
+                      chrome.runtime
+                          .sendMessage({ type: 'SET_COUNTDOWN_POSITION', position })
+                          .catch(() => {}),
               })
             : null;
 
@@ -25,6 +36,9 @@ class TimeDashContent {
         this.playbackState = new PlaybackState(this);
         this.messageHandler = new MessageHandlerContent(this);
         this.keyboardHandler = new KeyboardHandler(this);
+        this.silenceSkipper = new SilenceSkipper(this);
+        this.segmentLoop = new SegmentLoop(this);
+        this.watchTracker = new WatchTracker(this);
 
         this.init();
     }
@@ -52,6 +66,7 @@ class TimeDashContent {
             this.setupListeners();
 
             this.controller.updateAllVideoSpeeds();
+            await this.silenceSkipper.load();
         } catch (error) {
             console.error('Error initializing TimeDash content script:', error);
             this.currentSpeed = this.settings?.defaultPlaybackSpeed || 1.0;
@@ -68,11 +83,14 @@ class TimeDashContent {
         try {
             const response = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
             this.settings = response || {};
-            this.currentSpeed = this.settings.currentPlaybackSpeed
-                ? this.settings.currentPlaybackSpeed
-                : this.settings.defaultPlaybackSpeed
-                  ? this.settings.defaultPlaybackSpeed
-                  : 1.0;
+            await this.loadSiteSpeed();
+            this.currentSpeed = this.siteSpeed
+                ? this.siteSpeed
+                : this.settings.currentPlaybackSpeed
+                  ? this.settings.currentPlaybackSpeed
+                  : this.settings.defaultPlaybackSpeed
+                    ? this.settings.defaultPlaybackSpeed
+                    : 1.0;
 
             if (this.ui) this.ui.updateSettings(this.settings);
         } catch (error) {
@@ -91,6 +109,21 @@ class TimeDashContent {
         }
     }
 
+    /**
+     * Fetch the per-site speed for this frame. The background resolves it
+     * against the frame URL first and the top-level tab URL second, so
+     * cross-origin embeds inherit the speed of the page hosting them.
+     */
+    async loadSiteSpeed() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_SITE_SPEED' });
+            const speed = Number(response && response.speed);
+            this.siteSpeed = Number.isFinite(speed) && speed > 0 ? speed : null;
+        } catch {
+            this.siteSpeed = null;
+        }
+    }
+
     setupVideo(video) {
         this.controller.setupVideo(video);
     }
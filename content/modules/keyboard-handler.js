@@ -1,58 +1,73 @@
 /**
  * Keyboard Handler - content/modules/keyboard-handler.js
  * Manages keyboard shortcut detection and processing
- * ~140 lines
+ * ~100 lines
  */
 
+/* global ShortcutMap */
 class KeyboardHandler {
     constructor(instance) {
         this.instance = instance;
+        this.bindings = null;
+        this.bindingsFor = null;
     }
 
     setup() {
-        document.addEventListener('keydown', (event) => {
-            if (this.instance.isOrphaned) return;
-            if (this.isInputActive()) return;
+        // Capture phase, so a key the user bound here wins over the page's own player shortcuts
+        document.addEventListener(
+            'keydown',
+            (event) => {
+                if (this.instance.isOrphaned) return;
+                if (this.isInputActive()) return;
 
-            if (!this.instance.settings.keyboardShortcutsEnabled) return;
+                if (!this.instance.settings.keyboardShortcutsEnabled) return;
 
-            const increaseKey = this.instance.settings.increaseSpeedKey || 'Plus';
-            const decreaseKey = this.instance.settings.decreaseSpeedKey || 'Minus';
-            const resetKey = this.instance.settings.resetSpeedKey || 'Period';
+                const action = ShortcutMap.match(this.getBindings(), event);
+                if (!action || !this.run(action)) return;
 
-            const increaseKeys = this.getAliases(increaseKey);
-            const decreaseKeys = this.getAliases(decreaseKey);
-            const resetKeys = this.getAliases(resetKey);
+                event.preventDefault();
+                event.stopPropagation();
+            },
+            true
+        );
+    }
 
-            if (!event.ctrlKey && !event.altKey && !event.metaKey) {
-                if (increaseKeys.includes(event.code)) {
-                    event.preventDefault();
-                    this.instance.controller.increaseSpeed();
-                } else if (decreaseKeys.includes(event.code)) {
-                    event.preventDefault();
-                    this.instance.controller.decreaseSpeed();
-                } else if (resetKeys.includes(event.code)) {
-                    event.preventDefault();
-                    this.instance.controller.resetSpeed();
-                }
-            }
-        });
+    /**
+     * Bindings in effect for this frame, recomputed when settings are replaced
+     * @returns {Object<string, string>} Action -> chord
+     */
+    getBindings() {
+        if (this.bindingsFor !== this.instance.settings) {
+            this.bindingsFor = this.instance.settings;
+            this.bindings = ShortcutMap.resolve(this.instance.settings, window.location.hostname);
+        }
+        return this.bindings;
     }
 
-    getAliases(code) {
-        const map = {
-            Plus: ['Equal', 'NumpadAdd'],
-            Minus: ['Minus', 'NumpadSubtract'],
-            Enter: ['Enter', 'NumpadEnter'],
-            Period: ['Period', 'NumpadDecimal', 'NumpadComma'],
-            Asterisk: ['NumpadMultiply'],
-            Slash: ['Slash', 'NumpadDivide'],
-            Equal: ['Plus', 'NumpadAdd'],
-        };
-        for (let i = 0; i <= 9; i++) {
-            map['' + i] = [`Digit${i}`, `Numpad${i}`];
+    /**
+     * Carry out a shortcut action
+     * @param {string} action - Action from ShortcutMap.ACTIONS
+     * @returns {boolean} False when there was nothing to act on, so the key is left to the page
+     */
+    run(action) {
+        if (this.instance.videos.size === 0) return false;
+        const controller = this.instance.controller;
+        if (action === 'increase-speed') controller.increaseSpeed();
+        else if (action === 'decrease-speed') controller.decreaseSpeed();
+        else if (action === 'reset-speed') controller.resetSpeed();
+        else if (action in ShortcutMap.SPEED_PRESETS) {
+            controller.setSpeed(ShortcutMap.SPEED_PRESETS[action]);
+        } else {
+            controller
+                .controlPlayback(action, null)
+                .then((res) => {
+                    if (res && !res.success && res.error && this.instance.ui) {
+                        this.instance.ui.showToast(res.error, 3000);
+                    }
+                })
+                .catch(() => {});
         }
-        return [code, ...(map[code] || [])];
+        return true;
     }
 
     isInputActive() {
@@ -32,6 +32,20 @@ class MessageHandlerContent {
                 case 'GET_CURRENT_SPEED':
                     sendResponse({ speed: this.instance.currentSpeed });
                     break;
+                case 'SHOW_LIMIT_WARNING':
+                    if (this.instance.ui) this.instance.ui.showToast(message.message);
+                    sendResponse({ success: true });
+                    break;
+                case 'SHOW_GRACE_OVERLAY':
+                    if (this.instance.ui) this.instance.ui.showGraceOverlay(message.endsAt);
+                    sendResponse({ success: true });
+                    break;
+                case 'UPDATE_COUNTDOWN':
+                    if (this.instance.ui) {
+                        this.instance.ui.updateCountdown(message.remainingMinutes);
+                    }
+                    sendResponse({ success: true });
+                    break;
                 case 'TOGGLE_OVERLAY':
                     if (this.instance.ui) this.instance.ui.toggleModal();
                     sendResponse({ success: true });
@@ -55,6 +69,21 @@ class MessageHandlerContent {
         });
     }
 
+    async handleSiteSpeedsChanged() {
+        const previous = this.instance.siteSpeed;
+        await this.instance.loadSiteSpeed();
+        const next = this.instance.siteSpeed;
+        if (next === previous) return;
+
+        this.instance.currentSpeed =
+            next ||
+            this.instance.settings.currentPlaybackSpeed ||
+            this.instance.settings.defaultPlaybackSpeed ||
+            1.0;
+        this.instance.controller.updateAllVideoSpeeds();
+        this.instance.controller.showSpeedOverlayIndicator(true);
+    }
+
     setupStorageListener() {
         try {
             chrome.storage.onChanged.addListener((changes, area) => {
@@ -67,6 +96,15 @@ class MessageHandlerContent {
                     if (this.instance.ui) this.instance.ui.updateSettings(this.instance.settings);
 
                     if (
+                        JSON.stringify(newSettings.skipSilenceSites || []) !==
+                        JSON.stringify(oldSettings.skipSilenceSites || [])
+                    ) {
+                        this.instance.silenceSkipper.load();
+                    }
+
+                    // Sites with their own stored speed don't follow the global speed
+                    if (
+                        !this.instance.siteSpeed &&
                         newSettings.currentPlaybackSpeed !== undefined &&
                         newSettings.currentPlaybackSpeed !== oldSettings.currentPlaybackSpeed
                     ) {
@@ -75,6 +113,10 @@ class MessageHandlerContent {
                         this.instance.controller.showSpeedOverlayIndicator(true);
                     }
                 }
+
+                if (area === 'local' && changes.siteSpeeds) {
+                    this.handleSiteSpeedsChanged();
+                }
             });
         } catch {
             /* Ignore setup error */
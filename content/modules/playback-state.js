@@ -1,6 +1,6 @@
 /**
  * Playback State - content/modules/playback-state.js
- * Retrieves and filters current playback state of all videos
+ * Retrieves and filters current playback state of all video and audio elements
  * ~180 lines
  */
 
@@ -31,8 +31,10 @@ class PlaybackState {
 
             if (video.ended) continue;
 
+            // Looping clips served as webm stand in for GIFs; audio webm is real content
+            const kind = video instanceof HTMLAudioElement ? 'audio' : 'video';
             const videoSrc = (video.currentSrc || video.src || '').toLowerCase();
-            if (/\.(gif|gifv|webm)(\?|#|$)/.test(videoSrc)) continue;
+            if (kind === 'video' && /\.(gif|gifv|webm)(\?|#|$)/.test(videoSrc)) continue;
 
             if (duration === 0 && currentTime === 0) continue;
 
@@ -41,8 +43,10 @@ class PlaybackState {
             if (!hasKnownTimeline && !isPlayingNow) continue;
 
             const interactedAt = this.instance.videoInteractionTs.get(video) || 0;
+            const loop = this.instance.segmentLoop.get(video);
             videos.push({
                 id: videoId,
+                kind,
                 currentTime,
                 duration,
                 paused: Boolean(video.paused),
@@ -50,6 +54,7 @@ class PlaybackState {
                 isLive,
                 sourceLabel,
                 interactedAt,
+                loop: loop ? { ...loop } : null,
             });
         }
 
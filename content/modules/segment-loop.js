@@ -0,0 +1,166 @@
+/**
+ * Segment Loop - content/modules/segment-loop.js
+ * Repeats the stretch between an A and a B marker, optionally slowed down
+ * ~170 lines
+ */
+
+class SegmentLoop {
+    static TICK_MS = 25;
+    /** Shortest segment that can be looped, in seconds */
+    static MIN_LENGTH = 0.2;
+    static DEFAULT_SLOW_SPEED = 0.75;
+
+    constructor(instance) {
+        this.instance = instance;
+        /** @type {Map<HTMLMediaElement, {a: number|null, b: number|null, slow: boolean}>} */
+        this.loops = new Map();
+        this.timer = null;
+        this.ticks = 0;
+    }
+
+    /**
+     * Get the loop markers of an element
+     * @param {HTMLMediaElement} video - Media element
+     * @returns {{a: number|null, b: number|null, slow: boolean}|null} Loop state, if any
+     */
+    get(video) {
+        return this.loops.get(video) || null;
+    }
+
+    isActive(loop) {
+        return Boolean(loop && loop.a !== null && loop.b !== null);
+    }
+
+    /**
+     * Speed the element should play at while its loop runs slowed down
+     * @param {HTMLMediaElement} video - Media element
+     * @returns {number|null} Loop speed, or null to use the normal speed
+     */
+    getRate(video) {
+        const loop = this.get(video);
+        if (!this.isActive(loop) || !loop.slow) return null;
+        const speed = Number(this.instance.settings.loopSlowSpeed);
+        return speed > 0 ? speed : SegmentLoop.DEFAULT_SLOW_SPEED;
+    }
+
+    /**
+     * Put a marker at the current position. Setting A past B (or B before A)
+     * drops the other marker, so the pair always describes a forward segment.
+     * @param {HTMLMediaElement} video - Media element
+     * @param {'a'|'b'} point - Marker to set
+     * @returns {boolean} False when B would be too close to A
+     */
+    setPoint(video, point) {
+        const time = video.currentTime;
+        const loop = this.get(video) || { a: null, b: null, slow: false };
+
+        if (point === 'a') {
+            loop.a = time;
+            if (loop.b !== null && loop.b - time < SegmentLoop.MIN_LENGTH) loop.b = null;
+        } else {
+            if (loop.a === null) loop.a = 0;
+            if (time - loop.a < SegmentLoop.MIN_LENGTH) return false;
+            loop.b = time;
+        }
+
+        this.loops.set(video, loop);
+        if (point === 'b') this.instance.controller.seekTo(video, loop.a);
+        this.refresh(video);
+        return true;
+    }
+
+    /**
+     * Switch the slowed-down speed on or off. It can be picked before the
+     * markers are set and takes effect once the loop runs.
+     * @param {HTMLMediaElement} video - Media element
+     */
+    toggleSlow(video) {
+        const loop = this.get(video) || { a: null, b: null, slow: false };
+        loop.slow = !loop.slow;
+        this.loops.set(video, loop);
+        this.refresh(video);
+    }
+
+    clear(video) {
+        if (!this.loops.delete(video)) return;
+        this.refresh(video);
+    }
+
+    /**
+     * Apply a marker change: rate, overlay and the watch timer
+     * @param {HTMLMediaElement} video - Element whose loop changed
+     */
+    refresh(video) {
+        this.instance.controller.applyTargetRate(video);
+        this.render(video);
+
+        const anyActive = [...this.loops.values()].some((loop) => this.isActive(loop));
+        if (anyActive && !this.timer) {
+            this.timer = setInterval(() => this.tick(), SegmentLoop.TICK_MS);
+        } else if (!anyActive && this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    render(video) {
+        if (!this.instance.ui) return;
+        const loop = this.get(video);
+        if (loop) {
+            this.instance.ui.showLoopMarkers(video, { ...loop, rate: this.getRate(video) });
+        } else {
+            this.instance.ui.removeLoopMarkers();
+        }
+    }
+
+    /**
+     * Jump back to A once playback reaches B. timeupdate only fires a few
+     * times a second, far too coarse for a musical phrase, so this polls.
+     */
+    tick() {
+        if (this.instance.isOrphaned) {
+            clearInterval(this.timer);
+            this.timer = null;
+            return;
+        }
+
+        // Follow the element as the page scrolls, a few times a second
+        const reposition = ++this.ticks % 10 === 0;
+        for (const [video, loop] of this.loops) {
+            if (!video.isConnected) {
+                this.loops.delete(video);
+                this.refresh(video);
+                continue;
+            }
+            if (reposition && this.instance.ui) this.instance.ui.positionLoopMarkers(video);
+            if (!this.isActive(loop) || video.seeking || (video.paused && !video.ended)) continue;
+            if (video.currentTime >= loop.b || video.ended) {
+                this.instance.controller.seekTo(video, loop.a);
+                if (video.ended) video.play().catch(() => {});
+            }
+        }
+    }
+
+    /**
+     * Handle a loop action from a shortcut or the Currently Playing panel
+     * @param {string} action - loop-set-a, loop-set-b, loop-toggle-slow or loop-clear
+     * @param {HTMLMediaElement} video - Target element
+     * @returns {boolean} False when the action was refused
+     */
+    handle(action, video) {
+        switch (action) {
+            case 'loop-set-a':
+                return this.setPoint(video, 'a');
+            case 'loop-set-b':
+                return this.setPoint(video, 'b');
+            case 'loop-toggle-slow':
+                this.toggleSlow(video);
+                return true;
+            case 'loop-clear':
+                this.clear(video);
+                return true;
+            default:
+                return false;
+        }
+    }
+}
@@ -0,0 +1,256 @@
+/**
+ * Silence Skipper - content/modules/silence-skipper.js
+ * Plays silent stretches of media at a high rate on sites where it is turned on
+ * ~230 lines
+ */
+
+class SilenceSkipper {
+    /**
+     * Rate used while a silent stretch plays. Firefox mutes media above 4x,
+     * and a muted element reads as silent to the analyser, so a faster boost
+     * would never hear speech resume and never end.
+     */
+    static SILENCE_RATE = 4;
+    static TICK_MS = 50;
+    static DEFAULT_THRESHOLD_DB = -45;
+    static DEFAULT_MIN_SECONDS = 0.5;
+    /** Saved time is sent to the background once at least this much has built up */
+    static REPORT_SECONDS = 5;
+
+    constructor(instance) {
+        this.instance = instance;
+        this.enabled = false;
+        this.timer = null;
+        this.audioContext = null;
+        this.analysers = new WeakMap();
+        this.expectedRates = new WeakMap();
+        this.watched = null;
+        this.silentSince = null;
+        this.boost = null;
+        this.pendingSeconds = 0;
+
+        window.addEventListener('pagehide', () => {
+            this.endBoost();
+            this.flush();
+        });
+    }
+
+    /**
+     * Ask the background whether this frame's site has skipping turned on.
+     */
+    async load() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_SKIP_SILENCE' });
+            this.setEnabled(Boolean(response && response.enabled));
+        } catch {
+            this.setEnabled(false);
+        }
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (enabled && !this.timer) {
+            this.timer = setInterval(() => this.tick(), SilenceSkipper.TICK_MS);
+        } else if (!enabled && this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            this.endBoost();
+            this.flush();
+        }
+    }
+
+    /**
+     * Check whether a ratechange event comes from our own boost or restore,
+     * so the controller neither undoes it nor flashes the speed indicator.
+     * @param {HTMLMediaElement} video - Element that fired ratechange
+     * @returns {boolean} True if the current rate is the one we set
+     */
+    ownsRateChange(video) {
+        const expected = this.expectedRates.get(video);
+        if (expected === undefined) return false;
+        this.expectedRates.delete(video);
+        return Math.abs(video.playbackRate - expected) <= 0.05;
+    }
+
+    getThresholdDb() {
+        const value = Number(this.instance.settings.skipSilenceThresholdDb);
+        return Number.isFinite(value) ? value : SilenceSkipper.DEFAULT_THRESHOLD_DB;
+    }
+
+    getMinSilenceMs() {
+        const value = Number(this.instance.settings.skipSilenceMinSeconds);
+        return (value > 0 ? value : SilenceSkipper.DEFAULT_MIN_SECONDS) * 1000;
+    }
+
+    tick() {
+        if (this.instance.isOrphaned) {
+            this.setEnabled(false);
+            return;
+        }
+
+        const video = this.pickPlaying();
+        if (video !== this.watched) {
+            this.endBoost();
+            this.watched = video;
+            this.silentSince = null;
+        }
+        if (!video) return;
+
+        // A speed change from the user or the page ends the boost where it is
+        if (this.boost && Math.abs(video.playbackRate - this.boost.rate) > 0.05) {
+            this.endBoost(false);
+        }
+
+        const level = this.readLevel(video);
+        if (level === null || level >= this.getThresholdDb()) {
+            this.silentSince = null;
+            this.endBoost();
+            return;
+        }
+
+        const now = performance.now();
+        if (this.silentSince === null) this.silentSince = now;
+        if (!this.boost && now - this.silentSince >= this.getMinSilenceMs()) {
+            this.startBoost(video);
+        }
+    }
+
+    /**
+     * Pick the media element to listen to: the most recently used one that
+     * is playing.
+     * @returns {HTMLMediaElement|null} Playing element, if any
+     */
+    pickPlaying() {
+        let best = null;
+        let bestTs = -1;
+        for (const video of this.instance.videos) {
+            if (!video || !video.isConnected || video.paused || video.ended) continue;
+            if (video.readyState < 2) continue;
+            const ts = this.instance.videoInteractionTs.get(video) || 0;
+            if (ts > bestTs) {
+                best = video;
+                bestTs = ts;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Check whether the element's audio can be read. Cross-origin media
+     * without CORS comes out of Web Audio as silence, which would both mute
+     * it and make it look silent throughout.
+     * @param {HTMLMediaElement} video - Element to check
+     * @returns {boolean} True when it is safe to route it through Web Audio
+     */
+    canAnalyse(video) {
+        const src = video.currentSrc || video.src;
+        if (!src) return false;
+        try {
+            const url = new URL(src, window.location.href);
+            if (url.protocol === 'blob:') return true;
+            return url.origin === window.location.origin || Boolean(video.crossOrigin);
+        } catch {
+            return false;
+        }
+    }
+
+    getAnalyser(video) {
+        if (this.analysers.has(video)) return this.analysers.get(video);
+
+        // Routing an element through Web Audio can't be undone, and a context
+        // that may not start yet would leave the element muted
+        if (navigator.userActivation && !navigator.userActivation.hasBeenActive) return null;
+
+        let entry = null;
+        if (this.canAnalyse(video)) {
+            try {
+                if (!this.audioContext) this.audioContext = new AudioContext();
+                const source = this.audioContext.createMediaElementSource(video);
+                const analyser = this.audioContext.createAnalyser();
+                analyser.fftSize = 2048;
+                source.connect(analyser);
+                source.connect(this.audioContext.destination);
+                entry = { analyser, samples: new Float32Array(analyser.fftSize), heard: false };
+            } catch {
+                // The page (or another extension) already routes this element
+                entry = null;
+            }
+        }
+        this.analysers.set(video, entry);
+        return entry;
+    }
+
+    /**
+     * Measure the current loudness of an element
+     * @param {HTMLMediaElement} video - Playing element
+     * @returns {number|null} RMS level in dBFS, or null when it can't be read
+     */
+    readLevel(video) {
+        const entry = this.getAnalyser(video);
+        if (!entry) return null;
+        if (this.audioContext.state === 'suspended') {
+            this.audioContext.resume().catch(() => {});
+            return null;
+        }
+
+        entry.analyser.getFloatTimeDomainData(entry.samples);
+        let sum = 0;
+        for (const sample of entry.samples) sum += sample * sample;
+        if (sum > 0) entry.heard = true;
+        // Until any sound has come through, zeros may mean unreadable audio
+        if (!entry.heard) return null;
+
+        const rms = Math.sqrt(sum / entry.samples.length);
+        return rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+    }
+
+    startBoost(video) {
+        const baseRate = this.instance.controller.getTargetRate(video) || video.playbackRate || 1;
+        const rate = SilenceSkipper.SILENCE_RATE;
+        if (rate <= baseRate) return;
+
+        this.boost = { video, rate, baseRate, startedAt: performance.now() };
+        this.setRate(video, rate);
+    }
+
+    /**
+     * Finish the current boost and count the time it saved
+     * @param {boolean} [restore] - Put the element back to the normal speed
+     */
+    endBoost(restore = true) {
+        if (!this.boost) return;
+        const { video, rate, baseRate, startedAt } = this.boost;
+        this.boost = null;
+
+        // What played in `elapsed` at the boosted rate takes rate/baseRate times as long normally
+        const elapsed = (performance.now() - startedAt) / 1000;
+        this.addSaved(elapsed * (rate / baseRate - 1));
+
+        if (restore && video.isConnected && Math.abs(video.playbackRate - rate) <= 0.05) {
+            this.setRate(video, this.instance.controller.getTargetRate(video) || baseRate);
+        }
+    }
+
+    setRate(video, rate) {
+        this.expectedRates.set(video, rate);
+        this.instance._settingSpeed = true;
+        try {
+            this.instance.controller.applyNativePlaybackRate(video, rate);
+        } finally {
+            this.instance._settingSpeed = false;
+        }
+    }
+
+    addSaved(seconds) {
+        if (!(seconds > 0)) return;
+        this.pendingSeconds += seconds;
+        if (this.pendingSeconds >= SilenceSkipper.REPORT_SECONDS) this.flush();
+    }
+
+    flush() {
+        const seconds = Math.round(this.pendingSeconds);
+        if (seconds < 1 || this.instance.isOrphaned || !chrome.runtime?.id) return;
+        this.pendingSeconds -= seconds;
+        chrome.runtime.sendMessage({ type: 'RECORD_SILENCE_SKIPPED', seconds }).catch(() => {});
+    }
+}
@@ -1,10 +1,13 @@
 /**
  * Video Controller - content/modules/video-controller.js
- * Manages speed control and playback for all detected videos
+ * Manages speed control and playback for all detected video and audio elements
  * ~220 lines
  */
 
 class VideoController {
+    /** Length of one frame step; pages don't expose the frame rate, so assume 30 fps */
+    static FRAME_SECONDS = 1 / 30;
+
     constructor(instance) {
         this.instance = instance;
     }
@@ -23,9 +26,36 @@ class VideoController {
         }
     }
 
+    /**
+     * Rate an element should play at: the page speed, unless its A-B loop
+     * is running slowed down
+     * @param {HTMLMediaElement} video - Media element
+     * @returns {number} Playback rate
+     */
+    getTargetRate(video) {
+        return this.instance.segmentLoop.getRate(video) ?? this.instance.currentSpeed;
+    }
+
+    applyTargetRate(video) {
+        this.instance._settingSpeed = true;
+        this.applyNativePlaybackRate(video, this.getTargetRate(video));
+        this.instance._settingSpeed = false;
+    }
+
+    /**
+     * Move the playhead, kept within the element's timeline
+     * @param {HTMLMediaElement} video - Media element
+     * @param {number} seconds - Target position
+     */
+    seekTo(video, seconds) {
+        const end = Number.isFinite(video.duration) ? video.duration : seconds;
+        video.currentTime = Math.max(0, Math.min(end, seconds));
+    }
+
     setupVideo(video) {
         if (this.instance.videos.has(video)) return;
         this.instance.videos.add(video);
+        this.instance.watchTracker.start();
 
         if (!this.instance.videoIdMap.has(video)) {
             this.instance.videoIdMap.set(video, `v${this.instance.videoIdCounter++}`);
@@ -33,16 +63,14 @@ class VideoController {
 
         const setupSpeed = () => {
             if (this.instance.currentSpeed !== null && this.instance.initialized) {
-                this.instance._settingSpeed = true;
-                this.applyNativePlaybackRate(video, this.instance.currentSpeed);
-                this.instance._settingSpeed = false;
+                this.applyTargetRate(video);
                 this.instance.markVideoInteraction(video);
                 if (
                     this.instance.ui &&
                     this.instance.settings.showSpeedOverlay &&
                     !this.instance._suppressIndicator
                 ) {
-                    this.instance.ui.showIndicator(video, this.instance.currentSpeed);
+                    this.instance.ui.showIndicator(video, this.getTargetRate(video));
                 }
             }
         };
@@ -58,6 +86,7 @@ class VideoController {
         // Listen for internal rate changes
         video.addEventListener('ratechange', () => {
             if (this.instance._settingSpeed) return;
+            if (this.instance.silenceSkipper.ownsRateChange(video)) return;
 
             this.instance.markVideoInteraction(video);
             if (this.instance.ui) {
@@ -65,10 +94,8 @@ class VideoController {
             }
 
             const externalSpeed = video.playbackRate;
-            if (Math.abs(externalSpeed - this.instance.currentSpeed) > 0.05) {
-                this.instance._settingSpeed = true;
-                this.applyNativePlaybackRate(video, this.instance.currentSpeed);
-                this.instance._settingSpeed = false;
+            if (Math.abs(externalSpeed - this.getTargetRate(video)) > 0.05) {
+                this.applyTargetRate(video);
                 if (this.instance.ui) {
                     this.showSpeedOverlayIndicator(true);
                 }
@@ -110,7 +137,7 @@ class VideoController {
                 return;
             }
             if (video) {
-                this.applyNativePlaybackRate(video, this.instance.currentSpeed);
+                this.applyNativePlaybackRate(video, this.getTargetRate(video));
                 this.instance.markVideoInteraction(video);
             }
         });
@@ -151,7 +178,7 @@ class VideoController {
             }
         }
 
-        this.instance.ui.showIndicator(activeVideo, this.instance.currentSpeed);
+        this.instance.ui.showIndicator(activeVideo, this.getTargetRate(activeVideo));
     }
 
     increaseSpeed() {
@@ -174,7 +201,10 @@ class VideoController {
     }
 
     resetSpeed() {
-        const defaultSpeed = parseFloat(this.instance.settings.defaultPlaybackSpeed) || 1.0;
+        const defaultSpeed =
+            this.instance.siteSpeed ||
+            parseFloat(this.instance.settings.defaultPlaybackSpeed) ||
+            1.0;
         this.setSpeed(defaultSpeed);
     }
 
@@ -231,15 +261,33 @@ class VideoController {
                 case 'step-back':
                     video.currentTime = Math.max(0, video.currentTime - stepSeconds);
                     break;
+                case 'frame-forward':
+                case 'frame-back': {
+                    // Frames are only visible one at a time while paused
+                    video.pause();
+                    const frame = VideoController.FRAME_SECONDS;
+                    this.seekTo(
+                        video,
+                        video.currentTime + (action === 'frame-forward' ? frame : -frame)
+                    );
+                    break;
+                }
                 case 'seek': {
                     const target = Number(value);
                     if (!Number.isFinite(target)) {
                         return { success: false, error: chrome.i18n.getMessage('invalidSeekValue') };
                     }
-                    const maxSeek = Number.isFinite(video.duration) ? video.duration : target;
-                    video.currentTime = Math.max(0, Math.min(maxSeek, target));
+                    this.seekTo(video, target);
                     break;
                 }
+                case 'loop-set-a':
+                case 'loop-set-b':
+                case 'loop-toggle-slow':
+                case 'loop-clear':
+                    if (!this.instance.segmentLoop.handle(action, video)) {
+                        return { success: false, error: chrome.i18n.getMessage('loopTooShort') };
+                    }
+                    break;
                 default:
                     return { success: false, error: chrome.i18n.getMessage('unknownAction') };
             }
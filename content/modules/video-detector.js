@@ -1,15 +1,23 @@
 /**
  * Video Detector - content/modules/video-detector.js
- * Handles video discovery and setup
+ * Handles media discovery and setup for <video> and <audio> elements
  * ~200 lines
  */
 
 class VideoDetector {
+    /**
+     * Media elements we control. Players that route an element through Web
+     * Audio (createMediaElementSource) are still driven by the element's
+     * playbackRate, so they are covered as well.
+     */
+    static MEDIA_SELECTOR = 'video,audio';
+
     constructor(instance) {
         this.instance = instance;
         this.mutationObserver = null;
         this.rootObservers = new Set();
         this._deepScanTimer = null;
+        this._onMediaPlay = null;
     }
 
     setup() {
@@ -31,6 +39,13 @@ class VideoDetector {
             });
         }
 
+        // Media events don't bubble, but a capturing listener still sees them.
+        // This catches players that only attach their element right before play
+        this._onMediaPlay = (event) => {
+            if (event.target instanceof HTMLMediaElement) this.instance.setupVideo(event.target);
+        };
+        document.addEventListener('play', this._onMediaPlay, true);
+
         this._deepScanTimer = setInterval(() => {
             if (this.instance.isOrphaned) return;
             this.findAndSetupVideos(document);
@@ -40,19 +55,19 @@ class VideoDetector {
 
     findAndSetupVideos(root = document) {
         if (!root || !root.querySelectorAll) return;
-        const videos = root.querySelectorAll('video');
+        const videos = root.querySelectorAll(VideoDetector.MEDIA_SELECTOR);
         videos.forEach((video) => this.instance.setupVideo(video));
     }
 
     scanNodeForVideos(node) {
         if (!node || node.nodeType !== Node.ELEMENT_NODE) return;
 
-        if (node.tagName === 'VIDEO') {
+        if (node instanceof HTMLMediaElement) {
             this.instance.setupVideo(node);
         }
 
         if (node.querySelectorAll) {
-            const videos = node.querySelectorAll('video');
+            const videos = node.querySelectorAll(VideoDetector.MEDIA_SELECTOR);
             videos.forEach((video) => this.instance.setupVideo(video));
         }
 
@@ -121,5 +136,10 @@ class VideoDetector {
             clearInterval(this._deepScanTimer);
             this._deepScanTimer = null;
         }
+
+        if (this._onMediaPlay) {
+            document.removeEventListener('play', this._onMediaPlay, true);
+            this._onMediaPlay = null;
+        }
     }
 }
@@ -0,0 +1,105 @@
+/**
+ * Watch Tracker - content/modules/watch-tracker.js
+ * Measures real media watch time and how much content it covered
+ * ~110 lines
+ */
+
+class WatchTracker {
+    static TICK_MS = 1000;
+    /** Watch time is sent to the background once this much has built up */
+    static REPORT_SECONDS = 30;
+
+    constructor(instance) {
+        this.instance = instance;
+        this.timer = null;
+        this.lastTick = null;
+        this.lastPositions = new WeakMap();
+        this.pendingWatch = 0;
+        this.pendingMedia = 0;
+
+        window.addEventListener('pagehide', () => this.flush(true));
+    }
+
+    start() {
+        if (this.timer) return;
+        this.lastTick = performance.now();
+        this.timer = setInterval(() => this.tick(), WatchTracker.TICK_MS);
+    }
+
+    stop() {
+        if (!this.timer) return;
+        clearInterval(this.timer);
+        this.timer = null;
+        this.flush(true);
+    }
+
+    /**
+     * Only one element is counted at a time, so a muted autoplay preview
+     * next to the main player doesn't double the total. Background tabs
+     * count while they are audible, which covers podcasts and music.
+     * @returns {HTMLMediaElement|null} Element being watched or listened to
+     */
+    pickWatched() {
+        let best = null;
+        let bestTs = -1;
+        for (const video of this.instance.videos) {
+            if (!video || !video.isConnected || video.paused || video.ended) continue;
+            const audible = !video.muted && video.volume > 0;
+            if (document.hidden && !audible) continue;
+            const ts = this.instance.videoInteractionTs.get(video) || 0;
+            if (ts > bestTs) {
+                best = video;
+                bestTs = ts;
+            }
+        }
+        return best;
+    }
+
+    tick() {
+        if (this.instance.isOrphaned) {
+            this.stop();
+            return;
+        }
+
+        const now = performance.now();
+        const elapsed = (now - this.lastTick) / 1000;
+        this.lastTick = now;
+
+        const video = this.pickWatched();
+        for (const element of this.instance.videos) {
+            if (element !== video) this.lastPositions.delete(element);
+        }
+        if (!video) return;
+
+        const position = video.currentTime;
+        const previous = this.lastPositions.get(video);
+        this.lastPositions.set(video, position);
+        if (previous === undefined || video.seeking) return;
+
+        // A jump larger than the fastest rate could cover is a seek, not playback
+        const covered = position - previous;
+        if (covered < 0 || covered > elapsed * 16 + 1) return;
+
+        this.pendingWatch += elapsed;
+        this.pendingMedia += covered;
+        if (this.pendingWatch >= WatchTracker.REPORT_SECONDS) this.flush();
+    }
+
+    /**
+     * Send the whole seconds built up so far; the rest carries over
+     * @param {boolean} [all] - Also send a final partial second (page is going away)
+     */
+    flush(all = false) {
+        const watchSeconds = all ? this.pendingWatch : Math.floor(this.pendingWatch);
+        if (watchSeconds < (all ? 0.5 : 1) || this.instance.isOrphaned || !chrome.runtime?.id) {
+            return;
+        }
+
+        const mediaSeconds = this.pendingMedia * (watchSeconds / this.pendingWatch);
+        this.pendingWatch -= watchSeconds;
+        this.pendingMedia -= mediaSeconds;
+        chrome.runtime
+            .sendMessage({ type: 'RECORD_MEDIA_WATCH', watchSeconds, mediaSeconds })
+            .catch(() => {});
+    }
+}
@@ -4,14 +4,18 @@
  * 1. Speed Control Modal (Center)
  * 2. Speed Indicator (Corner)
  * 3. Toast Notification (Top Right)
+ * 4. Remaining-Time Countdown (Draggable, Bottom Right)
+ * 5. Grace-Period Warning (Full Page, collapsible to a corner pill)
+ * 6. A-B Loop Markers (Corner of the looping video)
  */
 class TimeDashOverlayUI {
     constructor(callbacks = {}) {
-        this.callbacks = callbacks; // { onSpeedChange }
+        this.callbacks = callbacks; // { onSpeedChange, loadCountdownPosition, onCountdownMoved }
         this.modal = null;
         this.isVisible = false; // Modal visibility
         this.currentVideo = null;
         this.speeds = [0.25, 0.5, 0.75, 1.0, 1.25, 1.5, 1.75, 2.0, 2.5, 3.0, 4.0, 8.0, 16.0];
+        this.countdownUrgentMinutes = 5; // Countdown turns red from here on
 
         this.init();
     }
@@ -47,14 +51,87 @@ class TimeDashOverlayUI {
                 transition: opacity 0.3s ease;
             }
 
+            /* --- Loop Markers --- */
+            .timedash-loop {
+                position: fixed; min-width: 120px;
+                background: rgba(31, 41, 55, 0.85); color: white;
+                padding: 5px 8px; border-radius: 4px;
+                font-size: 12px; font-family: sans-serif; line-height: 1.2;
+                font-variant-numeric: tabular-nums; white-space: nowrap;
+                z-index: 2147483647; pointer-events: none;
+            }
+            .timedash-loop-track {
+                position: relative; height: 3px; margin-top: 4px;
+                background: rgba(255, 255, 255, 0.3); border-radius: 2px;
+            }
+            .timedash-loop-range {
+                position: absolute; top: 0; bottom: 0;
+                background: var(--tsd-overlay-color); border-radius: 2px;
+            }
+
+            /* --- Toast --- */
+            .timedash-toast {
+                position: fixed; top: 16px; right: 16px;
+                max-width: 320px; padding: 10px 14px;
+                background: #1f2937; color: white;
+                border-left: 4px solid var(--tsd-overlay-color); border-radius: 6px;
+                box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+                font-size: 13px; font-family: sans-serif; line-height: 1.4;
+                z-index: 2147483647; pointer-events: none;
+                transition: opacity 0.3s ease;
+            }
 
+            /* --- Countdown --- */
+            .timedash-countdown {
+                position: fixed; right: 16px; bottom: 16px;
+                background: var(--tsd-overlay-color); color: white;
+                padding: 6px 10px; border-radius: 6px;
+                box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
+                font-size: 13px; font-family: sans-serif; font-weight: 600; line-height: 1;
+                white-space: nowrap; user-select: none; touch-action: none;
+                z-index: 2147483646; cursor: grab;
+                transition: background-color 0.3s ease;
+            }
+            .timedash-countdown.is-dragging { cursor: grabbing; }
+            .timedash-countdown.is-urgent { background: #ef4444; }
+
+            /* --- Grace Period --- */
+            .timedash-grace {
+                position: fixed; inset: 0;
+                display: flex; align-items: center; justify-content: center;
+                background: rgba(15, 23, 42, 0.75);
+                font-family: sans-serif; z-index: 2147483647;
+            }
+            .timedash-grace-card {
+                max-width: 380px; padding: 24px; border-radius: 12px;
+                background: #1f2937; color: white; text-align: center;
+                box-shadow: 0 10px 30px rgba(0, 0, 0, 0.4);
+            }
+            .timedash-grace-title { margin: 0 0 8px; font-size: 22px; font-weight: 700; }
+            .timedash-grace-text { margin: 0 0 16px; font-size: 14px; line-height: 1.5; }
+            .timedash-grace-btn {
+                padding: 8px 16px; border: none; border-radius: 6px; cursor: pointer;
+                background: var(--tsd-overlay-color); color: white; font-size: 14px;
+            }
+            .timedash-grace.is-collapsed {
+                inset: auto 16px 16px auto; background: none;
+                pointer-events: none;
+            }
+            .timedash-grace.is-collapsed .timedash-grace-card {
+                padding: 8px 12px; border-radius: 6px; background: #ef4444;
+            }
+            .timedash-grace.is-collapsed .timedash-grace-title,
+            .timedash-grace.is-collapsed .timedash-grace-btn { display: none; }
+            .timedash-grace.is-collapsed .timedash-grace-text {
+                margin: 0; font-size: 13px; font-weight: 600;
+            }
         `;
         document.head.appendChild(style);
     }
 
     /**
      * Show Corner Indicator
-     * @param {HTMLVideoElement} video - Target video element.
+     * @param {HTMLMediaElement} video - Target video or audio element.
      * @param {number} speed - Playback speed multiplier.
      */
     showIndicator(video, speed) {
@@ -68,10 +145,12 @@ class TimeDashOverlayUI {
             document.body.appendChild(indicator);
         }
 
-        // Position in top-right corner of the video using fixed viewport coords
+        // Position in top-right corner of the video using fixed viewport coords.
+        // Audio players are often hidden, so fall back to the viewport corner
         const rect = video.getBoundingClientRect();
-        indicator.style.top = rect.top + 10 + 'px';
-        indicator.style.right = window.innerWidth - rect.right + 10 + 'px';
+        const hasBox = rect.width > 0 && rect.height > 0;
+        indicator.style.top = (hasBox ? rect.top : 0) + 10 + 'px';
+        indicator.style.right = (hasBox ? window.innerWidth - rect.right : 0) + 10 + 'px';
 
         // Immediately update text and ensure fully visible
         indicator.textContent = `${speed}x`;
@@ -88,8 +167,241 @@ class TimeDashOverlayUI {
         }, 2000);
     }
 
+    /**
+     * Show the A-B markers of a looping element in its top-left corner
+     * @param {HTMLMediaElement} video - Element the loop belongs to.
+     * @param {{a: number|null, b: number|null, rate: number|null}} loop - Marker times (s) and slowed speed, if any.
+     */
+    showLoopMarkers(video, loop) {
+        if (!document.body) return;
+
+        let panel = document.getElementById('timedash-loop');
+        if (!panel) {
+            panel = document.createElement('div');
+            panel.id = 'timedash-loop';
+            panel.className = 'timedash-loop';
+            panel.setAttribute('role', 'status');
+            const text = document.createElement('div');
+            text.className = 'timedash-loop-text';
+            const track = document.createElement('div');
+            track.className = 'timedash-loop-track';
+            const range = document.createElement('div');
+            range.className = 'timedash-loop-range';
+            track.appendChild(range);
+            panel.append(text, track);
+            document.body.appendChild(panel);
+        }
+
+        const format = (seconds) => {
+            if (seconds === null) return '–';
+            const minutes = Math.floor(seconds / 60);
+            const rest = (seconds - minutes * 60).toFixed(1).padStart(4, '0');
+            return `${minutes}:${rest}`;
+        };
+        let text = chrome.i18n.getMessage('loopMarkers', [format(loop.a), format(loop.b)]);
+        if (loop.rate) text += ` · ${loop.rate}x`;
+        panel.querySelector('.timedash-loop-text').textContent = text;
+
+        // The track shows where the segment sits in the whole timeline
+        const duration = Number.isFinite(video.duration) ? video.duration : 0;
+        const track = panel.querySelector('.timedash-loop-track');
+        const range = panel.querySelector('.timedash-loop-range');
+        track.hidden = !(duration > 0 && loop.a !== null);
+        if (!track.hidden) {
+            const end = loop.b === null ? loop.a : loop.b;
+            range.style.left = (loop.a / duration) * 100 + '%';
+            range.style.width = Math.max(((end - loop.a) / duration) * 100, 0.5) + '%';
+        }
+
+        this.positionLoopMarkers(video);
+    }
+
+    positionLoopMarkers(video) {
+        const panel = document.getElementById('timedash-loop');
+        if (!panel) return;
+        const rect = video.getBoundingClientRect();
+        const hasBox = rect.width > 0 && rect.height > 0;
+        panel.style.top = (hasBox ? Math.max(rect.top, 0) : 0) + 10 + 'px';
+        panel.style.left = (hasBox ? Math.max(rect.left, 0) : 0) + 10 + 'px';
+    }
+
+    removeLoopMarkers() {
+        const panel = document.getElementById('timedash-loop');
+        if (panel) panel.remove();
+    }
+
+    /**
+     * Show Toast Notification
+     * @param {string} message - Text to show.
+     * @param {number} [duration] - How long it stays up (ms).
+     */
+    showToast(message, duration = 6000) {
+        if (!message || !document.body) return;
+
+        let toast = document.getElementById('timedash-toast');
+        if (!toast) {
+            toast = document.createElement('div');
+            toast.id = 'timedash-toast';
+            toast.className = 'timedash-toast';
+            toast.setAttribute('role', 'status');
+            document.body.appendChild(toast);
+        }
+
+        toast.textContent = message;
+        toast.style.opacity = '1';
+
+        clearTimeout(toast._hideTimer);
+        clearTimeout(toast._removeTimer);
+
+        toast._hideTimer = setTimeout(() => {
+            toast.style.opacity = '0';
+            toast._removeTimer = setTimeout(() => toast.remove(), 300);
+        }, duration);
+    }
+
+    /**
+     * Show or update the remaining-time countdown for a time-limited site
+     * @param {number|null} remainingMinutes - Minutes left today, or null to remove it.
+     */
+    updateCountdown(remainingMinutes) {
+        if (remainingMinutes === null || remainingMinutes === undefined) {
+            this.removeCountdown();
+            return;
+        }
+        if (!this.settings?.showCountdownOverlay || !document.body) return;
+
+        let countdown = document.getElementById('timedash-countdown');
+        if (!countdown) {
+            countdown = this.createCountdown();
+            document.body.appendChild(countdown);
+        }
+
+        const minutes = Math.max(1, Math.ceil(remainingMinutes));
+        countdown.textContent = chrome.i18n.getMessage('countdownMinutesLeft', [String(minutes)]);
+        countdown.classList.toggle('is-urgent', minutes <= this.countdownUrgentMinutes);
+    }
+
+    removeCountdown() {
+        const countdown = document.getElementById('timedash-countdown');
+        if (countdown) countdown.remove();
+    }
+
+    /**
+     * Build the countdown element, restore its saved position for this site,
+     * and let the user drag it out of the way
+     * @returns {HTMLElement} Countdown element.
+     */
+    createCountdown() {
+        const countdown = document.createElement('div');
+        countdown.id = 'timedash-countdown';
+        countdown.className = 'timedash-countdown';
+        countdown.setAttribute('role', 'timer');
+
+        const place = (x, y) => {
+            const maxX = Math.max(0, window.innerWidth - countdown.offsetWidth);
+            const maxY = Math.max(0, window.innerHeight - countdown.offsetHeight);
+            countdown.style.left = Math.min(Math.max(0, x), maxX) + 'px';
+            countdown.style.top = Math.min(Math.max(0, y), maxY) + 'px';
+            countdown.style.right = 'auto';
+            countdown.style.bottom = 'auto';
+        };
+
+        if (this.callbacks.loadCountdownPosition) {
+            this.callbacks.loadCountdownPosition().then((position) => {
+                if (position && countdown.isConnected) place(position.x, position.y);
+            });
+        }
+
+        countdown.addEventListener('pointerdown', (e) => {
+            const rect = countdown.getBoundingClientRect();
+            const offsetX = e.clientX - rect.left;
+            const offsetY = e.clientY - rect.top;
+            countdown.setPointerCapture(e.pointerId);
+            countdown.classList.add('is-dragging');
+
+            const onMove = (moveEvent) =>
+                place(moveEvent.clientX - offsetX, moveEvent.clientY - offsetY);
+            const onUp = () => {
+                countdown.removeEventListener('pointermove', onMove);
+                countdown.removeEventListener('pointerup', onUp);
+                countdown.removeEventListener('pointercancel', onUp);
+                countdown.classList.remove('is-dragging');
+                const moved = countdown.getBoundingClientRect();
+                if (this.callbacks.onCountdownMoved) {
+                    this.callbacks.onCountdownMoved({ x: moved.left, y: moved.top });
+                }
+            };
+            countdown.addEventListener('pointermove', onMove);
+            countdown.addEventListener('pointerup', onUp);
+            countdown.addEventListener('pointercancel', onUp);
+        });
+
+        return countdown;
+    }
+
+    /**
+     * Show the grace-period warning: a full-page notice that the site is about
+     * to be blocked, which the user can shrink to a corner pill to finish up.
+     * Repeated calls only move the deadline.
+     * @param {number} endsAt - When the block takes over (epoch ms).
+     */
+    showGraceOverlay(endsAt) {
+        if (!document.body) return;
+
+        let grace = document.getElementById('timedash-grace');
+        if (!grace) {
+            grace = document.createElement('div');
+            grace.id = 'timedash-grace';
+            grace.className = 'timedash-grace';
+            grace.setAttribute('role', 'alertdialog');
+
+            const card = document.createElement('div');
+            card.className = 'timedash-grace-card';
+            const title = document.createElement('p');
+            title.className = 'timedash-grace-title';
+            title.textContent = chrome.i18n.getMessage('graceTitle');
+            const text = document.createElement('p');
+            text.className = 'timedash-grace-text';
+            text.setAttribute('aria-live', 'polite');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'timedash-grace-btn';
+            button.textContent = chrome.i18n.getMessage('graceFinishUp');
+            button.addEventListener('click', () => {
+                grace.classList.add('is-collapsed');
+                this.renderGraceText(grace);
+            });
+
+            card.append(title, text, button);
+            grace.appendChild(card);
+            document.body.appendChild(grace);
+        }
+
+        grace._endsAt = endsAt;
+        this.renderGraceText(grace);
+        if (!grace._timer) {
+            grace._timer = setInterval(() => {
+                if (Date.now() >= grace._endsAt) {
+                    clearInterval(grace._timer);
+                    grace.remove();
+                    return;
+                }
+                this.renderGraceText(grace);
+            }, 1000);
+        }
+    }
+
+    renderGraceText(grace) {
+        const seconds = String(Math.max(0, Math.ceil((grace._endsAt - Date.now()) / 1000)));
+        const text = grace.querySelector('.timedash-grace-text');
+        text.textContent = grace.classList.contains('is-collapsed')
+            ? chrome.i18n.getMessage('graceCountdownShort', [seconds])
+            : chrome.i18n.getMessage('graceCountdown', [seconds]);
+    }
+
     updateSettings(settings) {
         this.settings = settings;
+        if (!settings.showCountdownOverlay) this.removeCountdown();
 
         // Apply overlay color
         if (settings.overlayColor) {
@@ -6,7 +6,8 @@
 
 /**
  * Rule that completely blocks access to a site
- * No time-based conditions - site is always inaccessible when enabled
+ * No usage conditions - site is inaccessible whenever the rule is enabled
+ * and its schedule (if any) is active
  */
 class BlockedRule extends SiteRule {
     /**
@@ -40,6 +41,8 @@ class BlockedRule extends SiteRule {
     static fromJSON(data) {
         const rule = new BlockedRule(data.domain, data.isEnabled);
         rule.createdAt = data.createdAt || Date.now();
+        rule.setSchedule(data.schedule);
+        rule.setGraceSeconds(data.graceSeconds);
         return rule;
     }
 }
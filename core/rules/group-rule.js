@@ -2,11 +2,16 @@
  * @file Group budget rule for shared daily time limits across domains
  */
 
+/* global RuleSchedule, RuleBudget, TimeUtils */
+
 /**
- * Group budget aggregating multiple domains under one shared daily time limit.
+ * Group budget aggregating multiple domains under one shared daily time limit
+ * and, optionally, a shared limit on how often they are opened each day.
  * Does not extend SiteRule as groups represent a compound concept.
  */
 class GroupRule {
+    static CATEGORIES = ['productive', 'neutral', 'distracting'];
+
     /**
      * @param {object} [params] - Initialization options.
      * @param {string} [params.id] Unique ID (auto generated if omitted)
@@ -15,6 +20,12 @@ class GroupRule {
      * @param {number} [params.timeLimitMinutes] Daily limit in minutes
      * @param {boolean} [params.isEnabled] Group active status
      * @param {string} [params.icon] Category icon key
+     * @param {Object<string, number>} [params.dayLimits] Per-weekday limit overrides (0 = Sunday)
+     * @param {Array} [params.schedule] Windows during which the budget applies
+     * @param {string|null} [params.category] Productivity category (null = unset)
+     * @param {number} [params.maxVisits] Opens allowed per day across the group (0 = no limit)
+     * @param {string} [params.budgetMode] 'daily' or 'weekly' (day limits pooled over the week)
+     * @param {number} [params.carryOverMinutes] Cap on unused minutes carried into the next period (0 = off)
      */
     constructor({
         id,
@@ -23,6 +34,12 @@ class GroupRule {
         timeLimitMinutes = 60,
         isEnabled = true,
         icon = 'folder',
+        dayLimits = {},
+        schedule = [],
+        category = null,
+        maxVisits = 0,
+        budgetMode = 'daily',
+        carryOverMinutes = 0,
     } = {}) {
         this.id = id || crypto.randomUUID();
         this.name = name;
@@ -30,6 +47,12 @@ class GroupRule {
         this.timeLimitMinutes = timeLimitMinutes;
         this.isEnabled = isEnabled;
         this.icon = icon || 'folder';
+        this.dayLimits = GroupRule.normalizeDayLimits(dayLimits);
+        this.schedule = RuleSchedule.normalize(schedule);
+        this.category = GroupRule.normalizeCategory(category);
+        this.maxVisits = GroupRule.normalizeMaxVisits(maxVisits);
+        this.budgetMode = RuleBudget.normalizeMode(budgetMode);
+        this.carryOverMinutes = RuleBudget.normalizeCarryOver(carryOverMinutes);
         this.createdAt = Date.now();
         this.updatedAt = Date.now();
         this.deletedAt = null;
@@ -46,34 +69,127 @@ class GroupRule {
     }
 
     /**
-     * Evaluate collective usage against the group limit
+     * Clean a per-weekday limit map, dropping invalid days and values
+     * @param {*} raw Candidate map of weekday index -> minutes
+     * @param {number} [maxCap] Upper bound applied to each value
+     * @returns {Object<string, number>} Clean map (may be empty)
+     */
+    static normalizeDayLimits(raw, maxCap = Infinity) {
+        const clean = {};
+        if (!raw || typeof raw !== 'object') return clean;
+        for (const [day, minutes] of Object.entries(raw)) {
+            const index = Number(day);
+            const value = minutes === null || minutes === '' ? NaN : Number(minutes);
+            if (!Number.isInteger(index) || index < 0 || index > 6) continue;
+            if (!Number.isFinite(value) || value < 0) continue;
+            clean[index] = Math.round(Math.min(value, maxCap));
+        }
+        return clean;
+    }
+
+    /**
+     * Validate a productivity category
+     * @param {*} value Candidate category
+     * @returns {string|null} The category, or null if unset/unknown
+     */
+    static normalizeCategory(value) {
+        return GroupRule.CATEGORIES.includes(value) ? value : null;
+    }
+
+    /**
+     * Validate a daily open limit
+     * @param {*} value Candidate count
+     * @returns {number} Whole number of opens, or 0 (no limit) if invalid
+     */
+    static normalizeMaxVisits(value) {
+        const count = Math.round(Number(value));
+        return Number.isFinite(count) && count > 0 ? count : 0;
+    }
+
+    /**
+     * Get the budget that applies on a given day
+     * @param {Date} [date] Day to look up (defaults to the current usage day)
+     * @returns {number} Limit in minutes (weekday override or default)
+     */
+    getLimitForDate(date = TimeUtils.getUsageDay()) {
+        const override = this.dayLimits[date.getDay()];
+        return override !== undefined ? override : this.timeLimitMinutes;
+    }
+
+    /**
+     * Check whether the group budget applies at a given moment
+     * @param {Date} [date] Moment to test (defaults to now)
+     * @returns {boolean} True if inside the group's schedule (or it has none)
+     */
+    isActiveAt(date = new Date()) {
+        return RuleSchedule.isActive(this.schedule, date);
+    }
+
+    /**
+     * Evaluate collective usage against the group budget for the current period
      * @param {number} groupUsageSeconds Total seconds used today
      * @param {number} [maxCap] Optional global max cap in minutes
-     * @returns {{ shouldBlock: boolean, reason: string|null, remainingMinutes: number }} Evaluation decision.
+     * @param {Date} [now] Moment to evaluate (selects the day budget and schedule)
+     * @param {Object<string, number>} [history] Group seconds per 'YYYY-MM-DD', read by
+     *        weekly and carry-over budgets
+     * @returns {{ shouldBlock: boolean, reason: string|null, remainingMinutes: number, budgetMode?: string, allowanceMinutes?: number, carriedMinutes?: number, usedSeconds?: number }} Evaluation decision and the period's balance.
      */
-    evaluate(groupUsageSeconds, maxCap = 0) {
-        const effectiveLimit =
-            maxCap > 0 ? Math.min(this.timeLimitMinutes, maxCap) : this.timeLimitMinutes;
+    evaluate(groupUsageSeconds, maxCap = 0, now = new Date(), history = {}) {
+        const capped = (minutes) => (maxCap > 0 ? Math.min(minutes, maxCap) : minutes);
+        const effectiveLimit = capped(this.getLimitForDate(TimeUtils.getUsageDay(now)));
 
-        if (!this.isEnabled) {
+        if (!this.isEnabled || !this.isActiveAt(now)) {
             return { shouldBlock: false, reason: null, remainingMinutes: effectiveLimit };
         }
 
-        const totalMinutesToday = groupUsageSeconds / 60;
-        const remaining = Math.max(0, effectiveLimit - totalMinutesToday);
+        const budget = RuleBudget.evaluate({
+            mode: this.budgetMode,
+            carryOverMinutes: this.carryOverMinutes,
+            limitForDay: (day) => capped(this.getLimitForDate(day)),
+            history,
+            todaySeconds: groupUsageSeconds,
+            since: this.createdAt,
+            now,
+        });
+        const balance = {
+            budgetMode: budget.mode,
+            allowanceMinutes: budget.allowanceMinutes,
+            carriedMinutes: budget.carriedMinutes,
+            usedSeconds: budget.usedSeconds,
+        };
 
-        if (totalMinutesToday >= effectiveLimit) {
+        if (budget.remainingMinutes <= 0) {
             return {
                 shouldBlock: true,
                 reason: 'restricted_group',
                 remainingMinutes: 0,
+                ...balance,
             };
         }
 
         return {
             shouldBlock: false,
             reason: null,
-            remainingMinutes: Math.ceil(remaining),
+            remainingMinutes: Math.ceil(budget.remainingMinutes),
+            ...balance,
+        };
+    }
+
+    /**
+     * Evaluate today's opens of the group's sites against its open limit.
+     * The open being evaluated is already counted.
+     * @param {number} visits Opens of the group's sites today
+     * @param {Date} [now] Moment to evaluate (selects the schedule)
+     * @returns {{ shouldBlock: boolean, reason: string|null, visits: number, maxVisits: number }} Evaluation decision.
+     */
+    evaluateVisits(visits, now = new Date()) {
+        const blocked =
+            this.isEnabled && this.maxVisits > 0 && this.isActiveAt(now) && visits > this.maxVisits;
+        return {
+            shouldBlock: blocked,
+            reason: blocked ? 'visits_group' : null,
+            visits,
+            maxVisits: this.maxVisits,
         };
     }
 
@@ -89,6 +205,12 @@ class GroupRule {
             timeLimitMinutes: this.timeLimitMinutes,
             isEnabled: this.isEnabled,
             icon: this.icon,
+            dayLimits: { ...this.dayLimits },
+            schedule: this.schedule.map((w) => ({ ...w, days: [...w.days] })),
+            category: this.category,
+            maxVisits: this.maxVisits,
+            budgetMode: this.budgetMode,
+            carryOverMinutes: this.carryOverMinutes,
             createdAt: this.createdAt,
             updatedAt: this.updatedAt,
             deletedAt: this.deletedAt,
@@ -108,6 +230,12 @@ class GroupRule {
             timeLimitMinutes: data.timeLimitMinutes,
             isEnabled: data.isEnabled,
             icon: data.icon || 'folder',
+            dayLimits: data.dayLimits || {},
+            schedule: data.schedule || [],
+            category: data.category,
+            maxVisits: data.maxVisits,
+            budgetMode: data.budgetMode,
+            carryOverMinutes: data.carryOverMinutes,
         });
         group.createdAt = data.createdAt || Date.now();
         group.updatedAt = data.updatedAt || Date.now();
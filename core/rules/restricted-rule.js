@@ -1,12 +1,13 @@
-/* global SiteRule */
+/* global SiteRule, RuleBudget */
 
 /**
  * @file Restricted rule - allows access until a time limit is exceeded
  */
 
 /**
- * Rule that restricts access based on daily time usage
- * Site is accessible until the configured time limit is exceeded
+ * Rule that restricts access based on time usage
+ * Site is accessible until the configured time limit is exceeded; the limit
+ * is a daily budget, optionally pooled per week or topped up with carry-over
  */
 class RestrictedRule extends SiteRule {
     static DEFAULT_LIMIT_MINUTES = 30;
@@ -19,36 +20,67 @@ class RestrictedRule extends SiteRule {
     constructor(domain, timeLimitMinutes = RestrictedRule.DEFAULT_LIMIT_MINUTES, isEnabled = true) {
         super(domain, SiteRule.TYPES.RESTRICTED, isEnabled);
         this.timeLimitMinutes = timeLimitMinutes;
+        /** 'daily' or 'weekly' (the daily limit pooled over the week) */
+        this.budgetMode = 'daily';
+        /** Cap on unused minutes carried into the next period (0 = off) */
+        this.carryOverMinutes = 0;
     }
 
     /**
-     * Evaluate access based on usage time
-     * @param {object} usageStats - Must contain { todayTimeSeconds }
+     * Set how the daily limit is budgeted
+     * @param {string} mode - 'daily' or 'weekly'
+     * @param {number} carryOverMinutes - Carry-over cap in minutes (0 = off)
+     */
+    setBudget(mode, carryOverMinutes) {
+        this.budgetMode = RuleBudget.normalizeMode(mode);
+        this.carryOverMinutes = RuleBudget.normalizeCarryOver(carryOverMinutes);
+    }
+
+    /**
+     * Evaluate access based on usage time in the current budget period
+     * @param {object} usageStats - Must contain { todayTimeSeconds }; weekly and
+     *        carry-over budgets also read { history } (seconds per 'YYYY-MM-DD')
      * @param {number} [maxCap] - Optional global max cap in minutes
-     * @returns {{ shouldBlock: boolean, reason: string, remainingMinutes?: number }} Evaluation result with block decision.
+     * @param {Date} [now] - Moment to evaluate
+     * @returns {{ shouldBlock: boolean, reason: string, remainingMinutes?: number, budgetMode?: string, allowanceMinutes?: number, carriedMinutes?: number, usedSeconds?: number }} Evaluation result with block decision and the period's balance.
      */
-    evaluate(usageStats, maxCap = 0) {
+    evaluate(usageStats, maxCap = 0, now = new Date()) {
         if (!this.isEnabled) {
             return { shouldBlock: false, reason: null };
         }
 
         const effectiveLimit =
             maxCap > 0 ? Math.min(this.timeLimitMinutes, maxCap) : this.timeLimitMinutes;
-        const todayTimeMinutes = (usageStats?.todayTimeSeconds || 0) / 60;
-        const remaining = effectiveLimit - todayTimeMinutes;
+        const budget = RuleBudget.evaluate({
+            mode: this.budgetMode,
+            carryOverMinutes: this.carryOverMinutes,
+            limitForDay: () => effectiveLimit,
+            history: usageStats?.history,
+            todaySeconds: usageStats?.todayTimeSeconds || 0,
+            since: this.createdAt,
+            now,
+        });
+        const balance = {
+            budgetMode: budget.mode,
+            allowanceMinutes: budget.allowanceMinutes,
+            carriedMinutes: budget.carriedMinutes,
+            usedSeconds: budget.usedSeconds,
+        };
 
-        if (todayTimeMinutes >= effectiveLimit) {
+        if (budget.remainingMinutes <= 0) {
             return {
                 shouldBlock: true,
                 reason: 'restricted',
                 remainingMinutes: 0,
+                ...balance,
             };
         }
 
         return {
             shouldBlock: false,
             reason: null,
-            remainingMinutes: Math.ceil(remaining),
+            remainingMinutes: Math.ceil(budget.remainingMinutes),
+            ...balance,
         };
     }
 
@@ -60,6 +92,8 @@ class RestrictedRule extends SiteRule {
         return {
             ...super.toJSON(),
             timeLimitMinutes: this.timeLimitMinutes,
+            budgetMode: this.budgetMode,
+            carryOverMinutes: this.carryOverMinutes,
         };
     }
 
@@ -71,6 +105,9 @@ class RestrictedRule extends SiteRule {
     static fromJSON(data) {
         const rule = new RestrictedRule(data.domain, data.timeLimitMinutes, data.isEnabled);
         rule.createdAt = data.createdAt || Date.now();
+        rule.setSchedule(data.schedule);
+        rule.setGraceSeconds(data.graceSeconds);
+        rule.setBudget(data.budgetMode, data.carryOverMinutes);
         return rule;
     }
 }
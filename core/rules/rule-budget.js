@@ -0,0 +1,145 @@
+/* global TimeUtils */
+
+/**
+ * @file Budget periods for restricted rules and groups
+ * A time limit is a daily budget by default. In weekly mode the daily limits
+ * of a whole week (Monday to Sunday) are pooled, so a light day funds a
+ * heavier one. Carry-over moves minutes left unused at the end of a period
+ * into the next one, up to a cap.
+ */
+
+/**
+ * Helpers for validating budget options and working out the balance left.
+ * Usage history is a map of 'YYYY-MM-DD' -> seconds, as stored per domain.
+ */
+class RuleBudget {
+    static MODES = ['daily', 'weekly'];
+    static MAX_CARRY_OVER_MINUTES = 1440;
+    /** Past periods walked back through when working out the carry-over */
+    static CARRY_OVER_LOOKBACK = 4;
+
+    /**
+     * Validate a budget mode
+     * @param {*} value - Candidate mode
+     * @returns {string} 'daily' or 'weekly' (daily if unknown)
+     */
+    static normalizeMode(value) {
+        return RuleBudget.MODES.includes(value) ? value : 'daily';
+    }
+
+    /**
+     * Validate a carry-over cap
+     * @param {*} value - Candidate cap in minutes
+     * @returns {number} Whole minutes, 0 (off) when invalid
+     */
+    static normalizeCarryOver(value) {
+        const minutes = Math.round(Number(value));
+        if (!Number.isFinite(minutes) || minutes <= 0) return 0;
+        return Math.min(minutes, RuleBudget.MAX_CARRY_OVER_MINUTES);
+    }
+
+    /**
+     * Check whether a budget needs usage from earlier days
+     * @param {string} mode - Budget mode
+     * @param {number} carryOverMinutes - Carry-over cap
+     * @returns {boolean} True for weekly budgets and budgets with carry-over
+     */
+    static needsHistory(mode, carryOverMinutes) {
+        return mode === 'weekly' || carryOverMinutes > 0;
+    }
+
+    /**
+     * Format a date as the key usage is stored under
+     * @param {Date} date - Day to format
+     * @returns {string} 'YYYY-MM-DD' in local time
+     */
+    static dateKey(date) {
+        return TimeUtils.formatLocalDate(date);
+    }
+
+    /**
+     * Get the first day of the budget period containing a date
+     * @param {Date} date - Any moment in the period
+     * @param {string} mode - Budget mode
+     * @returns {Date} Local midnight of the usage day (daily) or of its Monday (weekly)
+     */
+    static getPeriodStart(date, mode) {
+        const start = TimeUtils.getUsageDay(date);
+        if (mode === 'weekly') start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+        return start;
+    }
+
+    /**
+     * List the days of the period starting on a date
+     * @param {Date} start - First day of the period
+     * @param {string} mode - Budget mode
+     * @returns {Date[]} One day (daily) or seven (weekly)
+     */
+    static getPeriodDays(start, mode) {
+        const length = mode === 'weekly' ? 7 : 1;
+        return Array.from(
+            { length },
+            (_, i) => new Date(start.getFullYear(), start.getMonth(), start.getDate() + i)
+        );
+    }
+
+    /**
+     * Work out the balance of the period containing `now`
+     * @param {object} options - Budget and usage to evaluate.
+     * @param {string} options.mode - 'daily' or 'weekly'
+     * @param {number} [options.carryOverMinutes] - Cap on unused minutes moved into the next period (0 = off)
+     * @param {(day: Date) => number} options.limitForDay - Minutes allowed on a given day
+     * @param {Object<string, number>} [options.history] - Seconds used per day; today's entry is ignored
+     * @param {number} [options.todaySeconds] - Seconds used today, including time not yet stored
+     * @param {number} [options.since] - When the limit was created (ms); no carry-over is earned before its period
+     * @param {Date} [options.now] - Moment to evaluate
+     * @returns {{ mode: string, allowanceMinutes: number, carriedMinutes: number, usedSeconds: number, remainingMinutes: number }} Balance of the current period.
+     */
+    static evaluate({
+        mode,
+        carryOverMinutes = 0,
+        limitForDay,
+        history = {},
+        todaySeconds = 0,
+        since = 0,
+        now = new Date(),
+    }) {
+        const todayKey = TimeUtils.getDateKey(now);
+        const usedIn = (start) =>
+            RuleBudget.getPeriodDays(start, mode).reduce((sum, day) => {
+                const key = RuleBudget.dateKey(day);
+                return sum + (key === todayKey ? todaySeconds : Number(history?.[key]) || 0);
+            }, 0);
+        const allowanceOf = (start) =>
+            RuleBudget.getPeriodDays(start, mode).reduce((sum, day) => sum + limitForDay(day), 0);
+
+        const current = RuleBudget.getPeriodStart(now, mode);
+        let carried = 0;
+        if (carryOverMinutes > 0) {
+            const step = mode === 'weekly' ? 7 : 1;
+            const first = since ? RuleBudget.getPeriodStart(new Date(since), mode) : null;
+            for (let back = RuleBudget.CARRY_OVER_LOOKBACK; back >= 1; back--) {
+                const start = new Date(
+                    current.getFullYear(),
+                    current.getMonth(),
+                    current.getDate() - back * step
+                );
+                if (first && start < first) continue;
+                const unused = allowanceOf(start) + carried - usedIn(start) / 60;
+                carried = Math.min(carryOverMinutes, Math.max(0, Math.floor(unused)));
+            }
+        }
+
+        const allowanceMinutes = allowanceOf(current) + carried;
+        const usedSeconds = usedIn(current);
+        return {
+            mode,
+            allowanceMinutes,
+            carriedMinutes: carried,
+            usedSeconds,
+            remainingMinutes: allowanceMinutes - usedSeconds / 60,
+        };
+    }
+}
+
+// Export for use in other modules
@@ -1,4 +1,4 @@
-/* global SiteRule, BlockedRule, RestrictedRule, GroupRule, DomainUtils */
+/* global SiteRule, BlockedRule, RestrictedRule, VisitLimitedRule, GroupRule, RuleSchedule, DomainUtils */
 
 /**
  * @file RuleManager - manages all site access rules
@@ -17,6 +17,8 @@ class RuleManager {
         this.rules = new Map();
         /** @type {GroupRule[]} */
         this.groups = [];
+        /** @type {Map<string, number>} Temporary unlocks: tracking key -> expiry (epoch ms) */
+        this.unlocks = new Map();
     }
 
     /**
@@ -25,6 +27,7 @@ class RuleManager {
     async init() {
         await this.loadFromStorage();
         await this.loadGroupsFromStorage();
+        await this.loadUnlocksFromStorage();
     }
 
     /**
@@ -80,6 +83,8 @@ class RuleManager {
                 return BlockedRule.fromJSON(data);
             case SiteRule.TYPES.RESTRICTED:
                 return RestrictedRule.fromJSON(data);
+            case SiteRule.TYPES.VISIT_LIMITED:
+                return VisitLimitedRule.fromJSON(data);
             default:
                 console.warn('Unknown rule type:', data.type);
                 return null;
@@ -96,15 +101,15 @@ class RuleManager {
 
     /**
      * Remove a rule by domain
-     * @param {string} domain - Domain to remove
+     * @param {string} domain - Domain (or domain/path pattern) to remove
      */
     removeRule(domain) {
-        const normalizedDomain = DomainUtils.normalizeDomain(domain);
+        const normalizedDomain = DomainUtils.normalizeRulePattern(domain);
         this.rules.delete(normalizedDomain);
     }
 
     getRule(domain) {
-        const normalizedDomain = DomainUtils.normalizeDomain(domain);
+        const normalizedDomain = DomainUtils.normalizeRulePattern(domain);
         return this.rules.get(normalizedDomain);
     }
 
@@ -120,14 +125,39 @@ class RuleManager {
         return rule && rule.domain === normalized ? rule : null;
     }
 
+    /**
+     * Find the most specific enabled rule matching a URL
+     * (path rules before host rules, deeper subdomains before parents)
+     * @param {string} url - URL to match
+     * @param {Date} [now] - Only consider rules whose schedule is active at this moment
+     * @returns {SiteRule|null} Best matching rule or null.
+     */
+    findMatchingRule(url, now = null) {
+        let best = null;
+        for (const rule of this.rules.values()) {
+            if (!rule.isEnabled || !rule.isMatch(url)) continue;
+            if (now && !rule.isActiveAt(now)) continue;
+            if (!best || rule.getSpecificity() > best.getSpecificity()) best = rule;
+        }
+        return best;
+    }
+
     /**
      * Resolve the storage/tracking key for a URL:
-     * the full hostname when it is specifically specified by a rule,
-     * otherwise the registrable domain (aggregating pages + subdomains).
+     * the rule pattern when a restricted or visit-limited path rule applies
+     * (so its limit counts only time on and opens of those pages), the full
+     * hostname when it is
+     * specifically specified by a rule, otherwise the registrable domain
+     * (aggregating pages + subdomains).
      * @param {string} url - URL being tracked
      * @returns {string} Tracking key
      */
     resolveTrackingDomain(url) {
+        const matched = this.findMatchingRule(url);
+        if (matched && matched.path && matched.type !== SiteRule.TYPES.BLOCKED) {
+            return matched.domain;
+        }
+
         const hostname = DomainUtils.extractHostname(url);
         if (hostname) {
             const exact = this.getExactRule(hostname);
@@ -138,7 +168,7 @@ class RuleManager {
 
     /**
      * Get all rules of a specific type
-     * @param {string} type - Rule type (BLOCKED or RESTRICTED)
+     * @param {string} type - Rule type (BLOCKED, RESTRICTED or VISIT_LIMITED)
      * @returns {SiteRule[]} Array of rules matching type.
      */
     getRulesByType(type) {
@@ -155,15 +185,43 @@ class RuleManager {
 
     /**
      * Get all restricted domains with their limits
-     * @returns {Array<{domain: string, timeLimitMinutes: number}>} List of restricted domains and limits.
+     * @returns {Array<{domain: string, timeLimitMinutes: number, graceSeconds: number, budgetMode: string, carryOverMinutes: number}>} List of restricted domains, limits, grace periods and budget options.
      */
     getRestrictedDomains() {
         return this.getRulesByType(SiteRule.TYPES.RESTRICTED).map((r) => ({
             domain: r.domain,
             timeLimitMinutes: r.timeLimitMinutes,
+            graceSeconds: r.graceSeconds,
+            budgetMode: r.budgetMode,
+            carryOverMinutes: r.carryOverMinutes,
+        }));
+    }
+
+    /**
+     * Get all visit-limited domains with their daily open counts
+     * @returns {Array<{domain: string, maxVisits: number}>} List of visit-limited domains and limits.
+     */
+    getVisitLimitedDomains() {
+        return this.getRulesByType(SiteRule.TYPES.VISIT_LIMITED).map((r) => ({
+            domain: r.domain,
+            maxVisits: r.maxVisits,
         }));
     }
 
+    /**
+     * Get schedule windows for every rule that has any
+     * @returns {Object<string, Array>} Map of domain -> schedule windows
+     */
+    getRuleSchedules() {
+        const schedules = {};
+        for (const rule of this.rules.values()) {
+            if (rule.schedule && rule.schedule.length > 0) {
+                schedules[rule.domain] = rule.toJSON().schedule;
+            }
+        }
+        return schedules;
+    }
+
     /**
      * Check if a domain has any active rule
      * @param {string} domain - Domain to check
@@ -265,6 +323,21 @@ class RuleManager {
         );
     }
 
+    /**
+     * Check whether opens of a URL count against a limit, either its
+     * visit-limited rule or a group with an open limit
+     * @param {string} url - URL being opened
+     * @returns {boolean} True if the open should be counted
+     */
+    hasVisitLimit(url) {
+        const rule = this.findMatchingRule(url);
+        if (rule && rule.type === SiteRule.TYPES.VISIT_LIMITED) return true;
+        const group =
+            this.getGroupForDomain(DomainUtils.extractHostname(url) || '') ||
+            this.getGroupForDomain(DomainUtils.extractDomain(url) || '');
+        return Boolean(group && group.maxVisits > 0);
+    }
+
     /**
      * Find an active group by name (for duplicate name check)
      * @param {string} name - Group name
@@ -284,53 +357,203 @@ class RuleManager {
         return this.groups.find((g) => !g.deletedAt && g.domains.includes(normalized)) || null;
     }
 
+    /**
+     * Restore unexpired temporary unlocks recorded in blockStats
+     */
+    async loadUnlocksFromStorage() {
+        try {
+            const result = await chrome.storage.local.get('blockStats');
+            const stats = result.blockStats || {};
+            const now = Date.now();
+            this.unlocks.clear();
+            for (const [domain, entry] of Object.entries(stats)) {
+                const until = Number(entry?.unlockedUntil) || 0;
+                if (until > now) this.unlocks.set(domain, until);
+            }
+        } catch (error) {
+            console.error('Error loading unlocks from storage:', error);
+        }
+    }
+
+    /**
+     * Temporarily lift blocking for a site
+     * @param {string} domain - Tracking key the site was blocked under
+     * @param {number} until - Epoch ms at which the unlock expires
+     */
+    grantUnlock(domain, until) {
+        this.unlocks.set(domain, until);
+    }
+
+    /**
+     * Get the expiry of an active temporary unlock covering a URL
+     * @param {string} url - URL to check
+     * @param {Date} [now] - Moment to check against
+     * @returns {number} Expiry (epoch ms), or 0 if the URL is not unlocked
+     */
+    getUnlockExpiry(url, now = new Date()) {
+        if (this.unlocks.size === 0) return 0;
+        const time = now.getTime();
+        const keys = [
+            this.resolveTrackingDomain(url),
+            DomainUtils.extractHostname(url),
+            DomainUtils.extractDomain(url),
+        ];
+        let until = 0;
+        for (const key of keys) {
+            const expiry = this.unlocks.get(key);
+            if (expiry === undefined) continue;
+            if (expiry <= time) this.unlocks.delete(key);
+            else until = Math.max(until, expiry);
+        }
+        return until;
+    }
+
+    /**
+     * Check whether allowlist-only mode is in force
+     * @param {object} [settings] - Extension settings object
+     * @param {Date} [now] - Moment to check against
+     * @returns {boolean} True while the timer runs or the clock is inside the schedule
+     */
+    isAllowlistModeActive(settings = {}, now = new Date()) {
+        if (settings.allowlistMode === 'timed') {
+            return Number(settings.allowlistUntil || 0) > now.getTime();
+        }
+        if (settings.allowlistMode === 'scheduled') {
+            const schedule = RuleSchedule.normalize(settings.allowlistSchedule);
+            return schedule.length > 0 && RuleSchedule.isActive(schedule, now);
+        }
+        return false;
+    }
+
+    /**
+     * Check whether a URL is on the allowlist, either directly (subdomains
+     * included) or through one of the allowed groups
+     * @param {string} url - URL to check
+     * @param {object} [settings] - Extension settings object
+     * @returns {boolean} True if the URL may be opened in allowlist-only mode
+     */
+    isAllowlisted(url, settings = {}) {
+        const hostname = DomainUtils.extractHostname(url);
+        if (!hostname) return false;
+
+        const domains = Array.isArray(settings.allowlistDomains) ? settings.allowlistDomains : [];
+        if (domains.some((d) => hostname === d || hostname.endsWith('.' + d))) return true;
+
+        const groupIds = Array.isArray(settings.allowlistGroupIds)
+            ? settings.allowlistGroupIds
+            : [];
+        return this.groups.some(
+            (g) => !g.deletedAt && groupIds.includes(g.id) && g.contains(hostname)
+        );
+    }
+
     /**
      * Evaluate whether access to a URL should be blocked
-     * Checks individual rules first, then group budgets.
+     * Allowlist-only mode comes first and blocks every site not on the
+     * allowlist; a temporary unlock cannot override it. Otherwise the most
+     * specific matching rule is checked, then group open counts and budgets.
+     * Rules and groups with schedule windows are skipped while the clock is
+     * outside all of their windows (the next most specific rule then applies),
+     * and nothing blocks while a temporary unlock is active.
      * @param {string} url - URL to evaluate
-     * @param {object} usageStats - Usage statistics {todayTimeSeconds}
+     * @param {object} usageStats - Usage statistics {todayTimeSeconds, todayVisits, groupVisits,
+     *        history, groupHistory}, where groupVisits maps groupId -> opens of the group's
+     *        sites today and the histories (seconds per day) feed weekly and carry-over budgets
      * @param {object} [groupUsageSecondsMap] - Map of groupId -> total seconds used today
      * @param {object} [settings] - Extension settings object
-     * @returns {{ shouldBlock: boolean, reason: string|null, domain: string, groupName?: string }} Decision object.
+     * @param {Date} [now] - Moment to evaluate schedules against
+     * @returns {{ shouldBlock: boolean, reason: string|null, domain: string, groupName?: string, graceSeconds?: number, visits?: number, maxVisits?: number, unlockedUntil?: number, limits?: Array<{key: string, name: string, mode: string, limitMinutes: number, carriedMinutes: number, usedSeconds: number}>, remainingMinutes?: number }} Decision object; when access is allowed, limits lists the budgets still running down (limitMinutes and usedSeconds cover the whole budget period) and remainingMinutes is the time left on the tightest one.
      */
-    evaluateAccess(url, usageStats = {}, groupUsageSecondsMap = {}, settings = {}) {
+    evaluateAccess(
+        url,
+        usageStats = {},
+        groupUsageSecondsMap = {},
+        settings = {},
+        now = new Date()
+    ) {
         try {
             const hostname = DomainUtils.extractHostname(url);
             const registrable = DomainUtils.extractDomain(url);
 
-            // A specifically specified subdomain tracks (and blocks) under its
-            // full hostname; everything else aggregates under the registrable domain.
-            let domain = registrable;
-            let rule = this.getExactRule(hostname);
-            if (rule && rule.isEnabled) {
-                domain = hostname;
-            } else {
-                rule = this.getRule(registrable);
-            }
+            // The most specific rule in force decides (e.g. "youtube.com/shorts"
+            // over "youtube.com"); outside its schedule a broader rule takes over.
+            // Usage is keyed the same way tracking keys it.
+            const rule = this.findMatchingRule(url, now);
+            const domain = this.resolveTrackingDomain(url);
             const restrictedCap = Number(settings.restrictedSliderMax || 0);
 
-            // 1. Individual rule check
-            if (rule && rule.isEnabled) {
-                const result = rule.evaluate(usageStats, restrictedCap);
+            // 0. Allowlist-only mode: everything not explicitly allowed is blocked
+            if (this.isAllowlistModeActive(settings, now) && !this.isAllowlisted(url, settings)) {
+                return { shouldBlock: true, reason: 'allowlist', domain };
+            }
+
+            // 1. A temporary unlock from the block page overrides every rule
+            const unlockedUntil = this.getUnlockExpiry(url, now);
+            if (unlockedUntil) {
+                return { shouldBlock: false, reason: null, domain, unlockedUntil };
+            }
+
+            // Time limits still running down, for limit-approaching warnings
+            const limits = [];
+
+            // 2. Individual rule check (only while its schedule is active)
+            if (rule) {
+                const result = rule.evaluate(usageStats, restrictedCap, now);
                 if (result.shouldBlock) {
-                    return { ...result, domain };
+                    return { ...result, domain, graceSeconds: rule.graceSeconds };
+                }
+                if (rule.type === SiteRule.TYPES.RESTRICTED) {
+                    limits.push({
+                        key: `rule:${rule.domain}`,
+                        name: rule.domain,
+                        mode: result.budgetMode,
+                        limitMinutes: result.allowanceMinutes,
+                        carriedMinutes: result.carriedMinutes,
+                        usedSeconds: result.usedSeconds,
+                    });
                 }
             }
 
-            // 2. Group budget check (contains() already matches hierarchically)
+            // 3. Group budget check (contains() already matches hierarchically)
             const group =
                 this.getGroupForDomain(hostname) || this.getGroupForDomain(registrable);
             if (group) {
+                const groupVisits = usageStats?.groupVisits?.[group.id];
+                if (groupVisits !== undefined) {
+                    const visitResult = group.evaluateVisits(groupVisits, now);
+                    if (visitResult.shouldBlock) {
+                        return { ...visitResult, domain, groupName: group.name };
+                    }
+                }
+
                 const groupSeconds = groupUsageSecondsMap[group.id];
                 if (groupSeconds !== undefined) {
-                    const groupResult = group.evaluate(groupSeconds, restrictedCap);
+                    const groupResult = group.evaluate(
+                        groupSeconds,
+                        restrictedCap,
+                        now,
+                        usageStats?.groupHistory?.[group.id]
+                    );
                     if (groupResult.shouldBlock) {
                         return { ...groupResult, domain, groupName: group.name };
                     }
+                    if (group.isEnabled && group.isActiveAt(now)) {
+                        limits.push({
+                            key: `group:${group.id}`,
+                            name: group.name,
+                            mode: groupResult.budgetMode,
+                            limitMinutes: groupResult.allowanceMinutes,
+                            carriedMinutes: groupResult.carriedMinutes,
+                            usedSeconds: groupResult.usedSeconds,
+                        });
+                    }
                 }
             }
 
-            return { shouldBlock: false, reason: null, domain };
+            const remainingMinutes = limits.length
+                ? Math.min(...limits.map((l) => Math.ceil(l.limitMinutes - l.usedSeconds / 60)))
+                : undefined;
+            return { shouldBlock: false, reason: null, domain, limits, remainingMinutes };
         } catch (error) {
             console.error('Error evaluating access:', error);
             return { shouldBlock: false, reason: null, domain: '' };
@@ -0,0 +1,149 @@
+/* global TimeUtils */
+/**
+ * @file Schedule windows for site rules
+ * A schedule is a list of weekly windows; a rule with a non-empty schedule
+ * only applies while the clock is inside one of them.
+ */
+
+/**
+ * Helpers for validating and evaluating rule schedule windows.
+ * Window shape: { days: number[] (0 = Sunday), start: 'HH:MM', end: 'HH:MM' }
+ * - start < end: same-day window
+ * - start > end: overnight window, `days` refers to the day it starts on
+ * - start === end: the whole of each listed day
+ */
+class RuleSchedule {
+    static MAX_WINDOWS = 8;
+
+    /**
+     * Parse an 'HH:MM' string into minutes since midnight
+     * @param {string} value - Time string
+     * @returns {number|null} Minutes since midnight, or null if invalid
+     */
+    static parseTime(value) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+        if (!match) return null;
+        const hours = Number(match[1]);
+        const minutes = Number(match[2]);
+        if (hours > 23 || minutes > 59) return null;
+        return hours * 60 + minutes;
+    }
+
+    /**
+     * Validate and clean a raw schedule (from storage, messages or imports)
+     * @param {*} raw - Candidate schedule array
+     * @returns {Array<{days: number[], start: string, end: string}>} Clean schedule (may be empty)
+     */
+    static normalize(raw) {
+        if (!Array.isArray(raw)) return [];
+
+        const windows = [];
+        for (const item of raw) {
+            if (!item || typeof item !== 'object') continue;
+            const start = RuleSchedule.parseTime(item.start);
+            const end = RuleSchedule.parseTime(item.end);
+            if (start === null || end === null) continue;
+
+            const days = Array.isArray(item.days)
+                ? [...new Set(item.days.map(Number))]
+                      .filter((d) => Number.isInteger(d) && d >= 0 && d <= 6)
+                      .sort((a, b) => a - b)
+                : [];
+            if (days.length === 0) continue;
+
+            windows.push({
+                days,
+                start: RuleSchedule.formatTime(start),
+                end: RuleSchedule.formatTime(end),
+            });
+            if (windows.length >= RuleSchedule.MAX_WINDOWS) break;
+        }
+        return windows;
+    }
+
+    /**
+     * Format minutes since midnight as 'HH:MM'
+     * @param {number} minutes - Minutes since midnight
+     * @returns {string} Zero-padded time string
+     */
+    static formatTime(minutes) {
+        const h = Math.floor(minutes / 60);
+        const m = minutes % 60;
+        return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+    }
+
+    /**
+     * Check whether a schedule is active at a given moment.
+     * An empty schedule means "always active". Clock times are read in the
+     * usage time zone, and whole-day windows follow the usage day, so they
+     * run from one day-start hour to the next.
+     * @param {Array} windows - Normalized schedule windows
+     * @param {Date} [date] - Moment to test (defaults to now)
+     * @returns {boolean} True if the rule should apply at this moment
+     */
+    static isActive(windows, date = new Date()) {
+        if (!Array.isArray(windows) || windows.length === 0) return true;
+
+        const p = TimeUtils.getZonedParts(date);
+        const day = new Date(Date.UTC(p.year, p.month, p.day)).getUTCDay();
+        const previousDay = (day + 6) % 7;
+        const usageDay = TimeUtils.getUsageDay(date).getDay();
+        const now = p.hour * 60 + p.minute;
+
+        return windows.some((w) => {
+            const start = RuleSchedule.parseTime(w.start);
+            const end = RuleSchedule.parseTime(w.end);
+            if (start === null || end === null) return false;
+
+            if (start === end) return w.days.includes(usageDay);
+            if (start < end) return w.days.includes(day) && now >= start && now < end;
+            return (
+                (w.days.includes(day) && now >= start) ||
+                (w.days.includes(previousDay) && now < end)
+            );
+        });
+    }
+
+    /**
+     * Mark every minute of the week during which a schedule is active.
+     * An empty schedule marks the whole week.
+     * @param {Array} windows - Normalized schedule windows
+     * @returns {Uint8Array} One entry per minute, starting Sunday 00:00
+     */
+    static toWeekMask(windows) {
+        const WEEK = 7 * 1440;
+        const mask = new Uint8Array(WEEK);
+        if (!Array.isArray(windows) || windows.length === 0) return mask.fill(1);
+
+        const mark = (from, to) => {
+            for (let m = from; m < to; m++) mask[m % WEEK] = 1;
+        };
+        for (const w of windows) {
+            const start = RuleSchedule.parseTime(w.start);
+            const end = RuleSchedule.parseTime(w.end);
+            if (start === null || end === null) continue;
+            for (const day of w.days) {
+                const base = day * 1440;
+                if (start === end) mark(base, base + 1440);
+                else if (start < end) mark(base + start, base + end);
+                else mark(base + start, base + 1440 + end);
+            }
+        }
+        return mask;
+    }
+
+    /**
+     * Check whether one schedule is active at least whenever another one is,
+     * i.e. whether switching from `inner` to `outer` never shortens a rule.
+     * @param {Array} outer - Candidate wider schedule
+     * @param {Array} inner - Schedule that must be covered
+     * @returns {boolean} True if `outer` covers every minute of `inner`
+     */
+    static covers(outer, inner) {
+        const outerMask = RuleSchedule.toWeekMask(outer);
+        const innerMask = RuleSchedule.toWeekMask(inner);
+        return innerMask.every((active, minute) => !active || outerMask[minute] === 1);
+    }
+}
+
+// Export for use in other modules
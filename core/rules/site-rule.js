@@ -3,51 +3,106 @@
  * Provides polymorphic interface for evaluating site access policies
  */
 
-/* global DomainUtils */
+/* global DomainUtils, RuleSchedule */
 
 /**
  * Abstract base class for site access rules
- * All site policies (blocked, restricted) inherit from this
+ * All site policies (blocked, restricted, visit-limited) inherit from this
  */
 class SiteRule {
     static TYPES = {
         BLOCKED: 'BLOCKED',
         RESTRICTED: 'RESTRICTED',
+        VISIT_LIMITED: 'VISIT_LIMITED',
     };
 
+    static MAX_GRACE_SECONDS = 300;
+
     /**
-     * @param {string} domain - The domain this rule applies to
-     * @param {string} type - Rule type (BLOCKED or RESTRICTED)
+     * @param {string} domain - The domain (or domain/path pattern) this rule applies to
+     * @param {string} type - Rule type (BLOCKED, RESTRICTED or VISIT_LIMITED)
      * @param {boolean} isEnabled - Whether the rule is active
      */
     constructor(domain, type, isEnabled = true) {
         if (new.target === SiteRule) {
             throw new Error('SiteRule is abstract and cannot be instantiated directly');
         }
-        this.domain = DomainUtils.normalizeDomain(domain);
+        this.domain = DomainUtils.normalizeRulePattern(domain);
+        const { host, path } = DomainUtils.splitRulePattern(this.domain);
+        /** Hostname part of the pattern */
+        this.host = host;
+        /** Path prefix or glob, null when the rule covers the whole site */
+        this.path = path;
         this.type = type;
         this.isEnabled = isEnabled;
         this.createdAt = Date.now();
+        /** @type {Array<{days: number[], start: string, end: string}>} */
+        this.schedule = [];
+        /** Seconds the page stays open with a warning once the rule blocks it (0 = none) */
+        this.graceSeconds = 0;
+    }
+
+    /**
+     * Replace the rule's schedule windows (invalid windows are dropped)
+     * @param {Array} windows - Raw schedule windows
+     */
+    setSchedule(windows) {
+        this.schedule = RuleSchedule.normalize(windows);
+    }
+
+    /**
+     * Set the grace period shown before the block takes over an open page
+     * @param {number} seconds - Grace length; clamped to 0..MAX_GRACE_SECONDS
+     */
+    setGraceSeconds(seconds) {
+        const value = Math.round(Number(seconds) || 0);
+        this.graceSeconds = Math.max(0, Math.min(value, SiteRule.MAX_GRACE_SECONDS));
+    }
+
+    /**
+     * Check whether the rule applies at a given moment.
+     * Rules without schedule windows apply around the clock.
+     * @param {Date} [date] - Moment to test (defaults to now)
+     * @returns {boolean} True if the rule's schedule is active
+     */
+    isActiveAt(date = new Date()) {
+        return RuleSchedule.isActive(this.schedule, date);
     }
 
     /**
      * Check if this rule matches the given URL/domain.
      * Hierarchical: a rule for "utoronto.ca" matches "mail.utoronto.ca",
      * while a rule for "mail.utoronto.ca" matches only that exact host.
+     * Path rules additionally need a URL whose path matches; a bare domain
+     * never matches them.
      * @param {string} urlOrDomain - URL or domain to check
      * @returns {boolean} True if rule applies to this URL
      */
     isMatch(urlOrDomain) {
         try {
-            const host = urlOrDomain.includes('://')
+            const isUrl = urlOrDomain.includes('://');
+            const host = isUrl
                 ? DomainUtils.extractHostname(urlOrDomain)
                 : DomainUtils.normalizeDomain(urlOrDomain);
-            return host === this.domain || host.endsWith('.' + this.domain);
+            if (host !== this.host && !host.endsWith('.' + this.host)) return false;
+            if (!this.path) return true;
+            return isUrl && DomainUtils.matchesRulePath(new URL(urlOrDomain).pathname, this.path);
         } catch {
             return false;
         }
     }
 
+    /**
+     * Rank how narrowly this rule targets a site, used to pick the most
+     * specific of several matching rules. Path rules outrank host rules
+     * (longer literal paths first), then deeper hostnames win.
+     * @returns {number} Specificity score (higher is more specific)
+     */
+    getSpecificity() {
+        const pathScore = this.path ? 1 + this.path.replace(/\*/g, '').length : 0;
+        return pathScore * 1000 + this.host.split('.').length;
+    }
+
     /**
      * Evaluate whether access should be blocked
      * Must be implemented by subclasses
@@ -67,6 +122,8 @@ class SiteRule {
             type: this.type,
             isEnabled: this.isEnabled,
             createdAt: this.createdAt,
+            schedule: this.schedule.map((w) => ({ ...w, days: [...w.days] })),
+            graceSeconds: this.graceSeconds,
         };
     }
 }
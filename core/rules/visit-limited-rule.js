@@ -0,0 +1,81 @@
+/* global SiteRule */
+
+/**
+ * @file Visit-limited rule - allows a site to be opened a set number of times per day
+ */
+
+/**
+ * Rule that restricts access based on how often a site is opened each day
+ * Site is accessible until it has been opened more than the allowed number of times
+ */
+class VisitLimitedRule extends SiteRule {
+    static DEFAULT_MAX_VISITS = 5;
+    static MAX_VISITS = 999;
+
+    /**
+     * @param {string} domain - The domain to limit
+     * @param {number} maxVisits - Opens allowed per day
+     * @param {boolean} isEnabled - Whether the rule is active
+     */
+    constructor(domain, maxVisits = VisitLimitedRule.DEFAULT_MAX_VISITS, isEnabled = true) {
+        super(domain, SiteRule.TYPES.VISIT_LIMITED, isEnabled);
+        this.maxVisits = VisitLimitedRule.normalizeMaxVisits(maxVisits);
+    }
+
+    /**
+     * Clamp a visit count to a whole number between 0 and MAX_VISITS
+     * @param {*} value - Candidate count
+     * @returns {number} Clean count (defaults when not a number)
+     */
+    static normalizeMaxVisits(value) {
+        const count = Math.round(Number(value));
+        if (!Number.isFinite(count)) return VisitLimitedRule.DEFAULT_MAX_VISITS;
+        return Math.max(0, Math.min(count, VisitLimitedRule.MAX_VISITS));
+    }
+
+    /**
+     * Evaluate access based on today's opens. The open being evaluated is
+     * already counted, so the site blocks once the count goes past the limit.
+     * @param {object} usageStats - Must contain { todayVisits }
+     * @returns {{ shouldBlock: boolean, reason: string|null, visits?: number, maxVisits?: number }} Evaluation result with block decision.
+     */
+    evaluate(usageStats) {
+        if (!this.isEnabled) {
+            return { shouldBlock: false, reason: null };
+        }
+
+        const visits = usageStats?.todayVisits || 0;
+        return {
+            shouldBlock: visits > this.maxVisits,
+            reason: visits > this.maxVisits ? 'visits' : null,
+            visits,
+            maxVisits: this.maxVisits,
+        };
+    }
+
+    /**
+     * Serialize rule to plain object for storage
+     * @returns {object} Serialized rule
+     */
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            maxVisits: this.maxVisits,
+        };
+    }
+
+    /**
+     * Create VisitLimitedRule from serialized data
+     * @param {object} data - Serialized rule data
+     * @returns {VisitLimitedRule} Instantiated visit-limited rule.
+     */
+    static fromJSON(data) {
+        const rule = new VisitLimitedRule(data.domain, data.maxVisits, data.isEnabled);
+        rule.createdAt = data.createdAt || Date.now();
+        rule.setSchedule(data.schedule);
+        rule.setGraceSeconds(data.graceSeconds);
+        return rule;
+    }
+}
+
+// Export for use in other modules
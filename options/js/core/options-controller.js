@@ -31,6 +31,10 @@ export class OptionsController {
         this.blockList = [];
         this.restrictedDomains = [];
         this.earliestDate = null;
+        this.focusHistory = [];
+        this.sessionLog = {};
+        this.siteGroups = [];
+        this.lockdown = null;
         this.isDirty = false;
 
         this.ready = this.init();
@@ -70,16 +74,21 @@ export class OptionsController {
     async loadAllData() {
         await chrome.runtime.sendMessage({ type: 'FLUSH_PENDING_UPDATES' }).catch(() => {});
 
-        const [settings, usage, blockList, rules] = await Promise.all([
+        const [settings, usage, blockList, rules, focusHistory, sessionLog] = await Promise.all([
             this.storageManager.getSettings(),
             this.storageManager.getAllUsage(),
             this.storageManager.getBlockList(),
             chrome.runtime.sendMessage({ type: 'GET_SITE_RULES' }).catch(() => ({})),
+            this.storageManager.getFocusHistory(),
+            this.storageManager.getSessionLog(),
         ]);
 
         this.settings = settings;
+        await TimeUtils.watchDaySettings();
         this.usage = usage;
         this.blockList = blockList;
+        this.focusHistory = focusHistory;
+        this.sessionLog = sessionLog;
         this.restrictedDomains =
             rules && rules.restricted ? rules.restricted.map((rule) => rule.domain) : [];
     }
@@ -99,6 +108,7 @@ export class OptionsController {
         }
 
         this.blockingUI.loadSiteRules();
+        this.siteSpeedList.load();
         this.analyticsUI.update();
         if (this.dataManager && this.dataManager.updateStorageUsage) {
             this.dataManager.updateStorageUsage();
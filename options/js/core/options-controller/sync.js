@@ -45,10 +45,13 @@ export function applyOptionsSyncMethods(OptionsController) {
             try {
                 await chrome.runtime.sendMessage({ type: 'FLUSH_PENDING_UPDATES' }).catch(() => {});
 
-                const [latestSettings, latestUsage] = await Promise.all([
-                    this.storageManager.getSettings(),
-                    this.storageManager.getAllUsage(),
-                ]);
+                const [latestSettings, latestUsage, latestFocusHistory, latestSessionLog] =
+                    await Promise.all([
+                        this.storageManager.getSettings(),
+                        this.storageManager.getAllUsage(),
+                        this.storageManager.getFocusHistory(),
+                        this.storageManager.getSessionLog(),
+                    ]);
 
                 if (latestSettings.theme && latestSettings.theme !== this.settings.theme) {
                     this.applyImmediateChanges('theme', latestSettings.theme);
@@ -58,6 +61,8 @@ export function applyOptionsSyncMethods(OptionsController) {
                 }
                 this.settings = { ...this.settings, ...latestSettings };
                 this.usage = latestUsage;
+                this.focusHistory = latestFocusHistory;
+                this.sessionLog = latestSessionLog;
                 this.syncCurrentPlaybackSpeedUI();
 
                 if (this.analyticsUI) this.analyticsUI.update();
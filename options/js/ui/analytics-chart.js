@@ -79,13 +79,30 @@ export class AnalyticsChart {
 
         const dailyTotals = this.calculateTotals(dates, isYearly, year, isAllTime, years);
         const validTotals = dailyTotals.filter((day) => day.time !== null);
-        const maxTime = Math.max(...validTotals.map((day) => day.time), 0);
+        const focusToggle = document.getElementById('focusSeriesToggle');
+        const focusTotals = focusToggle?.checked ? this.calculateFocusTotals(dailyTotals) : null;
+        const categoryToggle = document.getElementById('categorySeriesToggle');
+        const categoryTotals = categoryToggle?.checked
+            ? this.calculateCategoryTotals(dailyTotals)
+            : null;
+        const maxTime = Math.max(
+            ...validTotals.map((day) => day.time),
+            ...(focusTotals || []).filter((time) => time !== null),
+            0
+        );
 
         const yLabels = [formatTime(maxTime), formatTime(maxTime / 2), '0'];
         if (chartYAxis)
             chartYAxis.innerHTML = yLabels.map((labelText) => `<span>${labelText}</span>`).join('');
 
-        this.renderSvgChart(chartContent, dailyTotals, maxTime, isYearly || isAllTime);
+        this.renderSvgChart(
+            chartContent,
+            dailyTotals,
+            maxTime,
+            isYearly || isAllTime,
+            focusTotals,
+            categoryTotals
+        );
 
         if (chartXAxis)
             chartXAxis.innerHTML = xLabels.map((labelText) => `<span>${labelText}</span>`).join('');
@@ -5,7 +5,7 @@ import { formatDateString } from '../../utils/formatting.js';
  */
 export function applyAnalyticsChartRangeMethods(AnalyticsChart) {
     AnalyticsChart.prototype.getDateRange = function getDateRange() {
-        const now = new Date();
+        const now = TimeUtils.getUsageDay();
 
         if (this.period === 'week') {
             return this.getWeekRange(now);
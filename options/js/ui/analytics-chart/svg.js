@@ -1,7 +1,13 @@
 import { formatTime, formatDateString } from '../../utils/formatting.js';
+import {
+    CATEGORY_COLORS,
+    CATEGORY_LABEL_KEYS,
+    PRODUCTIVITY_CATEGORIES,
+} from '../analytics/productivity.js';
 
 const LINE_COLOR = '#3b82f6';
 const EARLIEST_COLOR = '#f59e0b';
+const FOCUS_COLOR = '#10b981';
 
 /**
  * @param {typeof AnalyticsChart} AnalyticsChart - AnalyticsChart class to extend with SVG rendering methods.
@@ -11,7 +17,9 @@ export function applyAnalyticsChartSvgMethods(AnalyticsChart) {
         container,
         dailyTotals,
         maxTime,
-        isYearly
+        isYearly,
+        focusTotals = null,
+        categoryTotals = null
     ) {
         const width = container.clientWidth || 600;
         const height = container.clientHeight || 180;
@@ -31,7 +39,14 @@ export function applyAnalyticsChartSvgMethods(AnalyticsChart) {
             const y = height - padding - yRatio * (height - padding * 2);
 
             lastX = x;
-            points.push({ x, y, day, isEarliest: !isYearly && day.date === earliestDate });
+            points.push({
+                x,
+                y,
+                day,
+                focusTime: focusTotals ? focusTotals[i] : null,
+                categories: categoryTotals ? categoryTotals[i] : null,
+                isEarliest: !isYearly && day.date === earliestDate,
+            });
             validPoints.push({ x, y });
         });
 
@@ -54,6 +69,12 @@ export function applyAnalyticsChartSvgMethods(AnalyticsChart) {
             padding,
             height
         );
+        const focusPathD = focusTotals
+            ? this.buildFocusSeriesSvg(focusTotals, pointSpacing, maxTime, padding, height)
+            : '';
+        const categoryBarsSvg = categoryTotals
+            ? this.buildCategorySeriesSvg(categoryTotals, pointSpacing, maxTime, padding, height)
+            : '';
 
         const pointSvg = points
             .map((p) => {
@@ -87,8 +108,23 @@ export function applyAnalyticsChartSvgMethods(AnalyticsChart) {
                 }
                 const isSelected = point.day.date === this._selectedDate;
                 const selectedClass = isSelected ? ' chart-point-hitarea--selected' : '';
+                const focusLine =
+                    point.focusTime !== null
+                        ? `<br>${I18n.t('analyticsFocusTime', [formatTime(point.focusTime)])}`
+                        : '';
+                const categoryLines = point.categories
+                    ? PRODUCTIVITY_CATEGORIES.filter((category) => point.categories[category] > 0)
+                          .map(
+                              (category) =>
+                                  `<br>${I18n.t('analyticsCategoryTime', [
+                                      I18n.t(CATEGORY_LABEL_KEYS[category]),
+                                      formatTime(point.categories[category]),
+                                  ])}`
+                          )
+                          .join('')
+                    : '';
                 return `<div class="chart-point-hitarea${selectedClass}" style="left:${point.x}px;top:${point.y}px;" data-date="${point.day.date}" data-time="${formatTime(point.day.time)}" role="button" tabindex="0" aria-label="${displayDate}: ${formatTime(point.day.time)}">
-                <div class="chart-tooltip">${displayDate}<br><strong>${formatTime(point.day.time)}</strong></div>
+                <div class="chart-tooltip">${displayDate}<br><strong>${formatTime(point.day.time)}</strong>${focusLine}${categoryLines}</div>
             </div>`;
             })
             .join('');
@@ -103,7 +139,9 @@ export function applyAnalyticsChartSvgMethods(AnalyticsChart) {
             '</linearGradient>',
             '</defs>',
             areaD ? `<path d="${areaD}" fill="url(#areaGrad)" />` : '',
+            categoryBarsSvg,
             avgPathD,
+            focusPathD,
             pathD
                 ? `<path d="${pathD}" fill="none" stroke="${LINE_COLOR}" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" />`
                 : '',
@@ -118,7 +156,7 @@ export function applyAnalyticsChartSvgMethods(AnalyticsChart) {
             const pointData = points.find((p) => p.day.date === dateStr)?.day;
 
             const handleClick = () => {
-                const todayStr = formatDateString(new Date());
+                const todayStr = TimeUtils.getCurrentDate();
                 this._selectedDate = dateStr === todayStr ? null : dateStr;
                 this.render();
                 if (this.onPointClick) {
@@ -198,6 +236,65 @@ export function applyAnalyticsChartSvgMethods(AnalyticsChart) {
 
         return `<path d="${pathD}" fill="none" stroke="var(--accent-color)" stroke-width="2" stroke-dasharray="4,4" opacity="0.5" />`;
     };
+
+    AnalyticsChart.prototype.buildFocusSeriesSvg = function buildFocusSeriesSvg(
+        focusTotals,
+        pointSpacing,
+        maxTime,
+        padding,
+        height
+    ) {
+        const focusPoints = [];
+        focusTotals.forEach((time, i) => {
+            if (time === null) return;
+            const yRatio = maxTime > 0 ? time / maxTime : 0;
+            focusPoints.push({
+                x: padding + i * pointSpacing,
+                y: height - padding - yRatio * (height - padding * 2),
+            });
+        });
+
+        const pathD = generateCubicPath(focusPoints);
+        if (!pathD) return '';
+
+        return `<path d="${pathD}" fill="none" stroke="${FOCUS_COLOR}" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" />`;
+    };
+
+    /**
+     * Stacked productive / neutral / distracting bars, one per bucket, whose
+     * tops meet the usage line.
+     * @param {Array<object|null>} categoryTotals - Buckets from calculateCategoryTotals().
+     * @param {number} pointSpacing - Horizontal distance between buckets.
+     * @param {number} maxTime - Value mapped to the top of the chart.
+     * @param {number} padding - Chart padding in px.
+     * @param {number} height - Chart height in px.
+     * @returns {string} SVG markup.
+     */
+    AnalyticsChart.prototype.buildCategorySeriesSvg = function buildCategorySeriesSvg(
+        categoryTotals,
+        pointSpacing,
+        maxTime,
+        padding,
+        height
+    ) {
+        if (maxTime <= 0) return '';
+        const plotHeight = height - padding * 2;
+        const barWidth = Math.max(2, Math.min(28, pointSpacing * 0.5));
+
+        return categoryTotals
+            .map((totals, i) => {
+                if (!totals) return '';
+                const x = padding + i * pointSpacing - barWidth / 2;
+                let bottom = height - padding;
+                return PRODUCTIVITY_CATEGORIES.map((category) => {
+                    const barHeight = (totals[category] / maxTime) * plotHeight;
+                    if (barHeight <= 0) return '';
+                    bottom -= barHeight;
+                    return `<rect x="${x}" y="${bottom}" width="${barWidth}" height="${barHeight}" fill="${CATEGORY_COLORS[category]}" opacity="0.55" />`;
+                }).join('');
+            })
+            .join('');
+    };
 }
 
 function generateCubicPath(points) {
@@ -56,7 +56,7 @@ export function applyAnalyticsChartTotalsMethods(AnalyticsChart) {
             return dailyTotals;
         }
 
-        const todayStr = formatDateString(new Date());
+        const todayStr = TimeUtils.getCurrentDate();
 
         for (const date of dates) {
             if (date > todayStr) {
@@ -74,4 +74,75 @@ export function applyAnalyticsChartTotalsMethods(AnalyticsChart) {
 
         return dailyTotals;
     };
+
+    /**
+     * Sum recorded focus session time into the same buckets as the usage
+     * totals. Sessions are attributed to the local day they started on.
+     * @param {Array<object>} dailyTotals - Buckets from calculateTotals().
+     * @returns {Array<number|null>} Focus time in ms per bucket (null for future days).
+     */
+    AnalyticsChart.prototype.calculateFocusTotals = function calculateFocusTotals(dailyTotals) {
+        const byDate = {};
+        for (const entry of this.dataContext.getFocusHistory()) {
+            const seconds = Number(entry?.focusedSeconds) || 0;
+            if (!entry?.startedAt || seconds <= 0) continue;
+            const dateStr = TimeUtils.getDateKey(new Date(entry.startedAt));
+            byDate[dateStr] = (byDate[dateStr] || 0) + seconds * 1000;
+        }
+
+        return dailyTotals.map((bucket) => {
+            if (bucket.time === null) return null;
+
+            let total = 0;
+            for (const [dateStr, ms] of Object.entries(byDate)) {
+                const [y, m] = dateStr.split('-').map(Number);
+                if (bucket.month !== undefined) {
+                    if (y === bucket.year && m - 1 === bucket.month) total += ms;
+                } else if (bucket.year !== undefined) {
+                    if (y === bucket.year) total += ms;
+                } else if (dateStr === bucket.date) {
+                    total += ms;
+                }
+            }
+            return total;
+        });
+    };
+
+    /**
+     * Split the usage totals by productivity category, using the same
+     * buckets as calculateTotals().
+     * @param {Array<object>} dailyTotals - Buckets from calculateTotals().
+     * @returns {Array<{productive: number, neutral: number, distracting: number}|null>}
+     *          Time in ms per category and bucket (null for future days).
+     */
+    AnalyticsChart.prototype.calculateCategoryTotals = function calculateCategoryTotals(
+        dailyTotals
+    ) {
+        const usage = this.dataContext.getUsage();
+        const resolve = this.dataContext.getCategoryResolver();
+        const indexByKey = new Map();
+        const totals = dailyTotals.map((bucket, i) => {
+            if (bucket.time === null) return null;
+            if (bucket.month !== undefined) indexByKey.set(`${bucket.year}-${bucket.month}`, i);
+            else if (bucket.year !== undefined) indexByKey.set(String(bucket.year), i);
+            else indexByKey.set(bucket.date, i);
+            return { productive: 0, neutral: 0, distracting: 0 };
+        });
+
+        for (const domain of Object.keys(usage)) {
+            const category = resolve(domain);
+            for (const [key, seconds] of Object.entries(usage[domain])) {
+                if (!/^\d{4}-\d{2}-\d{2}$/.test(key)) continue;
+                const [y, m] = key.split('-').map(Number);
+                const index =
+                    indexByKey.get(key) ??
+                    indexByKey.get(`${y}-${m - 1}`) ??
+                    indexByKey.get(String(y));
+                if (index === undefined) continue;
+                totals[index][category] += (Number(seconds) || 0) * 1000;
+            }
+        }
+
+        return totals;
+    };
 }
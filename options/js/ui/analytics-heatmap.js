@@ -50,10 +50,19 @@ export class AnalyticsHeatmap {
         const grid = document.getElementById('heatmapGrid');
         const monthsRow = document.getElementById('heatmapMonths');
         const filter = document.getElementById('heatmapFilter')?.value || 'all';
+        const view = document.getElementById('heatmapView')?.value || 'calendar';
 
         if (!grid) return;
 
-        const today = new Date();
+        const yearNav = document.getElementById('heatmapYearNav');
+        if (yearNav) yearNav.style.display = view === 'hours' ? 'none' : '';
+        grid.classList.toggle('heatmap-grid--hours', view === 'hours');
+        if (view === 'hours') {
+            this.renderHourly(grid, monthsRow, filter);
+            return;
+        }
+
+        const today = TimeUtils.getUsageDay();
         const todayStr = formatDateString(today);
         const MS_PER_DAY = 86400000;
         const earliestDate = this.dataContext.getEarliestDate();
@@ -84,12 +93,14 @@ export class AnalyticsHeatmap {
 
         const usage = this.dataContext.getUsage();
 
-        const startMs = startDate.getTime();
+        // Step by calendar day; adding 24h at a time slips a day across DST changes
+        const dayAt = (i) =>
+            new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate() + i);
         const dailyData = {};
         let maxTime = 0;
 
         for (let i = 0; i < totalDays; i++) {
-            const d = new Date(startMs + i * MS_PER_DAY);
+            const d = dayAt(i);
             const dateStr = formatDateString(d);
             let dayTotal = 0;
             for (const domain of domainsToInclude) {
@@ -115,7 +126,7 @@ export class AnalyticsHeatmap {
         }
 
         for (let i = 0; i < totalDays; i++) {
-            const d = new Date(startMs + i * MS_PER_DAY);
+            const d = dayAt(i);
             const dateStr = formatDateString(d);
             const time = dailyData[dateStr] || 0;
             const level = this.getLevel(time, maxTime);
@@ -184,6 +195,78 @@ export class AnalyticsHeatmap {
         this._updateYearNav(earliestYear);
     }
 
+    /**
+     * Render the weekday × hour-of-day view from the hourly usage buckets
+     * (`YYYY-MM-DD_hours`), summed over every day that still has them.
+     * @param {HTMLElement} grid - Heatmap grid element.
+     * @param {HTMLElement|null} hoursRow - Header row, used for hour labels.
+     * @param {string} filter - 'all' or 'restricted'.
+     */
+    renderHourly(grid, hoursRow, filter) {
+        const usage = this.dataContext.getUsage();
+        const domainsToInclude =
+            filter === 'restricted' ? this.dataContext.getRestrictedDomains() : Object.keys(usage);
+
+        // totals[weekday][hour] in ms
+        const totals = Array.from({ length: 7 }, () => new Array(24).fill(0));
+        let maxTime = 0;
+        for (const domain of domainsToInclude) {
+            const domainData = usage[domain];
+            if (!domainData) continue;
+            for (const [key, buckets] of Object.entries(domainData)) {
+                const match = /^(\d{4}-\d{2}-\d{2})_hours$/.exec(key);
+                if (!match || !buckets || typeof buckets !== 'object') continue;
+                const weekday = this._parseLocalDate(match[1]).getDay();
+                for (const [hour, seconds] of Object.entries(buckets)) {
+                    const h = Number(hour);
+                    if (!(h >= 0 && h < 24) || typeof seconds !== 'number') continue;
+                    totals[weekday][h] += seconds * 1000;
+                    maxTime = Math.max(maxTime, totals[weekday][h]);
+                }
+            }
+        }
+
+        if (maxTime === 0) {
+            grid.style.gridTemplateColumns = '1fr';
+            grid.innerHTML = `<div class="empty-state"><p>${I18n.t('analyticsNoHourlyData')}</p></div>`;
+            if (hoursRow) hoursRow.innerHTML = '';
+            return;
+        }
+
+        const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map((d) =>
+            chrome.i18n.getMessage(`analytics${d}`)
+        );
+        const hourLabel = (h) =>
+            new Date(2000, 0, 1, h).toLocaleTimeString(undefined, { hour: 'numeric' });
+
+        // The grid flows by column, so emit one column (7 weekdays) per hour,
+        // starting at the hour the usage day begins
+        const hours = Array.from({ length: 24 }, (_, i) => (TimeUtils.dayStartHour + i) % 24);
+        const cells = [];
+        for (const h of hours) {
+            for (let d = 0; d < 7; d++) {
+                const time = totals[d][h];
+                const tooltip = `${dayNames[d]} ${hourLabel(h)}: ${formatTime(time, true)}`;
+                cells.push(
+                    `<div class="heatmap-cell" data-level="${this.getLevel(time, maxTime)}" data-tooltip="${tooltip}" aria-label="${tooltip}"></div>`
+                );
+            }
+        }
+        grid.style.gridTemplateColumns = 'repeat(24, minmax(0, 1fr))';
+        grid.innerHTML = cells.join('');
+
+        if (hoursRow) {
+            hoursRow.style.display = 'grid';
+            hoursRow.style.gridTemplateColumns = 'repeat(24, minmax(0, 1fr))';
+            hoursRow.innerHTML = [0, 3, 6, 9, 12, 15, 18, 21]
+                .map(
+                    (col) =>
+                        `<span style="grid-column: ${col + 1} / span 3; text-align: left;">${hourLabel(hours[col])}</span>`
+                )
+                .join('');
+        }
+    }
+
     /**
      * Handle cell click event on the heatmap.
      * @param {string} dateStr - Clicked date string in YYYY-MM-DD format.
@@ -198,7 +281,7 @@ export class AnalyticsHeatmap {
         if (!heading) return;
 
         const localDate = this._parseLocalDate(dateStr);
-        const todayStr = formatDateString(new Date());
+        const todayStr = TimeUtils.getCurrentDate();
         const isToday = dateStr === todayStr;
 
         if (isToday) {
@@ -310,7 +393,7 @@ export class AnalyticsHeatmap {
             const heading = document.getElementById('topSitesHeading');
             if (heading) heading.textContent = chrome.i18n.getMessage('topSitesToday');
             if (typeof this.onDaySelect === 'function') {
-                this.onDaySelect(formatDateString(new Date()));
+                this.onDaySelect(TimeUtils.getCurrentDate());
             }
         });
 
@@ -321,7 +404,7 @@ export class AnalyticsHeatmap {
             const heading = document.getElementById('topSitesHeading');
             if (heading) heading.textContent = chrome.i18n.getMessage('topSitesToday');
             if (typeof this.onDaySelect === 'function') {
-                this.onDaySelect(formatDateString(new Date()));
+                this.onDaySelect(TimeUtils.getCurrentDate());
             }
         });
     }
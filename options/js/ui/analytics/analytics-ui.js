@@ -3,7 +3,8 @@ import { AnalyticsHeatmap } from '../analytics-heatmap.js';
 import { applyAnalyticsUISetupMethods } from './analytics-ui/setup.js';
 import { applyAnalyticsUIStatsMethods } from './analytics-ui/stats.js';
 import { applyAnalyticsUITopSitesMethods } from './analytics-ui/top-sites.js';
-import { formatDateString } from '../../utils/formatting.js';
+import { applyAnalyticsUISessionMethods } from './analytics-ui/sessions.js';
+import { applyAnalyticsUIMediaMethods } from './analytics-ui/media.js';
 
 /**
  *
@@ -22,6 +23,8 @@ export class AnalyticsUI {
             getEarliestDate: () => this.earliestDate,
             getRestrictedDomains: () => this.controller.restrictedDomains || [],
             getSettings: () => this.controller.settings,
+            getFocusHistory: () => this.controller.focusHistory || [],
+            getCategoryResolver: () => this.getCategoryResolver(),
         };
 
         this.chart = new AnalyticsChart(dataContext);
@@ -30,17 +33,19 @@ export class AnalyticsUI {
         this.chart.onPointClick = (dateStr, pointData) => {
             // Sync the restricted-time bar chart to the week containing the clicked day
             if (/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) {
-                const todayStr = formatDateString(new Date());
+                const todayStr = TimeUtils.getCurrentDate();
                 this._restrictedChartEndDate = dateStr === todayStr ? null : dateStr;
                 this.renderMiniCharts();
             }
             this.showTopSitesForDate(dateStr, pointData);
+            if (/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) this.renderSessionTimeline(dateStr);
         };
 
         this.heatmap.onDaySelect = (dateStr) => {
-            const todayStr = formatDateString(new Date());
+            const todayStr = TimeUtils.getCurrentDate();
             this._restrictedChartEndDate = dateStr === todayStr ? null : dateStr;
             this.renderMiniCharts();
+            this.renderSessionTimeline(dateStr);
         };
     }
 }
@@ -48,3 +53,5 @@ export class AnalyticsUI {
 applyAnalyticsUISetupMethods(AnalyticsUI);
 applyAnalyticsUIStatsMethods(AnalyticsUI);
 applyAnalyticsUITopSitesMethods(AnalyticsUI);
+applyAnalyticsUISessionMethods(AnalyticsUI);
+applyAnalyticsUIMediaMethods(AnalyticsUI);
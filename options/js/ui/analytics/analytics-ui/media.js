@@ -0,0 +1,118 @@
+import { formatTime, formatDateString, escapeHtml } from '../../../utils/formatting.js';
+import { hydrateFavicons } from '../../../utils/dom.js';
+import { summarizeMediaWatch, getAverageSpeed, getTimeSaved } from '../media-watch.js';
+
+/**
+ * Format an average speed, e.g. 1.5×; a dash when nothing was watched.
+ * @param {number|null} speed - Average rate.
+ * @returns {string} Display value.
+ */
+function formatSpeed(speed) {
+    if (speed === null) return '–';
+    return `${Number(speed.toFixed(2))}×`;
+}
+
+/**
+ * @param {typeof AnalyticsUI} AnalyticsUI - Target class to extend with media watch time methods.
+ */
+export function applyAnalyticsUIMediaMethods(AnalyticsUI) {
+    AnalyticsUI.prototype._mediaPeriod = 'week';
+
+    AnalyticsUI.prototype.setupMediaPeriodButtons = function setupMediaPeriodButtons() {
+        if (this._mediaButtonsSetup) return;
+        this._mediaButtonsSetup = true;
+
+        document.querySelectorAll('[data-media-period]').forEach((btn) => {
+            btn.addEventListener('click', () => {
+                document
+                    .querySelectorAll('[data-media-period]')
+                    .forEach((b) => b.classList.toggle('active', b === btn));
+                this._mediaPeriod = btn.dataset.mediaPeriod;
+                this.renderMediaStats();
+            });
+        });
+    };
+
+    /**
+     * Render the media card: totals for the period, media played per day
+     * and a per-site breakdown.
+     */
+    AnalyticsUI.prototype.renderMediaStats = function renderMediaStats() {
+        const chart = document.getElementById('mediaDailyChart');
+        const sitesEl = document.getElementById('mediaSites');
+        if (!chart || !sitesEl) return;
+
+        const length = this._mediaPeriod === 'month' ? 30 : 7;
+        const now = TimeUtils.getUsageDay();
+        const days = [];
+        for (let i = length - 1; i >= 0; i--) {
+            const d = new Date(now);
+            d.setDate(now.getDate() - i);
+            days.push(formatDateString(d));
+        }
+        const summary = summarizeMediaWatch(this.controller.usage, days);
+
+        const saved = getTimeSaved(summary.watch, summary.media);
+        this.updateStat('mediaConsumed', formatTime(summary.media * 1000));
+        this.updateStat(
+            'mediaAverageSpeed',
+            formatSpeed(getAverageSpeed(summary.watch, summary.media))
+        );
+        this.updateStat('mediaTimeSaved', formatTime(Math.max(0, saved) * 1000));
+
+        if (summary.watch <= 0) {
+            chart.innerHTML = `<div class="mini-bar-empty">${chrome.i18n.getMessage('analyticsMediaEmpty')}</div>`;
+            sitesEl.innerHTML = '';
+            return;
+        }
+
+        const max = Math.max(...summary.byDay.map((d) => d.media), 1);
+        const shortLabel = (ds) => {
+            const d = new Date(ds + 'T00:00:00');
+            if (length <= 7) return d.toLocaleDateString(undefined, { weekday: 'short' });
+            return d.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+        };
+        const dayDetail = (day) =>
+            chrome.i18n.getMessage('analyticsMediaDetail', [
+                formatSpeed(getAverageSpeed(day.watch, day.media)),
+                formatTime(Math.max(0, getTimeSaved(day.watch, day.media)) * 1000, true),
+            ]);
+
+        chart.innerHTML = `<div class="mini-bar-chart-inner" role="img" aria-label="${escapeHtml(chrome.i18n.getMessage('analyticsMediaTitle'))}">
+            ${summary.byDay
+                .map((day) => {
+                    const pct = Math.round((day.media / max) * 100);
+                    const played = formatTime(day.media * 1000, true);
+                    const detail = day.watch > 0 ? `<br>${dayDetail(day)}` : '';
+                    return `<div class="mini-bar-col">
+                        <div class="mini-bar-tooltip" role="tooltip">${played}${detail}<br><span>${day.date}</span></div>
+                        <div class="mini-bar-track">
+                            <div class="mini-bar-fill${day.media > 0 ? ' has-data' : ''}" style="height:${pct}%" aria-hidden="true"></div>
+                        </div>
+                        <div class="mini-bar-label" aria-hidden="true">${shortLabel(day.date)}</div>
+                    </div>`;
+                })
+                .join('')}
+        </div>`;
+
+        const maxSite = summary.bySite[0].media || 1;
+        sitesEl.innerHTML = summary.bySite
+            .slice(0, 10)
+            .map((site) => {
+                const domain = escapeHtml(site.domain);
+                const barWidth = Math.round((site.media / maxSite) * 100);
+                return `<div class="analytics-site-item">
+                <img class="analytics-site-favicon" alt="" data-domain="${domain}">
+                <div class="analytics-site-info">
+                    <div class="analytics-site-name">${domain}</div>
+                    <div class="analytics-site-time">${formatTime(site.media * 1000, true)} · ${dayDetail(site)}</div>
+                </div>
+                <div class="analytics-site-bar">
+                    <div class="analytics-site-bar-fill" style="width:${barWidth}%"></div>
+                </div>
+            </div>`;
+            })
+            .join('');
+        hydrateFavicons(sitesEl);
+    };
+}
@@ -0,0 +1,123 @@
+import { formatTime, escapeHtml } from '../../../utils/formatting.js';
+
+const SESSION_END_KEYS = {
+    switch: 'sessionEndSwitch',
+    navigate: 'sessionEndNavigate',
+    blur: 'sessionEndBlur',
+    idle: 'sessionEndIdle',
+    block: 'sessionEndBlock',
+    close: 'sessionEndClose',
+    paused: 'sessionEndPaused',
+};
+
+/**
+ * Stable per-domain hue so the same site keeps its colour across days.
+ * @param {string} domain - Session domain.
+ * @returns {string} CSS colour.
+ */
+function domainColor(domain) {
+    let hash = 0;
+    for (let i = 0; i < domain.length; i++) {
+        hash = (hash * 31 + domain.charCodeAt(i)) | 0;
+    }
+    return `hsl(${Math.abs(hash) % 360}, 65%, 52%)`;
+}
+
+/**
+ * @param {typeof AnalyticsUI} AnalyticsUI - Target class to extend with session timeline methods.
+ */
+export function applyAnalyticsUISessionMethods(AnalyticsUI) {
+    /**
+     * Render the session timeline and list for a day.
+     * @param {string} [dateStr] - Day to show (YYYY-MM-DD); defaults to the last selected day, then today.
+     */
+    AnalyticsUI.prototype.renderSessionTimeline = function renderSessionTimeline(dateStr) {
+        const timeline = document.getElementById('sessionTimeline');
+        const axis = document.getElementById('sessionTimelineAxis');
+        const list = document.getElementById('sessionList');
+        const heading = document.getElementById('sessionTimelineHeading');
+        if (!timeline || !list) return;
+
+        const todayStr = TimeUtils.getCurrentDate();
+        if (dateStr) this._sessionDate = dateStr === todayStr ? null : dateStr;
+        const day = this._sessionDate || todayStr;
+
+        const [y, m, d] = day.split('-').map(Number);
+        const dayStart = TimeUtils.getDayStart(new Date(y, m - 1, d)).getTime();
+        const dayEnd = TimeUtils.getDayStart(new Date(y, m - 1, d + 1)).getTime();
+        const dayLength = dayEnd - dayStart;
+
+        if (heading) {
+            const isCurrentYear = y === new Date().getFullYear();
+            const displayDate = new Date(dayStart).toLocaleDateString(undefined, {
+                day: 'numeric',
+                month: 'short',
+                ...(!isCurrentYear && { year: 'numeric' }),
+            });
+            heading.textContent =
+                day === todayStr
+                    ? chrome.i18n.getMessage('analyticsSessionsToday')
+                    : chrome.i18n.getMessage('analyticsSessionsOnDate', [displayDate]);
+        }
+
+        if (axis) {
+            axis.innerHTML = [0, 6, 12, 18]
+                .map((offset) => {
+                    const hour = (TimeUtils.dayStartHour + offset) % 24;
+                    const label = new Date(2000, 0, 1, hour).toLocaleTimeString(undefined, {
+                        hour: 'numeric',
+                    });
+                    return `<span style="left: ${(offset / 24) * 100}%">${label}</span>`;
+                })
+                .join('');
+        }
+
+        const log = this.controller.sessionLog || {};
+        const sessions = (Array.isArray(log[day]) ? log[day] : [])
+            .filter((s) => s && s.domain && s.end > s.start)
+            .sort((a, b) => a.start - b.start);
+
+        if (sessions.length === 0) {
+            timeline.innerHTML = '';
+            list.innerHTML = `<div class="analytics-empty-state">${chrome.i18n.getMessage('analyticsNoSessions')}</div>`;
+            return;
+        }
+
+        const clock = (ms) =>
+            new Date(ms).toLocaleTimeString(undefined, {
+                hour: '2-digit',
+                minute: '2-digit',
+                timeZone: TimeUtils.timeZone || undefined,
+            });
+
+        timeline.innerHTML = sessions
+            .map((s) => {
+                const start = Math.max(s.start, dayStart);
+                const end = Math.min(s.end, dayEnd);
+                if (end <= start) return '';
+                const left = ((start - dayStart) / dayLength) * 100;
+                const width = Math.max(((end - start) / dayLength) * 100, 0.15);
+                const title = `${escapeHtml(s.domain)} ${clock(s.start)}–${clock(s.end)}`;
+                return `<div class="session-segment" style="left: ${left}%; width: ${width}%; background: ${domainColor(s.domain)};" title="${title}"></div>`;
+            })
+            .join('');
+
+        list.innerHTML = sessions
+            .slice()
+            .reverse()
+            .map((s) => {
+                const reasonKey = SESSION_END_KEYS[s.reason];
+                const reason = reasonKey ? chrome.i18n.getMessage(reasonKey) : '';
+                return `
+                <div class="session-item">
+                    <span class="session-swatch" style="background: ${domainColor(s.domain)};"></span>
+                    <span class="session-time">${clock(s.start)}–${clock(s.end)}</span>
+                    <span class="session-domain">${escapeHtml(s.domain)}</span>
+                    <span class="session-duration">${formatTime(s.end - s.start, true)}</span>
+                    <span class="session-reason">${reason}</span>
+                </div>
+            `;
+            })
+            .join('');
+    };
+}
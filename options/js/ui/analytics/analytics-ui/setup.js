@@ -3,10 +3,10 @@
  */
 export function applyAnalyticsUISetupMethods(AnalyticsUI) {
     AnalyticsUI.prototype.setup = function setup() {
-        document.querySelectorAll('.period-btn').forEach((btn) => {
+        document.querySelectorAll('.period-btn[data-period]').forEach((btn) => {
             btn.addEventListener('click', (e) => {
                 document
-                    .querySelectorAll('.period-btn')
+                    .querySelectorAll('.period-btn[data-period]')
                     .forEach((button) => button.classList.remove('active'));
                 e.target.classList.add('active');
                 this.currentPeriod = e.target.dataset.period;
@@ -20,13 +20,19 @@ export function applyAnalyticsUISetupMethods(AnalyticsUI) {
         const nextBtn = document.getElementById('chartNext');
         const todayBtn = document.getElementById('chartToday');
         const rollingToggle = document.getElementById('rollingAverageToggle');
+        const focusToggle = document.getElementById('focusSeriesToggle');
+        const categoryToggle = document.getElementById('categorySeriesToggle');
         const heatmapFilter = document.getElementById('heatmapFilter');
+        const heatmapView = document.getElementById('heatmapView');
 
         if (prevBtn) prevBtn.addEventListener('click', () => this.navigateChart('prev'));
         if (nextBtn) nextBtn.addEventListener('click', () => this.navigateChart('next'));
         if (todayBtn) todayBtn.addEventListener('click', () => this.resetChartToToday());
         if (rollingToggle) rollingToggle.addEventListener('change', () => this.chart.render());
+        if (focusToggle) focusToggle.addEventListener('change', () => this.chart.render());
+        if (categoryToggle) categoryToggle.addEventListener('change', () => this.chart.render());
         if (heatmapFilter) heatmapFilter.addEventListener('change', () => this.heatmap.render());
+        if (heatmapView) heatmapView.addEventListener('change', () => this.heatmap.render());
     };
 
     AnalyticsUI.prototype.navigateChart = function navigateChart(direction) {
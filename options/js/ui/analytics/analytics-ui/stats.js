@@ -1,5 +1,13 @@
 import { formatTime, formatDateString } from '../../../utils/formatting.js';
 import { hydrateFavicons } from '../../../utils/dom.js';
+import {
+    CATEGORY_COLORS,
+    CATEGORY_LABEL_KEYS,
+    PRODUCTIVITY_CATEGORIES,
+    calculateCategoryBreakdown,
+    calculateProductivityScore,
+    createCategoryResolver,
+} from '../productivity.js';
 
 /**
  * @param {typeof AnalyticsUI} AnalyticsUI - Target class to extend with stats calculation methods.
@@ -8,7 +16,7 @@ export function applyAnalyticsUIStatsMethods(AnalyticsUI) {
     AnalyticsUI.prototype.update = function update() {
         const usage = this.controller.usage || {};
         const domains = Object.keys(usage);
-        const today = formatDateString(new Date());
+        const today = TimeUtils.getCurrentDate();
 
         let totalOverall = 0;
         let todayTotal = 0;
@@ -39,6 +47,7 @@ export function applyAnalyticsUIStatsMethods(AnalyticsUI) {
         this.updateSitesCount(domains.length);
         this.calculateAndStoreDailyAverages(usage);
         this.calculateAndUpdateNetChange(usage);
+        this.updateProductivityStat(usage, today);
         this.restartDailyAverageCycle();
         this.updatePeriodStats();
 
@@ -49,6 +58,49 @@ export function applyAnalyticsUIStatsMethods(AnalyticsUI) {
         this.heatmap.render();
         this.renderMiniCharts();
         this.setupMiniChartPeriodButtons();
+        this.renderMediaStats();
+        this.setupMediaPeriodButtons();
+        this.renderSessionTimeline();
+    };
+
+    /**
+     * Build the domain -> productivity category resolver from the user's
+     * site tags and group categories.
+     * @returns {function(string): string} Resolver for createCategoryResolver().
+     */
+    AnalyticsUI.prototype.getCategoryResolver = function getCategoryResolver() {
+        return createCategoryResolver(
+            this.controller.settings?.domainCategories,
+            this.controller.siteGroups
+        );
+    };
+
+    /**
+     * Show a day's productivity score and its category breakdown bar.
+     * @param {object} usage - Usage map keyed by domain.
+     * @param {string} dateStr - Day to score (YYYY-MM-DD).
+     */
+    AnalyticsUI.prototype.updateProductivityStat = function updateProductivityStat(usage, dateStr) {
+        const breakdown = calculateCategoryBreakdown(usage, dateStr, this.getCategoryResolver());
+        const score = calculateProductivityScore(breakdown);
+        this.updateStat('analyticsProductivityScore', score === null ? '–' : String(score));
+
+        const bar = document.getElementById('analyticsCategoryBreakdown');
+        if (!bar) return;
+        const total = breakdown.productive + breakdown.neutral + breakdown.distracting;
+        bar.innerHTML =
+            total > 0
+                ? PRODUCTIVITY_CATEGORIES.filter((category) => breakdown[category] > 0)
+                      .map((category) => {
+                          const pct = (breakdown[category] / total) * 100;
+                          const label = chrome.i18n.getMessage('analyticsCategoryTime', [
+                              chrome.i18n.getMessage(CATEGORY_LABEL_KEYS[category]),
+                              formatTime(breakdown[category]),
+                          ]);
+                          return `<div class="category-breakdown-segment" style="width: ${pct}%; background: ${CATEGORY_COLORS[category]};" title="${label}"></div>`;
+                      })
+                      .join('')
+                : '';
     };
 
     AnalyticsUI.prototype.updatePeriodStats = function updatePeriodStats() {
@@ -81,7 +133,7 @@ export function applyAnalyticsUIStatsMethods(AnalyticsUI) {
         days,
         offset = 0
     ) {
-        const now = new Date();
+        const now = TimeUtils.getUsageDay();
         let total = 0;
         let validDays = 0;
 
@@ -238,7 +290,7 @@ export function applyAnalyticsUIStatsMethods(AnalyticsUI) {
     };
 
     AnalyticsUI.prototype.calculatePeriodTotal = function calculatePeriodTotal(usage) {
-        const now = new Date();
+        const now = TimeUtils.getUsageDay();
         const todayStr = formatDateString(now);
         const earliestStr = this.earliestDate || todayStr;
         const domains = Object.keys(usage);
@@ -332,7 +384,7 @@ periodLabel = chrome.i18n.getMessage('today');
         if (!el) return;
 
         const days = period === 'month' ? 30 : 7;
-        const now = endDate ? new Date(endDate + 'T00:00:00') : new Date();
+        const now = endDate ? new Date(endDate + 'T00:00:00') : TimeUtils.getUsageDay();
         const labels = [];
         const values = [];
 
@@ -414,20 +466,19 @@ periodLabel = chrome.i18n.getMessage('today');
         const container = document.getElementById('analyticsTopSites');
         if (!heading || !container) return;
 
-        const todayStr = formatDateString(new Date());
+        const todayStr = TimeUtils.getCurrentDate();
         const isToday = dateStr === todayStr;
 
         // Sync the usage-trends line chart to the week containing this day
         const lineChart = this.chart;
         if (lineChart.period !== 'week') {
             lineChart.setPeriod('week');
-            document.querySelectorAll('.period-btn').forEach((b) =>
+            document.querySelectorAll('.period-btn[data-period]').forEach((b) =>
                 b.classList.toggle('active', b.dataset.period === 'week')
             );
             this.currentPeriod = 'week';
         }
-        const todayMidnight = new Date();
-        todayMidnight.setHours(0, 0, 0, 0);
+        const todayMidnight = TimeUtils.getUsageDay();
         const clickedDate = new Date(dateStr + 'T00:00:00');
         const diffDays = Math.round((clickedDate - todayMidnight) / 86400000);
         lineChart.offset = Math.round(diffDays / 7);
@@ -1,5 +1,10 @@
 import { formatTime, escapeHtml, formatDateString } from '../../../utils/formatting.js';
 import { hydrateFavicons } from '../../../utils/dom.js';
+import {
+    CATEGORY_LABEL_KEYS,
+    PRODUCTIVITY_CATEGORIES,
+    createCategoryResolver,
+} from '../productivity.js';
 
 /**
  * @param {typeof AnalyticsUI} AnalyticsUI - Target class to extend with top sites rendering methods.
@@ -14,10 +19,25 @@ export function applyAnalyticsUITopSitesMethods(AnalyticsUI) {
             return;
         }
 
+        // What each site falls back to without its own tag (group or preset default)
+        const resolveDefault = createCategoryResolver({}, this.controller.siteGroups);
+        const tags = this.controller.settings?.domainCategories || {};
+
         container.innerHTML = sites
             .slice(0, 10)
             .map((site) => {
                 const barWidth = maxTime > 0 ? Math.round((site.todayTime / maxTime) * 100) : 0;
+                const domain = escapeHtml(site.domain);
+                const autoLabel = chrome.i18n.getMessage('categoryAutoValue', [
+                    chrome.i18n.getMessage(CATEGORY_LABEL_KEYS[resolveDefault(site.domain)]),
+                ]);
+                const options = [
+                    `<option value="">${autoLabel}</option>`,
+                    ...PRODUCTIVITY_CATEGORIES.map(
+                        (category) =>
+                            `<option value="${category}"${tags[site.domain] === category ? ' selected' : ''}>${chrome.i18n.getMessage(CATEGORY_LABEL_KEYS[category])}</option>`
+                    ),
+                ].join('');
 
                 return `
                 <div class="analytics-site-item">
@@ -29,11 +49,32 @@ export function applyAnalyticsUITopSitesMethods(AnalyticsUI) {
                     <div class="analytics-site-bar">
                         <div class="analytics-site-bar-fill" style="width: ${barWidth}%"></div>
                     </div>
+                    <select class="modern-select site-category-select" data-domain="${domain}" aria-label="${chrome.i18n.getMessage('siteCategoryAria', [domain])}">${options}</select>
                 </div>
             `;
             })
             .join('');
         hydrateFavicons(container);
+
+        container.querySelectorAll('.site-category-select').forEach((select) => {
+            select.addEventListener('change', () =>
+                this.setDomainCategory(select.dataset.domain, select.value || null)
+            );
+        });
+    };
+
+    /**
+     * Tag a domain with a productivity category (or clear its tag) and
+     * refresh the analytics that depend on it.
+     * @param {string} domain - Domain to tag.
+     * @param {string|null} category - 'productive', 'neutral', 'distracting', or null for the default.
+     */
+    AnalyticsUI.prototype.setDomainCategory = function setDomainCategory(domain, category) {
+        const next = { ...(this.controller.settings?.domainCategories || {}) };
+        if (category) next[domain] = category;
+        else delete next[domain];
+        this.controller.updateSetting('domainCategories', next);
+        this.update();
     };
 
     AnalyticsUI.prototype.showTopSitesForDate = function showTopSitesForDate(dateStr, pointData) {
@@ -42,7 +83,7 @@ export function applyAnalyticsUITopSitesMethods(AnalyticsUI) {
         if (!heading || !container) return;
 
         const usage = this.controller.usage || {};
-        const todayStr = formatDateString(new Date());
+        const todayStr = TimeUtils.getCurrentDate();
         const isToday = dateStr === todayStr;
         const sitesWithTime = [];
 
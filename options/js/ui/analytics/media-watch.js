@@ -0,0 +1,52 @@
+/**
+ * Sum media watch time over a range of days, overall, per day and per site.
+ * `watch` is real time spent playing; `media` is the content it covered.
+ * @param {object} usage - Usage map keyed by domain.
+ * @param {string[]} days - Days to include (YYYY-MM-DD), oldest first.
+ * @returns {{watch: number, media: number, byDay: Array<{date: string, watch: number, media: number}>, bySite: Array<{domain: string, watch: number, media: number}>}} Totals in seconds; sites sorted by media time.
+ */
+export function summarizeMediaWatch(usage, days) {
+    const byDay = days.map((date) => ({ date, watch: 0, media: 0 }));
+    const bySite = [];
+    let watch = 0;
+    let media = 0;
+
+    for (const [domain, domainData] of Object.entries(usage || {})) {
+        if (!domainData || typeof domainData !== 'object') continue;
+        const site = { domain, watch: 0, media: 0 };
+        byDay.forEach((day) => {
+            const w = Number(domainData[`${day.date}_watch`]) || 0;
+            const m = Number(domainData[`${day.date}_media`]) || 0;
+            day.watch += w;
+            day.media += m;
+            site.watch += w;
+            site.media += m;
+        });
+        if (site.watch > 0) bySite.push(site);
+        watch += site.watch;
+        media += site.media;
+    }
+
+    bySite.sort((a, b) => b.media - a.media);
+    return { watch, media, byDay, bySite };
+}
+
+/**
+ * Effective playback speed of a stretch of watching.
+ * @param {number} watch - Seconds spent playing.
+ * @param {number} media - Seconds of content covered.
+ * @returns {number|null} Average rate, or null with nothing watched.
+ */
+export function getAverageSpeed(watch, media) {
+    return watch > 0 ? media / watch : null;
+}
+
+/**
+ * Time saved by playing faster than 1x (negative when slower).
+ * @param {number} watch - Seconds spent playing.
+ * @param {number} media - Seconds of content covered.
+ * @returns {number} Seconds saved.
+ */
+export function getTimeSaved(watch, media) {
+    return media - watch;
+}
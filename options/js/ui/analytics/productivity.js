@@ -0,0 +1,90 @@
+import { PRESET_DOMAIN_CATEGORIES } from '../blocking/group-presets.js';
+
+export const PRODUCTIVITY_CATEGORIES = ['productive', 'neutral', 'distracting'];
+
+export const CATEGORY_COLORS = {
+    productive: '#22c55e',
+    neutral: '#94a3b8',
+    distracting: '#ef4444',
+};
+
+export const CATEGORY_LABEL_KEYS = {
+    productive: 'categoryProductive',
+    neutral: 'categoryNeutral',
+    distracting: 'categoryDistracting',
+};
+
+/**
+ * Find the category for a domain in a map, walking up through parent
+ * domains so that an entry for google.com also covers mail.google.com.
+ * @param {Object<string, string>} map - Domain to category map.
+ * @param {string[]} labels - Domain labels (e.g. ['mail', 'google', 'com']).
+ * @returns {string|null} Category, or null if none applies.
+ */
+function lookupCategory(map, labels) {
+    for (let i = 0; i < labels.length - 1; i++) {
+        const category = map[labels.slice(i).join('.')];
+        if (PRODUCTIVITY_CATEGORIES.includes(category)) return category;
+    }
+    return null;
+}
+
+/**
+ * Build a domain -> category lookup. A domain's own tag wins, then the
+ * category of the group it belongs to, then the bundled preset default;
+ * anything else counts as neutral.
+ * @param {Object<string, string>} [domainCategories] - User tags (settings.domainCategories).
+ * @param {Array<object>} [groups] - Serialized site groups.
+ * @returns {function(string): string} Resolver returning the category for a domain.
+ */
+export function createCategoryResolver(domainCategories = {}, groups = []) {
+    const groupCategories = {};
+    for (const group of groups) {
+        if (!group || group.deletedAt || !group.category) continue;
+        for (const domain of group.domains || []) groupCategories[domain] = group.category;
+    }
+
+    const cache = new Map();
+    return (domain) => {
+        if (cache.has(domain)) return cache.get(domain);
+        const labels = domain
+            .toLowerCase()
+            .replace(/^www\./, '')
+            .split('.');
+        const category =
+            lookupCategory(domainCategories || {}, labels) ||
+            lookupCategory(groupCategories, labels) ||
+            lookupCategory(PRESET_DOMAIN_CATEGORIES, labels) ||
+            'neutral';
+        cache.set(domain, category);
+        return category;
+    };
+}
+
+/**
+ * Split a day's usage by productivity category.
+ * @param {object} usage - Usage map keyed by domain.
+ * @param {string} dateStr - Day to sum (YYYY-MM-DD).
+ * @param {function(string): string} resolve - Resolver from createCategoryResolver().
+ * @returns {{productive: number, neutral: number, distracting: number}} Time in ms per category.
+ */
+export function calculateCategoryBreakdown(usage, dateStr, resolve) {
+    const breakdown = { productive: 0, neutral: 0, distracting: 0 };
+    for (const [domain, domainData] of Object.entries(usage || {})) {
+        const seconds = Number(domainData?.[dateStr]) || 0;
+        if (seconds > 0) breakdown[resolve(domain)] += seconds * 1000;
+    }
+    return breakdown;
+}
+
+/**
+ * Score a day from 0 to 100: the share of time spent on productive sites,
+ * with neutral time counting half.
+ * @param {{productive: number, neutral: number, distracting: number}} breakdown - Time per category.
+ * @returns {number|null} Score, or null if nothing was tracked.
+ */
+export function calculateProductivityScore(breakdown) {
+    const total = breakdown.productive + breakdown.neutral + breakdown.distracting;
+    if (total <= 0) return null;
+    return Math.round(((breakdown.productive + breakdown.neutral / 2) / total) * 100);
+}
@@ -1,11 +1,15 @@
 import { hydrateFavicon } from '../utils/dom.js';
 import { createDomainRow } from './blocking/domain-row.js';
+import { createLimitInput } from './blocking/blocking-helpers.js';
 import { renderGroupRectangle } from './blocking/group-card.js';
 import { buildCircularPicker } from './blocking/circular-picker.js';
 import { blockingRuleActions } from './blocking/rule-actions.js';
 import { groupActions } from './blocking/group-actions.js';
 import { presetActions } from './blocking/preset-actions.js';
+import { lockdownActions } from './blocking/lockdown-actions.js';
+import { allowlistActions } from './blocking/allowlist-actions.js';
 import { toggleNewGroupForm } from './blocking/group-form.js';
+import { createScheduleControl, describeSchedule } from './blocking/schedule-editor.js';
 
 /**
  * Blocking settings UI controller.
@@ -20,6 +24,7 @@ export class BlockingUI {
         this._restrictedMinutes = 30;
         this.undoStack = [];
         this.isUndoing = false;
+        this.ruleSchedules = {};
     }
 
     /**
@@ -60,6 +65,21 @@ export class BlockingUI {
             });
         }
 
+        const addVisitRuleBtn = document.getElementById('addVisitRuleBtn');
+        const visitDomainInput = document.getElementById('visitDomainInput');
+        const visitMaxInput = document.getElementById('visitMaxInput');
+
+        if (addVisitRuleBtn && visitDomainInput && visitMaxInput) {
+            const handleAddVisitRule = () => {
+                this.addVisitRule(visitDomainInput.value.trim(), visitMaxInput.value);
+                visitDomainInput.value = '';
+            };
+            addVisitRuleBtn.addEventListener('click', handleAddVisitRule);
+            visitDomainInput.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') handleAddVisitRule();
+            });
+        }
+
         const newGroupBtn = document.getElementById('newGroupBtn');
         if (newGroupBtn) {
             newGroupBtn.addEventListener('click', () => toggleNewGroupForm(this));
@@ -82,6 +102,9 @@ export class BlockingUI {
             this.restorePopulateState(this);
         }
 
+        lockdownActions.setup(this);
+        allowlistActions.setup(this);
+
         document.addEventListener('keydown', (e) => {
             if ((e.ctrlKey || e.metaKey) && e.key === 'z') {
                 const pane = document.getElementById('blocking');
@@ -114,6 +137,16 @@ export class BlockingUI {
         return blockingRuleActions.addSiteRule(this, domain, ruleType, timeLimitMinutes);
     }
 
+    /**
+     * Add a visit-limited rule, or change the daily opens of an existing one.
+     * @param {string} domain - Domain string.
+     * @param {number|string} maxVisits - Opens allowed per day.
+     * @returns {Promise<void>}
+     */
+    async addVisitRule(domain, maxVisits) {
+        return blockingRuleActions.addVisitRule(this, domain, maxVisits);
+    }
+
     /**
      * Remove a site rule.
      * @param {string} domain - Domain string.
@@ -123,6 +156,36 @@ export class BlockingUI {
         return blockingRuleActions.removeSiteRule(this, domain);
     }
 
+    /**
+     * Replace the schedule windows of a site rule.
+     * @param {string} domain - Domain string.
+     * @param {Array} schedule - New schedule windows (empty = always active).
+     * @returns {Promise<void>}
+     */
+    async updateRuleSchedule(domain, schedule) {
+        return blockingRuleActions.updateRuleSchedule(this, domain, schedule);
+    }
+
+    /**
+     * Set how long a page stays open with a warning once a site rule blocks it.
+     * @param {string} domain - Domain string.
+     * @param {number} graceSeconds - Grace length in seconds (0 = block at once).
+     * @returns {Promise<void>}
+     */
+    async updateRuleGrace(domain, graceSeconds) {
+        return blockingRuleActions.updateRuleGrace(this, domain, graceSeconds);
+    }
+
+    /**
+     * Change how a restricted rule budgets its limit.
+     * @param {string} domain - Domain string.
+     * @param {{budgetMode?: string, carryOverMinutes?: number}} changes - Budget options to update.
+     * @returns {Promise<void>}
+     */
+    async updateRuleBudget(domain, changes) {
+        return blockingRuleActions.updateRuleBudget(this, domain, changes);
+    }
+
     /**
      * Load site rules from background and update UI lists.
      * @returns {Promise<void>}
@@ -154,6 +217,16 @@ export class BlockingUI {
         return groupActions.updateGroupLimit(this, id, limit);
     }
 
+    /**
+     * Update the weekday budgets, open limit and/or schedule windows of a group.
+     * @param {string} id - Group ID.
+     * @param {{dayLimits?: object, schedule?: Array, maxVisits?: number}} changes - Fields to replace.
+     * @returns {Promise<void>}
+     */
+    async updateGroupBudget(id, changes) {
+        return groupActions.updateGroupBudget(this, id, changes);
+    }
+
     /**
      * Update the icon for an existing group.
      * @param {string} id - Group ID.
@@ -164,6 +237,16 @@ export class BlockingUI {
         return groupActions.updateGroupIcon(this, id, icon);
     }
 
+    /**
+     * Set the productivity category of a group.
+     * @param {string} id - Group ID.
+     * @param {string|null} category - 'productive', 'neutral', 'distracting', or null to unset.
+     * @returns {Promise<void>}
+     */
+    async updateGroupCategory(id, category) {
+        return groupActions.updateGroupCategory(this, id, category);
+    }
+
     /**
      * Delete an existing group.
      * @param {string} id - Group ID.
@@ -227,6 +310,33 @@ export class BlockingUI {
         return presetActions.restorePopulateState(this);
     }
 
+    // ── Lockdown ─────────────────────────────────────────────────────────────
+
+    /**
+     * Load the current lockdown from background and update the lockdown card.
+     * @returns {Promise<void>}
+     */
+    async loadLockdown() {
+        return lockdownActions.loadLockdown(this);
+    }
+
+    /**
+     * Start or extend a lockdown from the lockdown card inputs.
+     * @returns {Promise<void>}
+     */
+    async startLockdown() {
+        return lockdownActions.startLockdown(this);
+    }
+
+    // ── Allowlist-Only Mode ──────────────────────────────────────────────────
+
+    /**
+     * Refresh the allowlist card from the current settings and group list.
+     */
+    renderAllowlist() {
+        allowlistActions.renderAllowlist(this);
+    }
+
     // ── List Rendering ───────────────────────────────────────────────────────
 
     /**
@@ -271,13 +381,102 @@ export class BlockingUI {
             `;
             hydrateFavicon(li.querySelector('.rule-favicon'));
 
-            li.querySelector('.rule-delete-btn').addEventListener('click', () => {
+            const schedule = this.ruleSchedules[domain] || [];
+            if (schedule.length > 0) {
+                const summary = document.createElement('span');
+                summary.className = 'rule-schedule-summary';
+                summary.textContent = describeSchedule(schedule);
+                li.querySelector('.rule-item-info').appendChild(summary);
+            }
+
+            const deleteBtn = li.querySelector('.rule-delete-btn');
+            deleteBtn.before(
+                createScheduleControl({
+                    schedule,
+                    onSave: (windows) => this.updateRuleSchedule(domain, windows),
+                })
+            );
+            deleteBtn.addEventListener('click', () => {
                 this.removeSiteRule(domain);
             });
             list.appendChild(li);
         });
     }
 
+    /**
+     * Render the list of visit-limited rules, each with its daily opens.
+     * @param {Array<{domain: string, maxVisits: number}>} rules - Visit-limited rules.
+     */
+    renderVisitLimitedList(rules) {
+        const list = document.getElementById('visitLimitedList');
+        if (!list) return;
+
+        list.replaceChildren();
+        if (rules.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'empty-state';
+            const text = document.createElement('p');
+            text.textContent = I18n.t('noVisitLimitsYet');
+            empty.appendChild(text);
+            list.appendChild(empty);
+            return;
+        }
+        rules.forEach(({ domain, maxVisits }) => {
+            const li = document.createElement('li');
+            li.className = 'rule-item';
+
+            const info = document.createElement('div');
+            info.className = 'rule-item-info';
+            const favicon = document.createElement('img');
+            favicon.className = 'rule-favicon';
+            favicon.dataset.domain = domain;
+            favicon.alt = '';
+            const name = document.createElement('span');
+            name.className = 'rule-domain';
+            name.textContent = domain;
+            info.append(favicon, name);
+            hydrateFavicon(favicon);
+
+            const schedule = this.ruleSchedules[domain] || [];
+            if (schedule.length > 0) {
+                const summary = document.createElement('span');
+                summary.className = 'rule-schedule-summary';
+                summary.textContent = describeSchedule(schedule);
+                info.appendChild(summary);
+            }
+
+            const limitInput = createLimitInput(
+                maxVisits,
+                999,
+                async (count) => this.addVisitRule(domain, count),
+                I18n.t('opensPerDay')
+            );
+            const suffix = document.createElement('span');
+            suffix.className = 'limit-suffix';
+            suffix.textContent = I18n.t('opensPerDay');
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'rule-delete-btn';
+            deleteBtn.textContent = '×';
+            deleteBtn.title = I18n.t('removeVisitLimit');
+            deleteBtn.setAttribute('aria-label', I18n.t('removeVisitLimit'));
+            deleteBtn.addEventListener('click', () => this.removeSiteRule(domain));
+
+            li.append(
+                info,
+                limitInput,
+                suffix,
+                createScheduleControl({
+                    schedule,
+                    onSave: (windows) => this.updateRuleSchedule(domain, windows),
+                }),
+                deleteBtn
+            );
+            list.appendChild(li);
+        });
+    }
+
     /**
      * Render the restricted rules list and groups.
      * @param {Array<{domain: string, timeLimitMinutes: number}>} sites - Restricted sites.
@@ -306,7 +505,7 @@ export class BlockingUI {
         });
 
         const maxCap = this.controller?.settings?.restrictedSliderMax || 120;
-        standalone.forEach(({ domain, timeLimitMinutes }) => {
+        standalone.forEach(({ domain, timeLimitMinutes, graceSeconds, ...budget }) => {
             const el = createDomainRow({
                 domain,
                 timeLimitMinutes,
@@ -315,6 +514,13 @@ export class BlockingUI {
                 onSaveLimit: async (newLimit) => this.addSiteRule(domain, 'RESTRICTED', newLimit),
                 onDelete: (d) => this.removeSiteRule(d),
                 deleteTitle: 'Remove restriction',
+                schedule: this.ruleSchedules[domain] || [],
+                onSaveSchedule: (windows) => this.updateRuleSchedule(domain, windows),
+                graceSeconds,
+                onSaveGrace: (seconds) => this.updateRuleGrace(domain, seconds),
+                budgetMode: budget.budgetMode,
+                carryOverMinutes: budget.carryOverMinutes,
+                onSaveBudget: (changes) => this.updateRuleBudget(domain, changes),
             });
             newList.appendChild(el);
         });
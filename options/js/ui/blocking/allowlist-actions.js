@@ -0,0 +1,237 @@
+/* global DomainUtils */
+import { createScheduleControl, describeSchedule } from './schedule-editor.js';
+
+/**
+ * Module handling the allowlist-only card: the mode (off, for a set time or
+ * on a schedule) and the domains and groups that stay reachable while it is
+ * on. Everything lives in settings; RuleManager.evaluateAccess enforces it.
+ */
+export const allowlistActions = {
+    setup(context) {
+        const modeSelect = document.getElementById('allowlistModeSelect');
+        if (modeSelect) {
+            modeSelect.addEventListener('change', () => {
+                context.controller.updateSetting('allowlistMode', modeSelect.value);
+                this.renderAllowlist(context);
+            });
+        }
+
+        const startBtn = document.getElementById('allowlistStartBtn');
+        if (startBtn) startBtn.addEventListener('click', () => this.toggleTimer(context));
+
+        const addBtn = document.getElementById('addAllowlistBtn');
+        const input = document.getElementById('allowlistInput');
+        if (addBtn && input) {
+            const handleAdd = () => {
+                this.addDomain(context, input.value.trim());
+                input.value = '';
+            };
+            addBtn.addEventListener('click', handleAdd);
+            input.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') handleAdd();
+            });
+        }
+
+        const list = document.getElementById('allowlistList');
+        if (list) {
+            list.addEventListener('click', (e) => {
+                const btn = e.target.closest('.rule-delete-btn');
+                if (btn) this.removeDomain(context, btn.dataset.domain);
+            });
+        }
+
+        const groups = document.getElementById('allowlistGroups');
+        if (groups) {
+            groups.addEventListener('change', (e) => {
+                if (e.target.matches('input[type="checkbox"]')) {
+                    this.toggleGroup(context, e.target.value, e.target.checked);
+                }
+            });
+        }
+
+        this.renderAllowlist(context);
+    },
+
+    addDomain(context, value) {
+        const domain = DomainUtils.normalizeDomain(value || '');
+        if (!DomainUtils.isValidDomain(domain)) {
+            context.controller.showWarning(chrome.i18n.getMessage('pleaseEnterValidDomain'));
+            return;
+        }
+        const domains = context.controller.settings.allowlistDomains || [];
+        if (!domains.includes(domain)) {
+            context.controller.updateSetting('allowlistDomains', [...domains, domain]);
+        }
+        this.renderAllowlist(context);
+    },
+
+    removeDomain(context, domain) {
+        const domains = context.controller.settings.allowlistDomains || [];
+        context.controller.updateSetting(
+            'allowlistDomains',
+            domains.filter((d) => d !== domain)
+        );
+        this.renderAllowlist(context);
+    },
+
+    toggleGroup(context, groupId, allowed) {
+        const ids = (context.controller.settings.allowlistGroupIds || []).filter(
+            (id) => id !== groupId
+        );
+        if (allowed) ids.push(groupId);
+        context.controller.updateSetting('allowlistGroupIds', ids);
+        this.renderAllowlist(context);
+    },
+
+    /**
+     * Start the timed mode for the entered number of hours, or stop it early.
+     * @param {object} context - BlockingUI instance.
+     */
+    toggleTimer(context) {
+        const settings = context.controller.settings;
+        if (Number(settings.allowlistUntil || 0) > Date.now()) {
+            context.controller.updateSetting('allowlistUntil', 0);
+            this.renderAllowlist(context);
+            return;
+        }
+
+        const hoursInput = document.getElementById('allowlistHours');
+        const hours = parseFloat(hoursInput ? hoursInput.value : '');
+        if (!Number.isFinite(hours) || hours <= 0) {
+            context.controller.showWarning(I18n.t('allowlistEnterHours'));
+            return;
+        }
+        context.controller.updateSetting('allowlistMode', 'timed');
+        context.controller.updateSetting('allowlistUntil', Date.now() + hours * 3600000);
+        if (hoursInput) hoursInput.value = '';
+        this.renderAllowlist(context);
+    },
+
+    /**
+     * Render the mode controls, status line, group toggles and domain list.
+     * Re-renders itself each minute while the timed mode is running so the
+     * status flips back when the timer ends.
+     * @param {object} context - BlockingUI instance.
+     */
+    renderAllowlist(context) {
+        const settings = context.controller.settings;
+        const mode = settings.allowlistMode || 'off';
+        const until = Number(settings.allowlistUntil || 0);
+        const timerRunning = mode === 'timed' && until > Date.now();
+
+        const modeSelect = document.getElementById('allowlistModeSelect');
+        if (modeSelect) modeSelect.value = mode;
+
+        const timed = document.getElementById('allowlistTimedControls');
+        if (timed) timed.hidden = mode !== 'timed';
+        const hoursInput = document.getElementById('allowlistHours');
+        if (hoursInput) hoursInput.hidden = timerRunning;
+        const startBtn = document.getElementById('allowlistStartBtn');
+        if (startBtn) {
+            startBtn.textContent = I18n.t(timerRunning ? 'allowlistStop' : 'allowlistStart');
+        }
+
+        const scheduleMount = document.getElementById('allowlistScheduleMount');
+        if (scheduleMount) {
+            scheduleMount.hidden = mode !== 'scheduled';
+            scheduleMount.replaceChildren();
+            if (mode === 'scheduled') {
+                scheduleMount.appendChild(
+                    createScheduleControl({
+                        schedule: settings.allowlistSchedule || [],
+                        hint: I18n.t('allowlistScheduleHint'),
+                        onSave: (windows) => {
+                            context.controller.updateSetting('allowlistSchedule', windows);
+                            this.renderAllowlist(context);
+                        },
+                    })
+                );
+            }
+        }
+
+        const status = document.getElementById('allowlistStatus');
+        if (status) status.textContent = this.describeStatus(settings, timerRunning);
+
+        this.renderGroups(context);
+        this.renderDomains(settings.allowlistDomains || []);
+
+        clearTimeout(context._allowlistTimer);
+        if (timerRunning) {
+            context._allowlistTimer = setTimeout(
+                () => this.renderAllowlist(context),
+                Math.min(60000, until - Date.now() + 500)
+            );
+        }
+    },
+
+    describeStatus(settings, timerRunning) {
+        const mode = settings.allowlistMode || 'off';
+        if (timerRunning) {
+            const time = new Date(settings.allowlistUntil).toLocaleTimeString(undefined, {
+                hour: '2-digit',
+                minute: '2-digit',
+            });
+            return I18n.t('allowlistOnUntil', [time]);
+        }
+        if (mode === 'scheduled') {
+            const schedule = settings.allowlistSchedule || [];
+            if (schedule.length === 0) return I18n.t('allowlistNoSchedule');
+            return I18n.t('allowlistScheduled', [describeSchedule(schedule)]);
+        }
+        return I18n.t('allowlistOff');
+    },
+
+    renderGroups(context) {
+        const container = document.getElementById('allowlistGroups');
+        if (!container) return;
+
+        const allowed = context.controller.settings.allowlistGroupIds || [];
+        const groups = (context.controller.siteGroups || []).filter((g) => !g.deletedAt);
+        container.replaceChildren();
+        container.hidden = groups.length === 0;
+        groups.forEach((group) => {
+            const label = document.createElement('label');
+            label.className = 'allowlist-group-chip';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = group.id;
+            checkbox.checked = allowed.includes(group.id);
+            const name = document.createElement('span');
+            name.textContent = group.name;
+            label.append(checkbox, name);
+            container.appendChild(label);
+        });
+    },
+
+    renderDomains(domains) {
+        const list = document.getElementById('allowlistList');
+        if (!list) return;
+
+        list.replaceChildren();
+        if (domains.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'empty-state';
+            const text = document.createElement('p');
+            text.textContent = I18n.t('allowlistEmpty');
+            empty.appendChild(text);
+            list.appendChild(empty);
+            return;
+        }
+        domains.forEach((domain) => {
+            const li = document.createElement('li');
+            li.className = 'rule-item';
+            const name = document.createElement('span');
+            name.className = 'rule-domain';
+            name.textContent = domain;
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'rule-delete-btn';
+            remove.dataset.domain = domain;
+            remove.textContent = '×';
+            remove.title = I18n.t('allowlistRemoveDomain');
+            remove.setAttribute('aria-label', I18n.t('allowlistRemoveDomain'));
+            li.append(name, remove);
+            list.appendChild(li);
+        });
+    },
+};
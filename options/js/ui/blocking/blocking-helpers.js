@@ -89,3 +89,57 @@ export function createLimitInput(initialValue, maxCap, onSave, title = 'Edit dai
 
     return input;
 }
+
+const CARRY_OVER_CHOICES = [0, 15, 30, 60, 120];
+
+/**
+ * Create the budget picker for a time limit: daily or weekly pooling, and how
+ * many unused minutes may carry over into the next period.
+ * @param {object} params - Configuration object.
+ * @param {string} [params.budgetMode] - Current mode, 'daily' or 'weekly'.
+ * @param {number} [params.carryOverMinutes] - Current carry-over cap in minutes (0 = off).
+ * @param {Function} params.onSave - Callback with the changed options: ({ budgetMode } | { carryOverMinutes }) => Promise<void>.
+ * @returns {HTMLElement} Wrapper holding both pickers.
+ */
+export function createBudgetControl({ budgetMode = 'daily', carryOverMinutes = 0, onSave }) {
+    const wrapper = document.createElement('span');
+    wrapper.className = 'budget-control';
+
+    const modeSelect = document.createElement('select');
+    modeSelect.className = 'modern-select budget-select';
+    modeSelect.title = I18n.t('budgetModeHint');
+    modeSelect.setAttribute('aria-label', I18n.t('budgetMode'));
+    [
+        ['daily', I18n.t('budgetDaily')],
+        ['weekly', I18n.t('budgetWeekly')],
+    ].forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        option.selected = value === budgetMode;
+        modeSelect.appendChild(option);
+    });
+    modeSelect.addEventListener('change', () => onSave({ budgetMode: modeSelect.value }));
+
+    const carrySelect = document.createElement('select');
+    carrySelect.className = 'modern-select budget-select';
+    carrySelect.title = I18n.t('carryOverHint');
+    carrySelect.setAttribute('aria-label', I18n.t('carryOver'));
+    const choices = CARRY_OVER_CHOICES.includes(carryOverMinutes)
+        ? CARRY_OVER_CHOICES
+        : [...CARRY_OVER_CHOICES, carryOverMinutes].sort((a, b) => a - b);
+    choices.forEach((minutes) => {
+        const option = document.createElement('option');
+        option.value = String(minutes);
+        option.textContent =
+            minutes === 0 ? I18n.t('carryOverOff') : I18n.t('carryOverUpTo', [String(minutes)]);
+        option.selected = minutes === carryOverMinutes;
+        carrySelect.appendChild(option);
+    });
+    carrySelect.addEventListener('change', () =>
+        onSave({ carryOverMinutes: Number(carrySelect.value) })
+    );
+
+    wrapper.append(modeSelect, carrySelect);
+    return wrapper;
+}
@@ -1,6 +1,9 @@
 /* global TimeUtils */
 import { hydrateFavicon } from '../../utils/dom.js';
-import { createLimitInput } from './blocking-helpers.js';
+import { createBudgetControl, createLimitInput } from './blocking-helpers.js';
+import { createScheduleControl, describeSchedule } from './schedule-editor.js';
+
+const GRACE_CHOICES = [0, 15, 30, 60, 120, 300];
 
 /**
  * Builds a standardized domain row element for both standalone restricted rules and group member rows.
@@ -15,6 +18,13 @@ import { createLimitInput } from './blocking-helpers.js';
  * @param {string} [params.groupId] - Parent group ID if inside a group.
  * @param {Function} [params.onDragOut] - Callback on dragging domain out of group.
  * @param {Function} [params.onDragActive] - Called with true/false on group-row drag start/end.
+ * @param {Array} [params.schedule] - Rule schedule windows (standalone rows).
+ * @param {Function} [params.onSaveSchedule] - Callback with new schedule windows; omit to hide the editor.
+ * @param {number} [params.graceSeconds] - Grace period before the block takes over (standalone rows).
+ * @param {Function} [params.onSaveGrace] - Callback with the new grace period; omit to hide the picker.
+ * @param {string} [params.budgetMode] - 'daily' or 'weekly' budget (standalone rows).
+ * @param {number} [params.carryOverMinutes] - Carry-over cap in minutes (standalone rows).
+ * @param {Function} [params.onSaveBudget] - Callback with changed budget options; omit to hide the pickers.
  * @returns {HTMLElement} List item element representing the domain row.
  */
 export function createDomainRow({
@@ -28,6 +38,13 @@ export function createDomainRow({
     groupId = null,
     onDragOut = null,
     onDragActive = null,
+    schedule = [],
+    onSaveSchedule = null,
+    graceSeconds = 0,
+    onSaveGrace = null,
+    budgetMode = 'daily',
+    carryOverMinutes = 0,
+    onSaveBudget = null,
 }) {
     const isGroupRow = Boolean(groupId);
     const row = document.createElement(isGroupRow ? 'div' : 'li');
@@ -109,6 +126,13 @@ export function createDomainRow({
     }
     domainWrapper.appendChild(usageSpan);
 
+    if (schedule.length > 0) {
+        const scheduleSpan = document.createElement('span');
+        scheduleSpan.className = 'rule-schedule-summary';
+        scheduleSpan.textContent = describeSchedule(schedule);
+        domainWrapper.appendChild(scheduleSpan);
+    }
+
     // Editable limit input
     const limitInput = createLimitInput(
         timeLimitMinutes,
@@ -144,6 +168,18 @@ export function createDomainRow({
 
     const rightDiv = document.createElement('div');
     rightDiv.className = 'rule-row-right';
+    if (typeof onSaveBudget === 'function') {
+        rightDiv.appendChild(
+            createBudgetControl({ budgetMode, carryOverMinutes, onSave: onSaveBudget })
+        );
+    }
+    if (typeof onSaveGrace === 'function') {
+        rightDiv.appendChild(createGraceSelect(graceSeconds, onSaveGrace));
+    }
+    if (typeof onSaveSchedule === 'function') {
+        rightDiv.classList.add('has-schedule-control');
+        rightDiv.appendChild(createScheduleControl({ schedule, onSave: onSaveSchedule }));
+    }
     rightDiv.appendChild(deleteBtn);
 
     row.appendChild(leftDiv);
@@ -152,3 +188,31 @@ export function createDomainRow({
 
     return row;
 }
+
+/**
+ * Build the grace-period picker shown next to a rule's schedule control.
+ * @param {number} graceSeconds - Current grace period in seconds.
+ * @param {Function} onSave - Callback with the chosen number of seconds.
+ * @returns {HTMLSelectElement} Picker element.
+ */
+function createGraceSelect(graceSeconds, onSave) {
+    const select = document.createElement('select');
+    select.className = 'modern-select grace-select';
+    select.title = I18n.t('gracePeriodHint');
+    select.setAttribute('aria-label', I18n.t('gracePeriod'));
+
+    const choices = GRACE_CHOICES.includes(graceSeconds)
+        ? GRACE_CHOICES
+        : [...GRACE_CHOICES, graceSeconds].sort((a, b) => a - b);
+    choices.forEach((seconds) => {
+        const option = document.createElement('option');
+        option.value = String(seconds);
+        option.textContent =
+            seconds === 0 ? I18n.t('graceOff') : I18n.t('graceSeconds', [String(seconds)]);
+        option.selected = seconds === graceSeconds;
+        select.appendChild(option);
+    });
+
+    select.addEventListener('change', () => onSave(Number(select.value)));
+    return select;
+}
@@ -26,17 +26,37 @@ export const groupActions = {
 
     async updateGroupLimit(context, id, limit) {
         try {
-            await chrome.runtime.sendMessage({
+            const response = await chrome.runtime.sendMessage({
                 type: 'UPDATE_GROUP',
                 id,
                 timeLimitMinutes: limit,
             });
             await context.loadSiteRules();
+            if (response?.lockdown) context.controller.showError(response.error);
         } catch (error) {
             console.error('Error updating group limit:', error);
         }
     },
 
+    async updateGroupBudget(context, id, changes) {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'UPDATE_GROUP',
+                id,
+                ...changes,
+            });
+            if (!response?.success) {
+                context.controller.showError(response?.error || I18n.t('failedUpdateGroupBudget'));
+                return;
+            }
+            await context.loadSiteRules();
+            context.controller.showSuccess(I18n.t('groupBudgetUpdated'));
+        } catch (error) {
+            console.error('Error updating group budget:', error);
+            context.controller.showError(I18n.t('failedUpdateGroupBudget'));
+        }
+    },
+
     async updateGroupIcon(context, id, icon) {
         try {
             await chrome.runtime.sendMessage({
@@ -49,9 +69,26 @@ export const groupActions = {
         }
     },
 
+    async updateGroupCategory(context, id, category) {
+        try {
+            await chrome.runtime.sendMessage({
+                type: 'UPDATE_GROUP',
+                id,
+                category,
+            });
+            await context.loadSiteRules();
+        } catch (error) {
+            console.error('Error updating group category:', error);
+        }
+    },
+
     async deleteGroup(context, id) {
         try {
-            await chrome.runtime.sendMessage({ type: 'DELETE_GROUP', id });
+            const response = await chrome.runtime.sendMessage({ type: 'DELETE_GROUP', id });
+            if (response?.lockdown) {
+                context.controller.showError(response.error);
+                return;
+            }
             await context.loadSiteRules();
             context.controller.showSuccess(I18n.t('groupRemoved'));
         } catch (error) {
@@ -1,6 +1,11 @@
-/* global TimeUtils */
-import { GROUP_ICONS, createLimitInput } from './blocking-helpers.js';
+/* global TimeUtils, RuleSchedule */
+import { GROUP_ICONS, createBudgetControl, createLimitInput } from './blocking-helpers.js';
 import { createDomainRow } from './domain-row.js';
+import {
+    createDayLimitControl,
+    createScheduleControl,
+    describeSchedule,
+} from './schedule-editor.js';
 
 /**
  * Tracks which group (if any) a drag gesture originated from, so containers can
@@ -392,6 +397,28 @@ export function renderGroupRectangle(group, domainLimitMap, context) {
     nameSpan.textContent = group.name;
     groupTitleSection.appendChild(nameSpan);
 
+    // Productivity category used by analytics ('' = fall back to preset defaults)
+    const categorySelect = document.createElement('select');
+    categorySelect.className = 'modern-select group-category-select';
+    categorySelect.title = I18n.t('groupCategoryTitle');
+    categorySelect.setAttribute('aria-label', I18n.t('groupCategoryTitle'));
+    [
+        ['', 'categoryAuto'],
+        ['productive', 'categoryProductive'],
+        ['neutral', 'categoryNeutral'],
+        ['distracting', 'categoryDistracting'],
+    ].forEach(([value, key]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = I18n.t(key);
+        categorySelect.appendChild(option);
+    });
+    categorySelect.value = group.category || '';
+    categorySelect.addEventListener('change', () =>
+        context.updateGroupCategory(group.id, categorySelect.value || null)
+    );
+    groupTitleSection.appendChild(categorySelect);
+
     const limitInput = createLimitInput(
         group.timeLimitMinutes,
         1440,
@@ -426,8 +453,51 @@ export function renderGroupRectangle(group, domainLimitMap, context) {
     middleDiv.appendChild(limitInput);
     middleDiv.appendChild(suffixSpan);
 
+    const dayLimits = group.dayLimits || {};
+    const schedule = group.schedule || [];
+
     const rightDiv = document.createElement('div');
-    rightDiv.className = 'rule-row-right';
+    rightDiv.className = 'rule-row-right has-schedule-control';
+
+    // Shared daily open limit for the group's sites (0 = no limit)
+    const visitLimit = document.createElement('label');
+    visitLimit.className = 'group-visit-limit';
+    visitLimit.title = I18n.t('groupOpensHint');
+    const visitSuffix = document.createElement('span');
+    visitSuffix.className = 'limit-suffix';
+    visitSuffix.textContent = I18n.t('opensPerDay');
+    visitLimit.append(
+        createLimitInput(
+            group.maxVisits || 0,
+            999,
+            async (count) => context.updateGroupBudget(group.id, { maxVisits: count }),
+            I18n.t('groupOpensHint')
+        ),
+        visitSuffix
+    );
+    rightDiv.appendChild(visitLimit);
+    rightDiv.appendChild(
+        createBudgetControl({
+            budgetMode: group.budgetMode,
+            carryOverMinutes: group.carryOverMinutes,
+            onSave: (changes) => context.updateGroupBudget(group.id, changes),
+        })
+    );
+    rightDiv.appendChild(
+        createDayLimitControl({
+            dayLimits,
+            defaultLimit: group.timeLimitMinutes,
+            maxCap: 1440,
+            onSave: (next) => context.updateGroupBudget(group.id, { dayLimits: next }),
+        })
+    );
+    rightDiv.appendChild(
+        createScheduleControl({
+            schedule,
+            hint: I18n.t('groupScheduleHint'),
+            onSave: (windows) => context.updateGroupBudget(group.id, { schedule: windows }),
+        })
+    );
     rightDiv.appendChild(deleteBtn);
 
     header.appendChild(leftDiv);
@@ -497,7 +567,9 @@ export function renderGroupRectangle(group, domainLimitMap, context) {
         totalGroupUsageSeconds += typeof TimeUtils !== 'undefined' ? TimeUtils.calculateTodayTime(domainUsage) : 0;
     });
 
-    const limitMinutes = group.timeLimitMinutes;
+    // Today's budget: weekday override if set, otherwise the default limit
+    const now = new Date();
+    const limitMinutes = dayLimits[now.getDay()] ?? group.timeLimitMinutes;
     const limitSeconds = limitMinutes * 60;
     const usedPercent = limitSeconds > 0 ? Math.min(100, (totalGroupUsageSeconds / limitSeconds) * 100) : 0;
 
@@ -524,6 +596,25 @@ export function renderGroupRectangle(group, domainLimitMap, context) {
     const limitFormatted = `${limitMinutes}${minUnit}`;
 
     statsText.innerHTML = `<span><strong>${usedFormatted}</strong> / ${limitFormatted}</span>`;
+    if (schedule.length > 0) {
+        const scheduleNote = document.createElement('span');
+        scheduleNote.className = 'rule-schedule-summary';
+        scheduleNote.textContent = RuleSchedule.isActive(schedule, now)
+            ? describeSchedule(schedule)
+            : `${describeSchedule(schedule)} · ${I18n.t('groupScheduleInactive')}`;
+        statsText.appendChild(scheduleNote);
+    }
+
+    if (group.maxVisits > 0 && typeof TimeUtils !== 'undefined') {
+        const opens = group.domains.reduce(
+            (sum, d) => sum + TimeUtils.calculateTodayVisits(context.controller?.usage?.[d] || {}),
+            0
+        );
+        const visitsNote = document.createElement('span');
+        visitsNote.className = 'rule-schedule-summary';
+        visitsNote.textContent = I18n.t('opensTodayOf', [String(opens), String(group.maxVisits)]);
+        statsText.appendChild(visitsNote);
+    }
 
     statsBar.appendChild(progressTrack);
     statsBar.appendChild(statsText);
@@ -9,12 +9,14 @@
  * localized group name at populate time. Each member domain also gets an
  * individual restricted rule of `domainLimitMinutes` (5) on top of the
  * shared group budget of `timeLimitMinutes` (30), so users start with
- * reasonable per-site AND per-category restrictions.
- * @type {Array<{nameKey: string, icon: string, timeLimitMinutes: number, domainLimitMinutes: number, domains: string[]}>}
+ * reasonable per-site AND per-category restrictions. `category` is the
+ * productivity category the group (and its domains) default to in analytics.
+ * @type {Array<{nameKey: string, category: string, icon: string, timeLimitMinutes: number, domainLimitMinutes: number, domains: string[]}>}
  */
 export const PRESET_GROUPS = [
     {
         nameKey: 'presetNameSocial',
+        category: 'distracting',
         icon: 'heart',
         timeLimitMinutes: 30,
         domainLimitMinutes: 5,
@@ -35,6 +37,7 @@ export const PRESET_GROUPS = [
     },
     {
         nameKey: 'presetNameVideo',
+        category: 'distracting',
         icon: 'play',
         timeLimitMinutes: 30,
         domainLimitMinutes: 5,
@@ -51,6 +54,7 @@ export const PRESET_GROUPS = [
     },
     {
         nameKey: 'presetNameNews',
+        category: 'neutral',
         icon: 'globe',
         timeLimitMinutes: 30,
         domainLimitMinutes: 5,
@@ -67,6 +71,7 @@ export const PRESET_GROUPS = [
     },
     {
         nameKey: 'presetNameShopping',
+        category: 'distracting',
         icon: 'shopping',
         timeLimitMinutes: 30,
         domainLimitMinutes: 5,
@@ -82,6 +87,7 @@ export const PRESET_GROUPS = [
     },
     {
         nameKey: 'presetNameGaming',
+        category: 'distracting',
         icon: 'gamepad',
         timeLimitMinutes: 30,
         domainLimitMinutes: 5,
@@ -97,6 +103,7 @@ export const PRESET_GROUPS = [
     },
     {
         nameKey: 'presetNameSports',
+        category: 'distracting',
         icon: 'trophy',
         timeLimitMinutes: 30,
         domainLimitMinutes: 5,
@@ -110,9 +117,19 @@ export const PRESET_GROUPS = [
     },
     {
         nameKey: 'presetNameForums',
+        category: 'distracting',
         icon: 'message',
         timeLimitMinutes: 30,
         domainLimitMinutes: 5,
         domains: ['reddit.com', 'quora.com', 'tumblr.com', '4chan.org'],
     },
 ];
+
+/**
+ * Default productivity category of every preset domain, used by analytics for
+ * sites the user has not categorized themselves.
+ * @type {Object<string, string>}
+ */
+export const PRESET_DOMAIN_CATEGORIES = Object.fromEntries(
+    PRESET_GROUPS.flatMap((preset) => preset.domains.map((domain) => [domain, preset.category]))
+);
@@ -0,0 +1,107 @@
+import { formatTime } from '../../utils/formatting.js';
+
+/**
+ * Module handling the lockdown card: starting or extending a lockdown and
+ * showing how long the running one has left. The background enforces it.
+ */
+export const lockdownActions = {
+    setup(context) {
+        const startBtn = document.getElementById('lockdownStartBtn');
+        if (startBtn) startBtn.addEventListener('click', () => this.startLockdown(context));
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local' && changes.lockdown) this.loadLockdown(context);
+        });
+        this.loadLockdown(context);
+    },
+
+    async loadLockdown(context) {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_LOCKDOWN' });
+            context.controller.lockdown = response?.lockdown || null;
+        } catch (error) {
+            console.error('Error loading lockdown:', error);
+            context.controller.lockdown = null;
+        }
+        this.renderLockdown(context);
+    },
+
+    async startLockdown(context) {
+        const hoursInput = document.getElementById('lockdownHours');
+        const untilInput = document.getElementById('lockdownUntil');
+        const message = { type: 'START_LOCKDOWN' };
+
+        if (untilInput && untilInput.value) {
+            message.until = new Date(untilInput.value).getTime();
+        } else {
+            const hours = parseFloat(hoursInput ? hoursInput.value : '');
+            if (!Number.isFinite(hours) || hours <= 0) {
+                context.controller.showWarning(I18n.t('lockdownEnterLength'));
+                return;
+            }
+            message.minutes = Math.round(hours * 60);
+        }
+
+        if (!confirm(I18n.t('lockdownConfirm'))) return;
+
+        try {
+            const response = await chrome.runtime.sendMessage(message);
+            if (!response?.success) {
+                context.controller.showError(response?.error || I18n.t('failedStartLockdown'));
+                return;
+            }
+            context.controller.lockdown = response.lockdown;
+            if (hoursInput) hoursInput.value = '';
+            if (untilInput) untilInput.value = '';
+            this.renderLockdown(context);
+            context.controller.showSuccess(I18n.t('lockdownStarted'));
+        } catch (error) {
+            console.error('Error starting lockdown:', error);
+            context.controller.showError(I18n.t('failedStartLockdown'));
+        }
+    },
+
+    /**
+     * Show the locked state and the time left, and lock the tracking
+     * switches, which lockdown keeps on. Re-renders itself every minute
+     * until the lockdown lifts.
+     * @param {object} context - BlockingUI instance.
+     */
+    renderLockdown(context) {
+        const lockdown = context.controller.lockdown;
+        const remaining = lockdown ? lockdown.until - Date.now() : 0;
+        const active = remaining > 0;
+
+        const card = document.getElementById('lockdownCard');
+        const status = document.getElementById('lockdownStatus');
+        const startBtn = document.getElementById('lockdownStartBtn');
+
+        if (card) card.classList.toggle('is-locked', active);
+        if (status) {
+            status.textContent = active
+                ? I18n.t('lockdownActiveUntil', [
+                      new Date(lockdown.until).toLocaleString(undefined, {
+                          dateStyle: 'medium',
+                          timeStyle: 'short',
+                      }),
+                      formatTime(Math.max(60000, remaining), true),
+                  ])
+                : I18n.t('lockdownInactive');
+        }
+        if (startBtn) startBtn.textContent = I18n.t(active ? 'lockdownExtend' : 'lockdownStart');
+
+        ['trackingEnabled', 'trackingPaused'].forEach((id) => {
+            const input = document.getElementById(id);
+            if (!input) return;
+            input.disabled = active;
+            input.title = active ? I18n.t('lockdownLockedSetting') : '';
+        });
+
+        clearTimeout(context._lockdownTimer);
+        if (active) {
+            context._lockdownTimer = setTimeout(
+                () => this.renderLockdown(context),
+                Math.min(60000, remaining + 500)
+            );
+        }
+    },
+};
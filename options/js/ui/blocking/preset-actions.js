@@ -21,6 +21,7 @@ export const presetActions = {
                 timeLimitMinutes: p.timeLimitMinutes,
                 domainLimitMinutes: p.domainLimitMinutes,
                 icon: p.icon,
+                category: p.category,
             }));
             const response = await chrome.runtime.sendMessage({
                 type: 'POPULATE_PRESET_GROUPS',
@@ -1,3 +1,4 @@
+/* global DomainUtils */
 /**
  * Module handling background messaging and local updates for site blocking rules.
  */
@@ -11,25 +12,29 @@ export const blockingRuleActions = {
         const maxCap = context.controller?.settings?.restrictedSliderMax || 120;
         const cappedLimit = Math.max(0, Math.min(timeLimitMinutes, maxCap));
 
-        const domainPattern = /^[a-zA-Z0-9][a-zA-Z0-9-]*(\.[a-zA-Z0-9][a-zA-Z0-9-]*)+$/;
-        const cleanDomain = domain
-            .toLowerCase()
-            .replace(/^(https?:\/\/)?(www\.)?/, '')
-            .split('/')[0];
+        // A bare domain covers the whole site; "domain/path" (optionally with
+        // * or ** wildcards) covers only matching pages
+        const cleanDomain = DomainUtils.normalizeRulePattern(domain);
 
-        if (!domainPattern.test(cleanDomain)) {
-            context.controller.showWarning(chrome.i18n.getMessage('pleaseEnterValidDomain'));
+        if (!DomainUtils.isValidRulePattern(cleanDomain)) {
+            context.controller.showWarning(chrome.i18n.getMessage('pleaseEnterValidRulePattern'));
             return;
         }
 
         try {
-            await chrome.runtime.sendMessage({
+            const response = await chrome.runtime.sendMessage({
                 type: 'ADD_SITE_RULE',
                 domain: cleanDomain,
                 ruleType,
                 timeLimitMinutes: cappedLimit,
             });
             await context.loadSiteRules();
+            if (response?.success === false) {
+                context.controller.showError(
+                    response.error || chrome.i18n.getMessage('failedAddSiteRule')
+                );
+                return;
+            }
             context.controller.showSuccess(
                 chrome.i18n.getMessage('addedToList', [cleanDomain, ruleType.toLowerCase()])
             );
@@ -39,12 +44,55 @@ export const blockingRuleActions = {
         }
     },
 
+    async addVisitRule(context, domain, maxVisits) {
+        if (!domain) {
+            context.controller.showWarning(chrome.i18n.getMessage('pleaseEnterDomain'));
+            return;
+        }
+
+        const cleanDomain = DomainUtils.normalizeRulePattern(domain);
+        if (!DomainUtils.isValidRulePattern(cleanDomain)) {
+            context.controller.showWarning(chrome.i18n.getMessage('pleaseEnterValidRulePattern'));
+            return;
+        }
+
+        const count = parseInt(maxVisits, 10);
+        if (!Number.isInteger(count) || count < 0) {
+            context.controller.showWarning(I18n.t('enterOpensPerDay'));
+            return;
+        }
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'ADD_SITE_RULE',
+                domain: cleanDomain,
+                ruleType: 'VISIT_LIMITED',
+                maxVisits: count,
+            });
+            await context.loadSiteRules();
+            if (response?.success === false) {
+                context.controller.showError(response.error || I18n.t('failedAddSiteRule'));
+                return;
+            }
+            context.controller.showSuccess(I18n.t('visitLimitSaved', [cleanDomain, String(count)]));
+        } catch (error) {
+            console.error('Error adding visit limit:', error);
+            context.controller.showError(I18n.t('failedAddSiteRule'));
+        }
+    },
+
     async removeSiteRule(context, domain) {
         try {
-            await chrome.runtime.sendMessage({
+            const response = await chrome.runtime.sendMessage({
                 type: 'REMOVE_SITE_RULE',
                 domain,
             });
+            if (response?.success === false) {
+                context.controller.showError(
+                    response.error || chrome.i18n.getMessage('failedRemoveSiteRule')
+                );
+                return;
+            }
             await context.loadSiteRules();
             context.controller.showSuccess(chrome.i18n.getMessage('removedDomain', [domain]));
         } catch (error) {
@@ -53,14 +101,79 @@ export const blockingRuleActions = {
         }
     },
 
+    async updateRuleSchedule(context, domain, schedule) {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'UPDATE_RULE_SCHEDULE',
+                domain,
+                schedule,
+            });
+            if (!response || !response.success) {
+                context.controller.showError(
+                    response?.error || chrome.i18n.getMessage('failedUpdateSchedule')
+                );
+                return;
+            }
+            await context.loadSiteRules();
+            context.controller.showSuccess(chrome.i18n.getMessage('scheduleUpdated', [domain]));
+        } catch (error) {
+            console.error('Error updating rule schedule:', error);
+            context.controller.showError(chrome.i18n.getMessage('failedUpdateSchedule'));
+        }
+    },
+
+    async updateRuleGrace(context, domain, graceSeconds) {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'UPDATE_RULE_GRACE',
+                domain,
+                graceSeconds,
+            });
+            if (!response || !response.success) {
+                context.controller.showError(response?.error || I18n.t('failedUpdateGrace'));
+                await context.loadSiteRules();
+                return;
+            }
+            await context.loadSiteRules();
+            context.controller.showSuccess(I18n.t('graceUpdated', [domain]));
+        } catch (error) {
+            console.error('Error updating rule grace period:', error);
+            context.controller.showError(I18n.t('failedUpdateGrace'));
+        }
+    },
+
+    async updateRuleBudget(context, domain, changes) {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'UPDATE_RULE_BUDGET',
+                domain,
+                ...changes,
+            });
+            if (!response || !response.success) {
+                context.controller.showError(response?.error || I18n.t('failedUpdateBudget'));
+                await context.loadSiteRules();
+                return;
+            }
+            await context.loadSiteRules();
+            context.controller.showSuccess(I18n.t('budgetUpdated', [domain]));
+        } catch (error) {
+            console.error('Error updating rule budget:', error);
+            context.controller.showError(I18n.t('failedUpdateBudget'));
+        }
+    },
+
     async loadSiteRules(context) {
         try {
             const [rulesResponse, groups] = await Promise.all([
                 chrome.runtime.sendMessage({ type: 'GET_SITE_RULES' }),
                 chrome.runtime.sendMessage({ type: 'GET_GROUPS' }).catch(() => []),
             ]);
+            context.ruleSchedules = rulesResponse?.schedules || {};
             context.renderBlockedList(rulesResponse?.blocked || []);
             context.renderRestrictedList(rulesResponse?.restricted || [], groups || []);
+            context.renderVisitLimitedList(rulesResponse?.visitLimited || []);
+            context.controller.siteGroups = groups || [];
+            context.renderAllowlist();
             context.controller.updateRestrictedDomains(
                 rulesResponse?.restricted ? rulesResponse.restricted.map((r) => r.domain) : []
             );
@@ -0,0 +1,327 @@
+/**
+ * Inline popover editors for time-based rule settings:
+ * - schedule windows (weekdays + time-of-day ranges), stored on SiteRule and
+ *   GroupRule as { days: number[] (0 = Sunday), start: 'HH:MM', end: 'HH:MM' }
+ * - per-weekday group budgets, stored on GroupRule as { [day]: minutes }
+ */
+
+const DAY_KEYS = [
+    'analyticsSun',
+    'analyticsMon',
+    'analyticsTue',
+    'analyticsWed',
+    'analyticsThu',
+    'analyticsFri',
+    'analyticsSat',
+];
+
+/** Display order: Monday first, so Mon–Fri and Sat–Sun read as ranges. */
+const DAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+const CALENDAR_ICON = `<svg viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="3" y="4" width="18" height="18" rx="2" ry="2"></rect><line x1="16" y1="2" x2="16" y2="6"></line><line x1="8" y1="2" x2="8" y2="6"></line><line x1="3" y1="10" x2="21" y2="10"></line></svg>`;
+
+const CLOCK_ICON = `<svg viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"></circle><polyline points="12 6 12 12 16 14"></polyline></svg>`;
+
+/**
+ * Summarize a set of weekdays, collapsing consecutive runs (e.g. "Mon–Fri").
+ * @param {number[]} days - Day indices (0 = Sunday).
+ * @returns {string} Short human-readable day list.
+ */
+function describeDays(days) {
+    const selected = DAY_ORDER.filter((d) => days.includes(d));
+    if (selected.length === 7) return I18n.t('scheduleEveryDay');
+
+    const runs = [];
+    let run = [];
+    for (const day of DAY_ORDER) {
+        if (selected.includes(day)) {
+            run.push(day);
+        } else if (run.length) {
+            runs.push(run);
+            run = [];
+        }
+    }
+    if (run.length) runs.push(run);
+
+    return runs
+        .map((r) =>
+            r.length > 2
+                ? `${I18n.t(DAY_KEYS[r[0]])}–${I18n.t(DAY_KEYS[r[r.length - 1]])}`
+                : r.map((d) => I18n.t(DAY_KEYS[d])).join(', ')
+        )
+        .join(', ');
+}
+
+/**
+ * Describe a schedule in one line for rule rows and tooltips.
+ * @param {Array<{days: number[], start: string, end: string}>} schedule - Schedule windows.
+ * @returns {string} Summary text ("Always" when the schedule is empty).
+ */
+export function describeSchedule(schedule) {
+    if (!Array.isArray(schedule) || schedule.length === 0) return I18n.t('scheduleAlways');
+    if (schedule.length > 1) return I18n.t('scheduleWindowCount', [String(schedule.length)]);
+    const [w] = schedule;
+    const hours = w.start === w.end ? I18n.t('scheduleAllDay') : `${w.start}–${w.end}`;
+    return `${describeDays(w.days)} ${hours}`;
+}
+
+/**
+ * Build one editable window row.
+ * @param {{days: number[], start: string, end: string}} window - Initial window values.
+ * @returns {HTMLElement} Row element.
+ */
+function createWindowRow(window) {
+    const row = document.createElement('div');
+    row.className = 'schedule-window';
+
+    const dayWrap = document.createElement('div');
+    dayWrap.className = 'schedule-days';
+    DAY_ORDER.forEach((day) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'schedule-day';
+        btn.dataset.day = String(day);
+        btn.textContent = I18n.t(DAY_KEYS[day]);
+        btn.setAttribute('aria-pressed', String(window.days.includes(day)));
+        btn.addEventListener('click', () => {
+            const pressed = btn.getAttribute('aria-pressed') === 'true';
+            btn.setAttribute('aria-pressed', String(!pressed));
+        });
+        dayWrap.appendChild(btn);
+    });
+
+    const start = document.createElement('input');
+    start.type = 'time';
+    start.className = 'modern-input schedule-time';
+    start.value = window.start;
+    start.setAttribute('aria-label', I18n.t('scheduleStartTime'));
+
+    const dash = document.createElement('span');
+    dash.className = 'schedule-dash';
+    dash.textContent = '–';
+
+    const end = document.createElement('input');
+    end.type = 'time';
+    end.className = 'modern-input schedule-time';
+    end.value = window.end;
+    end.setAttribute('aria-label', I18n.t('scheduleEndTime'));
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'rule-delete-btn schedule-remove';
+    remove.textContent = '×';
+    remove.title = I18n.t('scheduleRemoveWindow');
+    remove.setAttribute('aria-label', I18n.t('scheduleRemoveWindow'));
+    remove.addEventListener('click', () => row.remove());
+
+    const times = document.createElement('div');
+    times.className = 'schedule-times';
+    times.append(start, dash, end, remove);
+
+    row.append(dayWrap, times);
+    return row;
+}
+
+/**
+ * Read the windows currently entered in an editor panel.
+ * @param {HTMLElement} panel - Editor panel element.
+ * @returns {Array<{days: number[], start: string, end: string}>} Entered windows.
+ */
+function readWindows(panel) {
+    return [...panel.querySelectorAll('.schedule-window')]
+        .map((row) => {
+            const days = [...row.querySelectorAll('.schedule-day[aria-pressed="true"]')].map(
+                (btn) => Number(btn.dataset.day)
+            );
+            const [start, end] = row.querySelectorAll('.schedule-time');
+            return { days, start: start.value, end: end.value };
+        })
+        .filter((w) => w.days.length > 0 && w.start && w.end);
+}
+
+/**
+ * Build a toolbar button with an attached popover panel.
+ * The panel is (re)filled by `onOpen` each time it opens and closes on
+ * outside clicks, Escape, Cancel or Save.
+ * @param {object} params - Configuration object.
+ * @param {string} params.icon - Button SVG markup.
+ * @param {string} params.label - Accessible button label.
+ * @param {string} params.title - Button tooltip.
+ * @param {boolean} params.active - Highlight the button (a non-default value is set).
+ * @param {string} params.hint - Explanatory text shown at the top of the panel.
+ * @param {Function} params.onOpen - Called with the body element to render its contents.
+ * @param {Function} params.onSave - Async callback invoked with the body element on Save.
+ * @param {HTMLElement[]} [params.extraActions] - Buttons placed before Cancel/Save.
+ * @returns {HTMLElement} Wrapper element containing the button and its popover.
+ */
+function createPopoverControl({
+    icon,
+    label,
+    title,
+    active,
+    hint,
+    onOpen,
+    onSave,
+    extraActions = [],
+}) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'schedule-control';
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'icon-btn schedule-btn';
+    button.classList.toggle('has-schedule', active);
+    button.innerHTML = `${icon}<span class="sr-only">${label}</span>`;
+    button.title = title;
+    button.setAttribute('aria-expanded', 'false');
+
+    const panel = document.createElement('div');
+    panel.className = 'schedule-popover';
+    panel.hidden = true;
+    // Rule rows are draggable; keep drags inside the editor from moving the row
+    panel.addEventListener('dragstart', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+    });
+
+    const hintEl = document.createElement('p');
+    hintEl.className = 'schedule-hint';
+    hintEl.textContent = hint;
+
+    const body = document.createElement('div');
+    body.className = 'schedule-window-list';
+
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'button';
+    saveBtn.className = 'btn btn-primary btn-sm';
+    saveBtn.textContent = I18n.t('save');
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.className = 'btn btn-outline btn-sm';
+    cancelBtn.textContent = I18n.t('cancel');
+
+    const actions = document.createElement('div');
+    actions.className = 'schedule-actions';
+    actions.append(...extraActions, cancelBtn, saveBtn);
+
+    panel.append(hintEl, body, actions);
+    wrapper.append(button, panel);
+
+    const onOutsideClick = (e) => {
+        if (!wrapper.contains(e.target)) close();
+    };
+    const onKeydown = (e) => {
+        if (e.key === 'Escape') close();
+    };
+
+    function open() {
+        body.innerHTML = '';
+        onOpen(body);
+        panel.hidden = false;
+        button.setAttribute('aria-expanded', 'true');
+        document.addEventListener('mousedown', onOutsideClick);
+        document.addEventListener('keydown', onKeydown);
+    }
+
+    function close() {
+        panel.hidden = true;
+        button.setAttribute('aria-expanded', 'false');
+        document.removeEventListener('mousedown', onOutsideClick);
+        document.removeEventListener('keydown', onKeydown);
+    }
+
+    button.addEventListener('click', () => (panel.hidden ? open() : close()));
+    cancelBtn.addEventListener('click', close);
+    saveBtn.addEventListener('click', async () => {
+        close();
+        await onSave(body);
+    });
+
+    return wrapper;
+}
+
+/**
+ * Create the schedule button + popover editor for a rule row or group card.
+ * @param {object} params - Configuration object.
+ * @param {Array} params.schedule - Current schedule windows.
+ * @param {Function} params.onSave - Async callback invoked with the new windows array.
+ * @param {string} [params.hint] - Panel hint (defaults to the site rule wording).
+ * @returns {HTMLElement} Wrapper element containing the button and its popover.
+ */
+export function createScheduleControl({ schedule = [], onSave, hint = I18n.t('scheduleHint') }) {
+    let list = null;
+
+    const addBtn = document.createElement('button');
+    addBtn.type = 'button';
+    addBtn.className = 'btn btn-outline btn-sm';
+    addBtn.textContent = I18n.t('scheduleAddWindow');
+    addBtn.addEventListener('click', () => {
+        list?.appendChild(createWindowRow({ days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' }));
+    });
+
+    return createPopoverControl({
+        icon: CLOCK_ICON,
+        label: I18n.t('scheduleEdit'),
+        title: `${I18n.t('scheduleEdit')}: ${describeSchedule(schedule)}`,
+        active: schedule.length > 0,
+        hint,
+        extraActions: [addBtn],
+        onOpen: (body) => {
+            list = body;
+            schedule.forEach((w) => body.appendChild(createWindowRow(w)));
+        },
+        onSave: (body) => onSave(readWindows(body)),
+    });
+}
+
+/**
+ * Create the per-weekday budget button + popover editor for a group card.
+ * Empty inputs fall back to the group's default daily limit.
+ * @param {object} params - Configuration object.
+ * @param {Object<string, number>} params.dayLimits - Current weekday overrides (0 = Sunday).
+ * @param {number} params.defaultLimit - Group default daily limit in minutes.
+ * @param {number} params.maxCap - Maximum minutes allowed per day.
+ * @param {Function} params.onSave - Async callback invoked with the new overrides map.
+ * @returns {HTMLElement} Wrapper element containing the button and its popover.
+ */
+export function createDayLimitControl({ dayLimits = {}, defaultLimit, maxCap, onSave }) {
+    const overrides = Object.keys(dayLimits).length;
+    return createPopoverControl({
+        icon: CALENDAR_ICON,
+        label: I18n.t('dayLimitsEdit'),
+        title: overrides ? I18n.t('dayLimitsCount', [String(overrides)]) : I18n.t('dayLimitsEdit'),
+        active: overrides > 0,
+        hint: I18n.t('dayLimitsHint', [String(defaultLimit)]),
+        onOpen: (body) => {
+            const grid = document.createElement('div');
+            grid.className = 'day-limit-grid';
+            DAY_ORDER.forEach((day) => {
+                const label = document.createElement('label');
+                label.className = 'day-limit-cell';
+                const name = document.createElement('span');
+                name.textContent = I18n.t(DAY_KEYS[day]);
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.min = '0';
+                input.max = String(maxCap);
+                input.className = 'modern-input day-limit-input';
+                input.dataset.day = String(day);
+                input.placeholder = String(defaultLimit);
+                if (dayLimits[day] !== undefined) input.value = String(dayLimits[day]);
+                label.append(name, input);
+                grid.appendChild(label);
+            });
+            body.appendChild(grid);
+        },
+        onSave: (body) => {
+            const next = {};
+            body.querySelectorAll('.day-limit-input').forEach((input) => {
+                const value = parseInt(input.value, 10);
+                if (input.value.trim() === '' || !Number.isFinite(value)) return;
+                next[input.dataset.day] = Math.max(0, Math.min(value, maxCap));
+            });
+            return onSave(next);
+        },
+    });
+}
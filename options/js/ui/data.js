@@ -1,3 +1,22 @@
+/**
+ * Check the shape of a rule's or group's schedule windows in an imported backup.
+ * @param {*} schedule - Value of a rule's or group's `schedule` field.
+ * @returns {boolean} True if absent or a well-formed window list.
+ */
+function isValidSchedule(schedule) {
+    if (schedule === undefined) return true;
+    if (!Array.isArray(schedule)) return false;
+    const time = /^\d{1,2}:\d{2}$/;
+    return schedule.every(
+        (w) =>
+            w &&
+            Array.isArray(w.days) &&
+            w.days.every((d) => Number.isInteger(d) && d >= 0 && d <= 6) &&
+            time.test(w.start) &&
+            time.test(w.end)
+    );
+}
+
 /**
  * Validate the structure of an imported backup payload.
  * @param {*} data Parsed JSON from the import file.
@@ -18,8 +37,11 @@ function validateImportData(data) {
         for (const entry of Object.values(data.usage)) {
             if (typeof entry !== 'object' || entry === null) return 'importErrorUsage';
             for (const value of Object.values(entry)) {
-                if (typeof value === 'number' && (!Number.isFinite(value) || value < 0)) {
-                    return 'importErrorNumbers';
+                const numbers = value && typeof value === 'object' ? Object.values(value) : [value];
+                for (const n of numbers) {
+                    if (typeof n === 'number' && (!Number.isFinite(n) || n < 0)) {
+                        return 'importErrorNumbers';
+                    }
                 }
             }
         }
@@ -35,13 +57,66 @@ function validateImportData(data) {
     }
     if (data.siteRules !== undefined) {
         if (typeof data.siteRules !== 'object' || data.siteRules === null) return 'importErrorRules';
-        for (const kind of ['blocked', 'restricted']) {
+        for (const kind of ['blocked', 'restricted', 'visitLimited']) {
             const list = data.siteRules[kind];
             if (list === undefined) continue;
             if (!Array.isArray(list)) return 'importErrorRules';
             for (const item of list) {
                 const domain = typeof item === 'string' ? item : item && item.domain;
                 if (typeof domain !== 'string' || !domain) return 'importErrorRules';
+                if (item && typeof item === 'object' && !isValidSchedule(item.schedule)) {
+                    return 'importErrorRules';
+                }
+            }
+        }
+    }
+    if (data.siteSpeeds !== undefined) {
+        if (
+            typeof data.siteSpeeds !== 'object' ||
+            data.siteSpeeds === null ||
+            Array.isArray(data.siteSpeeds)
+        ) {
+            return 'importErrorSiteSpeeds';
+        }
+        for (const speed of Object.values(data.siteSpeeds)) {
+            if (typeof speed !== 'number' || !Number.isFinite(speed) || speed <= 0) {
+                return 'importErrorSiteSpeeds';
+            }
+        }
+    }
+    if (data.focusHistory !== undefined) {
+        if (!Array.isArray(data.focusHistory)) return 'importErrorFocusHistory';
+        for (const entry of data.focusHistory) {
+            if (
+                !entry ||
+                !Number.isFinite(entry.startedAt) ||
+                !Number.isFinite(entry.focusedSeconds)
+            ) {
+                return 'importErrorFocusHistory';
+            }
+        }
+    }
+    if (data.sessionLog !== undefined) {
+        if (
+            typeof data.sessionLog !== 'object' ||
+            data.sessionLog === null ||
+            Array.isArray(data.sessionLog)
+        ) {
+            return 'importErrorSessionLog';
+        }
+        for (const [day, sessions] of Object.entries(data.sessionLog)) {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(day) || !Array.isArray(sessions)) {
+                return 'importErrorSessionLog';
+            }
+            for (const entry of sessions) {
+                if (
+                    !entry ||
+                    typeof entry.domain !== 'string' ||
+                    !Number.isFinite(entry.start) ||
+                    !Number.isFinite(entry.end)
+                ) {
+                    return 'importErrorSessionLog';
+                }
             }
         }
     }
@@ -51,6 +126,10 @@ function validateImportData(data) {
             if (!g || typeof g.id !== 'string' || typeof g.name !== 'string' || !Array.isArray(g.domains)) {
                 return 'importErrorGroups';
             }
+            if (!isValidSchedule(g.schedule)) return 'importErrorGroups';
+            if (g.dayLimits !== undefined && (typeof g.dayLimits !== 'object' || g.dayLimits === null)) {
+                return 'importErrorGroups';
+            }
         }
     }
     return null;
@@ -180,6 +259,8 @@ export class DataManager {
                             this.controller.refreshUI();
                             this.updateStorageUsage();
                             searchInput.dispatchEvent(new Event('input')); // Refresh list
+                        } else if (response?.error) {
+                            this.controller.showError(response.error);
                         }
                     }
                 }
@@ -346,21 +427,20 @@ export class DataManager {
             const importMode = await this.promptImportMode();
             if (!importMode) return;
 
+            // The background refuses the import as well; checking first saves a partial import
+            if (await this.isLockdownActive()) {
+                this.controller.showError(chrome.i18n.getMessage('lockdownBlocksImport'));
+                return;
+            }
+
+            // Rules, groups and settings are stored by the background, where lockdown is enforced
+            const stored = {};
+            let settingsToSave;
+
             if (importMode === 'merge') {
                 // Flush any lingering in-memory updates from background before merging
                 await chrome.runtime.sendMessage({ type: 'FLUSH_PENDING_UPDATES' }).catch(() => {});
 
-                if (data.usage !== undefined) {
-                    const usageResponse = await chrome.runtime.sendMessage({
-                        type: 'IMPORT_USAGE',
-                        usage: data.usage,
-                        mode: 'merge',
-                    });
-                    if (!usageResponse || usageResponse.success !== true) {
-                        throw new Error('Failed to import usage data');
-                    }
-                }
-
                 if (data.settings) {
                     const existingSettings = await this.controller.storageManager.getSettings();
                     const currentLimit = this.controller.settings?.storageLimitMB || existingSettings.storageLimitMB;
@@ -369,7 +449,7 @@ export class DataManager {
                     if (currentLimit !== undefined) {
                         mergedSettings.storageLimitMB = currentLimit;
                     }
-                    await this.controller.storageManager.saveSettings(mergedSettings);
+                    settingsToSave = mergedSettings;
                 }
 
                 let rulesToSave = [];
@@ -394,6 +474,7 @@ export class DataManager {
                                     type: 'BLOCKED',
                                     isEnabled: true,
                                     createdAt: Date.now(),
+                                    schedule: Array.isArray(item.schedule) ? item.schedule : [],
                                 });
                             }
                         }
@@ -410,7 +491,28 @@ export class DataManager {
                                     type: 'RESTRICTED',
                                     isEnabled: true,
                                     timeLimitMinutes: rule.timeLimitMinutes ?? 30,
+                                    budgetMode: rule.budgetMode,
+                                    carryOverMinutes: rule.carryOverMinutes,
+                                    createdAt: Date.now(),
+                                    schedule: Array.isArray(rule.schedule) ? rule.schedule : [],
+                                });
+                            }
+                        }
+                    }
+                    if (Array.isArray(data.siteRules.visitLimited)) {
+                        for (const rule of data.siteRules.visitLimited) {
+                            const domain = typeof rule === 'string' ? rule : rule.domain;
+                            if (!domain) continue;
+                            const key = `${domain}|VISIT_LIMITED`;
+                            if (!existingKeys.has(key)) {
+                                existingKeys.add(key);
+                                rulesToSave.push({
+                                    domain,
+                                    type: 'VISIT_LIMITED',
+                                    isEnabled: true,
+                                    maxVisits: rule.maxVisits,
                                     createdAt: Date.now(),
+                                    schedule: Array.isArray(rule.schedule) ? rule.schedule : [],
                                 });
                             }
                         }
@@ -431,7 +533,7 @@ export class DataManager {
                     }
                 }
 
-                await chrome.storage.local.set({ siteRules: rulesToSave });
+                stored.siteRules = rulesToSave;
 
                 if (Array.isArray(data.siteGroups)) {
                     const existingGroupsObj = (await chrome.storage.local.get('siteGroups')) || {};
@@ -447,25 +549,44 @@ export class DataManager {
                             mergedGroups.push(g);
                         }
                     }
-                    await chrome.storage.local.set({ siteGroups: mergedGroups });
+                    stored.siteGroups = mergedGroups;
+                }
+
+                if (data.siteSpeeds) {
+                    const existingSpeedsObj = (await chrome.storage.local.get('siteSpeeds')) || {};
+                    stored.siteSpeeds = {
+                        ...data.siteSpeeds,
+                        ...(existingSpeedsObj.siteSpeeds || {}),
+                    };
+                }
+
+                if (Array.isArray(data.focusHistory)) {
+                    const existingHistory = await this.controller.storageManager.getFocusHistory();
+                    const seen = new Set(existingHistory.map((entry) => entry.startedAt));
+                    const mergedHistory = [
+                        ...existingHistory,
+                        ...data.focusHistory.filter((entry) => !seen.has(entry.startedAt)),
+                    ].sort((a, b) => a.startedAt - b.startedAt);
+                    stored.focusHistory = mergedHistory;
+                }
+
+                if (data.sessionLog) {
+                    const mergedLog = await this.controller.storageManager.getSessionLog();
+                    for (const [day, sessions] of Object.entries(data.sessionLog)) {
+                        const existing = Array.isArray(mergedLog[day]) ? mergedLog[day] : [];
+                        const seen = new Set(existing.map((s) => `${s.start}|${s.domain}`));
+                        mergedLog[day] = [
+                            ...existing,
+                            ...sessions.filter((s) => !seen.has(`${s.start}|${s.domain}`)),
+                        ].sort((a, b) => a.start - b.start);
+                    }
+                    stored.sessionLog = mergedLog;
                 }
             } else {
                 // Clear any lingering in-memory updates from background so old data isn't re-saved
                 await chrome.runtime.sendMessage({ type: 'FLUSH_PENDING_UPDATES' }).catch(() => {});
 
-                if (data.usage !== undefined) {
-                    const usageResponse = await chrome.runtime.sendMessage({
-                        type: 'IMPORT_USAGE',
-                        usage: data.usage,
-                        mode: 'replace',
-                    });
-                    if (!usageResponse || usageResponse.success !== true) {
-                        throw new Error('Failed to import usage data');
-                    }
-                }
-                if (data.settings !== undefined) {
-                    await this.controller.storageManager.saveSettings(data.settings);
-                }
+                settingsToSave = data.settings;
 
                 let rulesToSave = [];
                 if (data.siteRules) {
@@ -478,6 +599,7 @@ export class DataManager {
                                 type: 'BLOCKED',
                                 isEnabled: true,
                                 createdAt: Date.now(),
+                                schedule: Array.isArray(item.schedule) ? item.schedule : [],
                             });
                         }
                     }
@@ -490,7 +612,24 @@ export class DataManager {
                                 type: 'RESTRICTED',
                                 isEnabled: true,
                                 timeLimitMinutes: rule.timeLimitMinutes ?? 30,
+                                budgetMode: rule.budgetMode,
+                                carryOverMinutes: rule.carryOverMinutes,
                                 createdAt: Date.now(),
+                                schedule: Array.isArray(rule.schedule) ? rule.schedule : [],
+                            });
+                        }
+                    }
+                    if (Array.isArray(data.siteRules.visitLimited)) {
+                        for (const rule of data.siteRules.visitLimited) {
+                            const domain = typeof rule === 'string' ? rule : rule.domain;
+                            if (!domain) continue;
+                            rulesToSave.push({
+                                domain,
+                                type: 'VISIT_LIMITED',
+                                isEnabled: true,
+                                maxVisits: rule.maxVisits,
+                                createdAt: Date.now(),
+                                schedule: Array.isArray(rule.schedule) ? rule.schedule : [],
                             });
                         }
                     }
@@ -505,10 +644,37 @@ export class DataManager {
                     }
                 }
 
-                await chrome.storage.local.set({
+                Object.assign(stored, {
                     siteRules: rulesToSave,
                     siteGroups: Array.isArray(data.siteGroups) ? data.siteGroups : [],
+                    siteSpeeds: data.siteSpeeds || {},
+                    focusHistory: Array.isArray(data.focusHistory) ? data.focusHistory : [],
+                    sessionLog: data.sessionLog || {},
+                });
+            }
+
+            const importResponse = await chrome.runtime.sendMessage({
+                type: 'IMPORT_DATA',
+                stored,
+                settings: settingsToSave,
+            });
+            if (importResponse?.lockdown) {
+                this.controller.showError(importResponse.error);
+                return;
+            }
+            if (!importResponse || importResponse.success !== true) {
+                throw new Error('Failed to import rules and settings');
+            }
+
+            if (data.usage !== undefined) {
+                const usageResponse = await chrome.runtime.sendMessage({
+                    type: 'IMPORT_USAGE',
+                    usage: data.usage,
+                    mode: importMode,
                 });
+                if (!usageResponse || usageResponse.success !== true) {
+                    throw new Error('Failed to import usage data');
+                }
             }
 
             // Sync controller data and update all UI views
@@ -526,14 +692,40 @@ export class DataManager {
         }
     }
 
+    /**
+     * Ask the background for the running lockdown rather than trusting the
+     * copy loaded with the blocking tab, which may be stale or missing.
+     * @returns {Promise<boolean>} True while a lockdown is running.
+     */
+    async isLockdownActive() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_LOCKDOWN' });
+            this.controller.lockdown = response?.lockdown || null;
+        } catch (error) {
+            console.error('Error loading lockdown:', error);
+        }
+        const lockdown = this.controller.lockdown;
+        return Boolean(lockdown && lockdown.until > Date.now());
+    }
+
     /**
      *
      */
     async resetSettings() {
+        if (await this.isLockdownActive()) {
+            this.controller.showError(chrome.i18n.getMessage('lockdownBlocksReset'));
+            return;
+        }
         if (!confirm(chrome.i18n.getMessage('resetAllConfirm'))) return;
 
         try {
-            await this.controller.storageManager.clearAllData();
+            const response = await chrome.runtime.sendMessage({ type: 'RESET_ALL_DATA' });
+            if (!response || response.success !== true) {
+                this.controller.showError(
+                    response?.error || chrome.i18n.getMessage('failedResetSettings')
+                );
+                return;
+            }
 
             await this.controller.loadAllData();
             this.controller.refreshUI();
@@ -3,10 +3,19 @@ export const generalSettingsMethods = {
         this.bindSettings({
             language: 'languageSelect',
             trackingEnabled: 'trackingEnabled',
+            idleThresholdMinutes: 'idleThreshold',
             dailyTimeLimitMinutes: 'dailyLimit',
             restrictedSliderMax: 'restrictedSliderMax',
+            unlockFriction: 'unlockFrictionSelect',
+            unlockMinutes: 'unlockMinutes',
+            unlockMaxPerDay: 'unlockMaxPerDay',
+            unlockCountdownSeconds: 'unlockCountdownSeconds',
+            unlockCooldownMinutes: 'unlockCooldownMinutes',
             notificationsEnabled: 'notificationsEnabled',
             quotaWarnings: 'quotaWarnings',
+            limitWarningPercent: 'limitWarningPercent',
+            limitWarningMinutesLeft: 'limitWarningMinutesLeft',
+            showCountdownOverlay: 'showCountdownOverlay',
             badgeEnabled: 'badgeEnabled',
             animationsEnabled: 'animationsEnabled',
         });
@@ -19,10 +28,79 @@ export const generalSettingsMethods = {
             });
         }
 
+        this.setupDayStartHour();
+        this.setupTimeZone();
         this.setupColorPicker('accentColorPicker', 'accentColor');
         this.setupColorPicker('overlayColorPicker', 'overlayColor');
     },
 
+    /**
+     * Fill the "day starts at" picker with the hours of the day and save the
+     * choice as a number.
+     */
+    setupDayStartHour() {
+        const select = document.getElementById('dayStartHour');
+        if (!select) return;
+
+        for (let hour = 0; hour < 24; hour++) {
+            const option = document.createElement('option');
+            option.value = String(hour);
+            option.textContent = new Date(2000, 0, 1, hour).toLocaleTimeString(undefined, {
+                hour: 'numeric',
+                minute: '2-digit',
+            });
+            select.appendChild(option);
+        }
+        select.addEventListener('change', () => {
+            this.controller.updateSetting('dayStartHour', Number(select.value));
+        });
+    },
+
+    /**
+     * Fill the day time zone picker. The first entry follows the device; the
+     * rest pin days to a zone so they stay put while travelling.
+     */
+    setupTimeZone() {
+        const select = document.getElementById('timeZoneSelect');
+        if (!select) return;
+
+        const device = TimeUtils.getDeviceTimeZone();
+        const follow = document.createElement('option');
+        follow.value = '';
+        follow.textContent = chrome.i18n.getMessage('dayTimeZoneDevice', [device || 'UTC']);
+        select.appendChild(follow);
+
+        const zones =
+            typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+        for (const zone of zones) this.addTimeZoneOption(select, zone);
+
+        select.addEventListener('change', () => {
+            this.controller.updateSetting('timeZone', select.value || null);
+            this.updateTimeZoneHint(select.value || null);
+        });
+    },
+
+    addTimeZoneOption(select, zone) {
+        const option = document.createElement('option');
+        option.value = zone;
+        option.textContent = zone.replace(/_/g, ' ');
+        select.appendChild(option);
+    },
+
+    /**
+     * Point out when the device has moved to another zone than the one days
+     * are counted in.
+     * @param {string|null} zone - Zone from the timeZone setting
+     */
+    updateTimeZoneHint(zone) {
+        const hint = document.getElementById('timeZoneTravelHint');
+        if (!hint) return;
+        const device = TimeUtils.getDeviceTimeZone();
+        hint.hidden = !zone || !device || zone === device;
+        if (!hint.hidden)
+            hint.textContent = chrome.i18n.getMessage('dayTimeZoneTravelHint', [device, zone]);
+    },
+
     setupColorPicker(pickerId, settingKey) {
         const picker = document.getElementById(pickerId);
         if (!picker) return;
@@ -1,3 +1,6 @@
+/* global ShortcutMap */
+import { escapeHtml } from '../../utils/formatting.js';
+
 export const sharedSettingsMethods = {
     setupAnalytics() {
         this.bindSettings({ trackingFrequency: 'trackingFrequency' });
@@ -72,10 +75,20 @@ export const sharedSettingsMethods = {
         const mapping = {
             language: 'languageSelect',
             trackingEnabled: 'trackingEnabled',
+            idleThresholdMinutes: 'idleThreshold',
+            dayStartHour: 'dayStartHour',
             dailyTimeLimitMinutes: 'dailyLimit',
             restrictedSliderMax: 'restrictedSliderMax',
+            unlockFriction: 'unlockFrictionSelect',
+            unlockMinutes: 'unlockMinutes',
+            unlockMaxPerDay: 'unlockMaxPerDay',
+            unlockCountdownSeconds: 'unlockCountdownSeconds',
+            unlockCooldownMinutes: 'unlockCooldownMinutes',
             notificationsEnabled: 'notificationsEnabled',
             quotaWarnings: 'quotaWarnings',
+            limitWarningPercent: 'limitWarningPercent',
+            limitWarningMinutesLeft: 'limitWarningMinutesLeft',
+            showCountdownOverlay: 'showCountdownOverlay',
             badgeEnabled: 'badgeEnabled',
             animationsEnabled: 'animationsEnabled',
             currentPlaybackSpeed: 'currentPlaybackSpeed',
@@ -83,6 +96,9 @@ export const sharedSettingsMethods = {
             maxPlaybackSpeed: 'maxSpeed',
             speedStep: 'speedStep',
             controllerSkipPace: 'controllerSkipPace',
+            loopSlowSpeed: 'loopSlowSpeed',
+            skipSilenceThresholdDb: 'skipSilenceThreshold',
+            skipSilenceMinSeconds: 'skipSilenceMinSeconds',
             incognitoTracking: 'incognitoTracking',
             trackingFrequency: 'trackingFrequency',
             autoPurgeEnabled: 'autoPurgeEnabled',
@@ -114,25 +130,24 @@ export const sharedSettingsMethods = {
             controllerSkipPace.value = 10;
         }
 
-        const incKey = document.getElementById('increaseSpeedKey');
-        if (incKey) incKey.value = settings.increaseSpeedKey || 'Plus';
-        const decKey = document.getElementById('decreaseSpeedKey');
-        if (decKey) decKey.value = settings.decreaseSpeedKey || 'Minus';
-        const resKey = document.getElementById('resetSpeedKey');
-        if (resKey) resKey.value = settings.resetSpeedKey || 'Period';
+        this.renderShortcuts();
 
         const helpShortcuts = document.getElementById('helpCurrentShortcuts');
         if (helpShortcuts) {
-            const formatKey = (k) => {
-                if (k === 'Plus') return '+';
-                if (k === 'Minus') return '-';
-                if (k === 'Period') return '.';
-                return k;
-            };
-            const inc = formatKey(settings.increaseSpeedKey || 'Plus');
-            const dec = formatKey(settings.decreaseSpeedKey || 'Minus');
-            const res = formatKey(settings.resetSpeedKey || 'Period');
-            helpShortcuts.innerHTML = `<code>${inc}</code> / <code>${dec}</code>, and <code>${res}</code>`;
+            const bindings = ShortcutMap.resolve(settings);
+            const key = (action) =>
+                `<code>${escapeHtml(ShortcutMap.format(bindings[action]) || '–')}</code>`;
+            helpShortcuts.innerHTML = `${key('increase-speed')} / ${key('decrease-speed')}, and ${key('reset-speed')}`;
+        }
+
+        const timeZone = document.getElementById('timeZoneSelect');
+        if (timeZone) {
+            const zone = settings.timeZone || '';
+            if (zone && ![...timeZone.options].some((o) => o.value === zone)) {
+                this.addTimeZoneOption(timeZone, zone);
+            }
+            timeZone.value = zone;
+            this.updateTimeZoneHint(settings.timeZone || null);
         }
 
         const paused = document.getElementById('trackingPaused');
@@ -143,6 +158,8 @@ export const sharedSettingsMethods = {
             autoPurgeParams.classList.toggle('visible', Boolean(settings.autoPurgeEnabled));
 
         this.renderWhitelist(settings.whitelist || []);
+        this.renderSkipSilenceSites(settings.skipSilenceSites || []);
+        this.renderSkipSilenceSaved(this.controller.usage);
         this.renderCustomColors(
             'accentColorPicker',
             settings.customAccentColors || [],
@@ -1,3 +1,37 @@
+/* global DomainUtils, ShortcutMap */
+import { escapeHtml, formatTime } from '../../utils/formatting.js';
+
+const SHORTCUT_LABEL_KEYS = {
+    'increase-speed': 'increaseSpeed',
+    'decrease-speed': 'decreaseSpeed',
+    'reset-speed': 'resetSpeed',
+    'toggle-play': 'shortcutTogglePlay',
+    'skip-back': 'shortcutSkipBack',
+    'skip-forward': 'shortcutSkipForward',
+    'step-back': 'shortcutStepBack',
+    'step-forward': 'shortcutStepForward',
+    'frame-back': 'shortcutFrameBack',
+    'frame-forward': 'shortcutFrameForward',
+    'loop-set-a': 'shortcutLoopSetA',
+    'loop-set-b': 'shortcutLoopSetB',
+    'loop-toggle-slow': 'shortcutLoopSlow',
+    'loop-clear': 'shortcutLoopClear',
+};
+
+/**
+ * Name of a shortcut action as shown in the editor
+ * @param {string} action - Action from ShortcutMap.ACTIONS
+ * @returns {string} Localized label
+ */
+function getShortcutLabel(action) {
+    if (action in ShortcutMap.SPEED_PRESETS) {
+        return chrome.i18n.getMessage('shortcutSpeedPreset', [
+            String(ShortcutMap.SPEED_PRESETS[action]),
+        ]);
+    }
+    return chrome.i18n.getMessage(SHORTCUT_LABEL_KEYS[action]);
+}
+
 export const videoSettingsMethods = {
     setupVideo() {
         this.bindSettings({
@@ -6,6 +40,9 @@ export const videoSettingsMethods = {
             maxPlaybackSpeed: 'maxSpeed',
             speedStep: 'speedStep',
             controllerSkipPace: 'controllerSkipPace',
+            loopSlowSpeed: 'loopSlowSpeed',
+            skipSilenceThresholdDb: 'skipSilenceThreshold',
+            skipSilenceMinSeconds: 'skipSilenceMinSeconds',
         });
 
         const currentSpeedNum = document.getElementById('currentPlaybackSpeed');
@@ -73,80 +110,283 @@ export const videoSettingsMethods = {
             });
         }
 
-        this.setupKeyRecording();
+        this.setupShortcuts();
+        this.setupSkipSilence();
     },
 
-    setupKeyRecording() {
-        const keyInputs = [
-            { id: 'increaseSpeedKey', key: 'increaseSpeedKey' },
-            { id: 'decreaseSpeedKey', key: 'decreaseSpeedKey' },
-            { id: 'resetSpeedKey', key: 'resetSpeedKey' },
-        ];
-
-        const normalizationMap = {
-            NumpadSubtract: 'Minus',
-            Minus: 'Minus',
-            NumpadAdd: 'Plus',
-            Equal: 'Plus',
-            NumpadEnter: 'Enter',
-            Enter: 'Enter',
-            NumpadDecimal: 'Period',
-            NumpadComma: 'Period',
-            Period: 'Period',
-            NumpadMultiply: 'Asterisk',
-            NumpadDivide: 'Slash',
-            Slash: 'Slash',
-            NumpadEqual: 'Equal',
+    setupSkipSilence() {
+        const addBtn = document.getElementById('addSkipSilenceBtn');
+        const input = document.getElementById('skipSilenceInput');
+        const list = document.getElementById('skipSilenceList');
+        if (!addBtn || !input || !list) return;
+
+        const add = () => {
+            const domain = input.value
+                .trim()
+                .toLowerCase()
+                .replace(/^(https?:\/\/)?(www\.)?/, '')
+                .split('/')[0];
+            if (!domain) return;
+
+            const sites = this.controller.settings.skipSilenceSites || [];
+            if (!sites.includes(domain)) {
+                const next = [...sites, domain];
+                this.controller.updateSetting('skipSilenceSites', next);
+                this.renderSkipSilenceSites(next);
+            }
+            input.value = '';
         };
+        addBtn.addEventListener('click', add);
+        input.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') add();
+        });
+
+        list.addEventListener('click', (e) => {
+            const btn = e.target.closest('.rule-delete-btn');
+            if (!btn) return;
+            const next = (this.controller.settings.skipSilenceSites || []).filter(
+                (d) => d !== btn.dataset.domain
+            );
+            this.controller.updateSetting('skipSilenceSites', next);
+            this.renderSkipSilenceSites(next);
+        });
+    },
+
+    renderSkipSilenceSites(sites) {
+        const list = document.getElementById('skipSilenceList');
+        if (!list) return;
+
+        list.innerHTML = sites
+            .map(
+                (domain) => `
+            <li class="rule-item">
+                <span class="rule-domain">${escapeHtml(domain)}</span>
+                <button class="rule-delete-btn" data-domain="${escapeHtml(domain)}" aria-label="${chrome.i18n.getMessage('removeSkipSilenceSite', [domain])}">×</button>
+            </li>
+        `
+            )
+            .join('');
+    },
 
-        for (let i = 0; i <= 9; i++) {
-            normalizationMap[`Numpad${i}`] = `${i}`;
-            normalizationMap[`Digit${i}`] = `${i}`;
+    /**
+     * Show how much playback time skipping silence has saved, today and overall.
+     * @param {object} usage - Usage map keyed by domain.
+     */
+    renderSkipSilenceSaved(usage) {
+        const el = document.getElementById('skipSilenceSaved');
+        if (!el) return;
+
+        const today = `${TimeUtils.getCurrentDate()}_silence`;
+        let todaySeconds = 0;
+        let totalSeconds = 0;
+        for (const domainData of Object.values(usage || {})) {
+            if (!domainData || typeof domainData !== 'object') continue;
+            for (const [key, seconds] of Object.entries(domainData)) {
+                if (typeof seconds !== 'number' || !key.endsWith('_silence')) continue;
+                totalSeconds += seconds;
+                if (key === today) todaySeconds += seconds;
+            }
         }
 
-        keyInputs.forEach(({ id, key }) => {
-            const el = document.getElementById(id);
-            if (!el) return;
-
-            el.addEventListener('click', () => {
-                el.value = chrome.i18n.getMessage('pressAnyKey');
-                el.classList.add('recording');
-
-                const handler = (e) => {
-                    e.preventDefault();
-                    e.stopPropagation();
-                    if (['Control', 'Shift', 'Alt', 'Meta'].includes(e.key)) return;
-
-                    let code = e.code;
-                    if (normalizationMap[code]) code = normalizationMap[code];
-
-                    el.value = code;
-                    el.classList.remove('recording');
-                    this.controller.updateSetting(key, code);
-
-                    document.removeEventListener('keydown', handler, true);
-                    document.removeEventListener('click', cancelHandler);
-                };
-
-                const cancelHandler = (e) => {
-                    if (e.target !== el) {
-                        document.removeEventListener('keydown', handler, true);
-                        document.removeEventListener('click', cancelHandler);
-                        el.classList.remove('recording');
-
-                        if (el.value === 'Press any key…') {
-                            const current = this.controller.settings[key];
-                            let defaultKey = 'Plus';
-                            if (key === 'decreaseSpeedKey') defaultKey = 'Minus';
-                            if (key === 'resetSpeedKey') defaultKey = 'Period';
-                            el.value = current || defaultKey;
-                        }
-                    }
-                };
+        el.textContent =
+            totalSeconds > 0
+                ? chrome.i18n.getMessage('skipSilenceSaved', [
+                      formatTime(todaySeconds * 1000),
+                      formatTime(totalSeconds * 1000),
+                  ])
+                : '';
+    },
+
+    setupShortcuts() {
+        this.shortcutScope = '';
+
+        const scope = document.getElementById('shortcutScope');
+        const siteInput = document.getElementById('shortcutSiteInput');
+        const addBtn = document.getElementById('addShortcutSiteBtn');
+        const removeBtn = document.getElementById('removeShortcutSiteBtn');
+        const list = document.getElementById('shortcutList');
+        if (!scope || !list) return;
+
+        scope.addEventListener('change', () => {
+            this.shortcutScope = scope.value;
+            this.renderShortcuts();
+        });
+
+        const addSite = () => {
+            const domain = DomainUtils.normalizeDomain(
+                siteInput.value
+                    .trim()
+                    .replace(/^https?:\/\//i, '')
+                    .split('/')[0]
+            );
+            if (!DomainUtils.isValidDomain(domain)) return;
+            const overrides = this.controller.settings.siteVideoShortcuts || {};
+            if (!overrides[domain]) {
+                this.controller.updateSetting('siteVideoShortcuts', { ...overrides, [domain]: {} });
+            }
+            siteInput.value = '';
+            this.shortcutScope = domain;
+            this.renderShortcuts();
+        };
+        if (addBtn && siteInput) {
+            addBtn.addEventListener('click', addSite);
+            siteInput.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') addSite();
+            });
+        }
 
-                document.addEventListener('keydown', handler, true);
-                setTimeout(() => document.addEventListener('click', cancelHandler), 0);
+        if (removeBtn) {
+            removeBtn.addEventListener('click', () => {
+                const overrides = { ...this.controller.settings.siteVideoShortcuts };
+                delete overrides[this.shortcutScope];
+                this.controller.updateSetting('siteVideoShortcuts', overrides);
+                this.shortcutScope = '';
+                this.renderShortcuts();
             });
+        }
+
+        list.addEventListener('click', (e) => {
+            const input = e.target.closest('.keybind-input');
+            if (input) {
+                this.recordShortcut(input);
+                return;
+            }
+            const clear = e.target.closest('.shortcut-clear');
+            if (clear) this.saveShortcut(clear.dataset.action, '');
+            const inherit = e.target.closest('.shortcut-inherit');
+            if (inherit) this.saveShortcut(inherit.dataset.action, null);
         });
     },
+
+    /**
+     * Bindings being edited: the global set, or the global set with the
+     * selected site's overrides applied.
+     * @returns {Object<string, string>} Action -> chord
+     */
+    getScopeShortcuts() {
+        return ShortcutMap.resolve(this.controller.settings, this.shortcutScope);
+    },
+
+    /**
+     * Store a binding in the selected scope
+     * @param {string} action - Action to bind
+     * @param {string|null} chord - New chord, '' to unbind, or null to drop a site override
+     */
+    saveShortcut(action, chord) {
+        const settings = this.controller.settings;
+        if (!this.shortcutScope) {
+            this.controller.updateSetting('videoShortcuts', {
+                ...ShortcutMap.DEFAULTS,
+                ...settings.videoShortcuts,
+                [action]: chord || '',
+            });
+        } else {
+            const overrides = settings.siteVideoShortcuts || {};
+            const site = { ...overrides[this.shortcutScope] };
+            if (chord === null) delete site[action];
+            else site[action] = chord;
+            this.controller.updateSetting('siteVideoShortcuts', {
+                ...overrides,
+                [this.shortcutScope]: site,
+            });
+        }
+        this.renderShortcuts();
+    },
+
+    /**
+     * Wait for the next key chord and bind it to the input's action.
+     * A chord already used by another action in the same scope is refused.
+     * @param {HTMLInputElement} input - Key field that was clicked
+     */
+    recordShortcut(input) {
+        const action = input.dataset.action;
+        const conflictBox = document.getElementById('shortcutConflict');
+        input.value = chrome.i18n.getMessage('pressAnyKey');
+        input.classList.add('recording');
+
+        const stop = () => {
+            document.removeEventListener('keydown', handler, true);
+            document.removeEventListener('click', cancelHandler);
+            input.classList.remove('recording');
+        };
+
+        const handler = (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            if (e.key === 'Escape') {
+                stop();
+                this.renderShortcuts();
+                return;
+            }
+            const chord = ShortcutMap.fromEvent(e);
+            if (!chord) return;
+            stop();
+
+            const conflict = ShortcutMap.findConflict(this.getScopeShortcuts(), chord, action);
+            if (conflict) {
+                this.renderShortcuts();
+                if (conflictBox) {
+                    conflictBox.textContent = chrome.i18n.getMessage('shortcutConflict', [
+                        ShortcutMap.format(chord),
+                        getShortcutLabel(conflict),
+                    ]);
+                    conflictBox.hidden = false;
+                }
+                return;
+            }
+            this.saveShortcut(action, chord);
+        };
+
+        const cancelHandler = (e) => {
+            if (e.target === input) return;
+            stop();
+            this.renderShortcuts();
+        };
+
+        document.addEventListener('keydown', handler, true);
+        setTimeout(() => document.addEventListener('click', cancelHandler), 0);
+    },
+
+    renderShortcuts() {
+        const scope = document.getElementById('shortcutScope');
+        const list = document.getElementById('shortcutList');
+        if (!scope || !list) return;
+
+        const overrides = this.controller.settings.siteVideoShortcuts || {};
+        if (this.shortcutScope && !overrides[this.shortcutScope]) this.shortcutScope = '';
+        const site = this.shortcutScope ? overrides[this.shortcutScope] : null;
+
+        scope.innerHTML = [
+            `<option value="">${escapeHtml(chrome.i18n.getMessage('shortcutScopeAll'))}</option>`,
+            ...Object.keys(overrides)
+                .sort()
+                .map((d) => `<option value="${escapeHtml(d)}">${escapeHtml(d)}</option>`),
+        ].join('');
+        scope.value = this.shortcutScope;
+
+        const removeBtn = document.getElementById('removeShortcutSiteBtn');
+        if (removeBtn) removeBtn.hidden = !site;
+        const conflictBox = document.getElementById('shortcutConflict');
+        if (conflictBox) conflictBox.hidden = true;
+
+        const bindings = this.getScopeShortcuts();
+        const clickToSet = escapeHtml(chrome.i18n.getMessage('clickToSet'));
+        list.innerHTML = ShortcutMap.ACTIONS.map((action) => {
+            const label = escapeHtml(getShortcutLabel(action));
+            const overridden = Boolean(site && action in site);
+            const desc = overridden ? chrome.i18n.getMessage('shortcutSiteOverride') : '';
+            return `
+            <div class="setting-item shortcut-row">
+                <div class="setting-info">
+                    <div class="setting-title">${label}</div>
+                    ${desc ? `<div class="setting-desc">${escapeHtml(desc)}</div>` : ''}
+                </div>
+                <div class="setting-control">
+                    <input type="text" class="modern-input keybind-input short" data-action="${action}" value="${escapeHtml(ShortcutMap.format(bindings[action]))}" placeholder="${clickToSet}" aria-label="${label}" readonly />
+                    <button type="button" class="rule-delete-btn shortcut-clear" data-action="${action}" aria-label="${escapeHtml(chrome.i18n.getMessage('shortcutClear', [getShortcutLabel(action)]))}">×</button>
+                    ${overridden ? `<button type="button" class="btn btn-outline btn-sm shortcut-inherit" data-action="${action}">${escapeHtml(chrome.i18n.getMessage('shortcutUseDefault'))}</button>` : ''}
+                </div>
+            </div>`;
+        }).join('');
+    },
 };
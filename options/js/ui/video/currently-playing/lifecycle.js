@@ -53,7 +53,12 @@ export function applyCurrentlyPlayingLifecycleMethods(CurrentlyPlayingUI) {
                 });
 
                 if (!res || !res.success) {
-                    showToast(I18n.t('couldNotControlVideo'), 'error');
+                    // Loop refusals (B too close to A) explain themselves
+                    const message =
+                        action.startsWith('loop-') && res && res.error
+                            ? res.error
+                            : I18n.t('couldNotControlVideo');
+                    showToast(message, 'error');
                     this.refreshNow();
                     return;
                 }
@@ -24,7 +24,7 @@ export function applyCurrentlyPlayingRenderingMethods(CurrentlyPlayingUI) {
         const dupKeys = new Set();
         const deduped = [];
         for (const item of items) {
-            const dk = `${item.tabId}|${item.video.sourceLabel || ''}|${item.video.duration ?? 0}|${this.cleanTitle(item.tabTitle)}`;
+            const dk = `${item.tabId}|${item.video.kind || 'video'}|${item.video.sourceLabel || ''}|${item.video.duration ?? 0}|${this.cleanTitle(item.tabTitle)}`;
             if (dupKeys.has(dk)) continue;
             dupKeys.add(dk);
             deduped.push(item);
@@ -57,6 +57,16 @@ export function applyCurrentlyPlayingRenderingMethods(CurrentlyPlayingUI) {
         );
         const videoKey = this.getVideoKey(item);
         const frameId = Number.isInteger(item.video.frameId) ? item.video.frameId : '';
+        const loop = item.video.loop;
+        const loopAttrs = `data-tab-id="${item.tabId}" data-video-id="${item.video.id}" data-frame-id="${frameId}"`;
+        const loopRange =
+            loop && loop.a !== null
+                ? `<span class="currently-playing-loop-range">${this.formatTime(loop.a)} – ${loop.b === null ? '…' : this.formatTime(loop.b)}</span>`
+                : '';
+        const kindBadge =
+            item.video.kind === 'audio'
+                ? `<span class="currently-playing-kind">${I18n.t('mediaKindAudio')}</span> `
+                : '';
 
         return `
             <div class="currently-playing-item">
@@ -65,7 +75,7 @@ export function applyCurrentlyPlayingRenderingMethods(CurrentlyPlayingUI) {
                         <button type="button" class="currently-playing-title currently-playing-title-btn" data-action="focus-tab" data-tab-id="${item.tabId}" title="${I18n.t('openTab')}">${cleanedTitle}</button>
                         <button type="button" class="currently-playing-dismiss" data-action="dismiss-item" data-video-key="${this.escapeHtml(videoKey)}" title="${I18n.t('hideVideo')}">×</button>
                     </div>
-                    <div class="currently-playing-subtitle">${sourceLabel} • ${this.formatTime(currentTime)} / ${this.formatTime(duration)}</div>
+                    <div class="currently-playing-subtitle">${kindBadge}${sourceLabel} • ${this.formatTime(currentTime)} / ${this.formatTime(duration)}</div>
                 </div>
                 <input type="range" class="currently-playing-seek" min="0" max="${Math.max(duration, 1)}" step="0.1" value="${Math.min(currentTime, Math.max(duration, 1))}" data-tab-id="${item.tabId}" data-video-id="${item.video.id}" data-frame-id="${frameId}" />
                 <div class="currently-playing-controls">
@@ -75,6 +85,13 @@ export function applyCurrentlyPlayingRenderingMethods(CurrentlyPlayingUI) {
                     <button type="button" class="btn btn-outline btn-sm currently-playing-control-small" title="${I18n.t('skipAhead')}" data-action="step-forward" data-tab-id="${item.tabId}" data-video-id="${item.video.id}" data-frame-id="${frameId}">⟳</button>
                     <button type="button" class="btn btn-outline btn-sm" data-action="skip-forward" data-tab-id="${item.tabId}" data-video-id="${item.video.id}" data-frame-id="${frameId}">${I18n.t('skipForward')}</button>
                 </div>
+                <div class="currently-playing-loop">
+                    <button type="button" class="btn btn-outline btn-sm currently-playing-control-small" title="${I18n.t('shortcutLoopSetA')}" aria-label="${I18n.t('shortcutLoopSetA')}" data-action="loop-set-a" ${loopAttrs}>A</button>
+                    <button type="button" class="btn btn-outline btn-sm currently-playing-control-small" title="${I18n.t('shortcutLoopSetB')}" aria-label="${I18n.t('shortcutLoopSetB')}" data-action="loop-set-b" ${loopAttrs}>B</button>
+                    <button type="button" class="btn btn-outline btn-sm" aria-pressed="${Boolean(loop && loop.slow)}" data-action="loop-toggle-slow" ${loopAttrs}>${I18n.t('loopSlow')}</button>
+                    ${loop ? `<button type="button" class="btn btn-outline btn-sm" data-action="loop-clear" ${loopAttrs}>${I18n.t('loopClear')}</button>` : ''}
+                    ${loopRange}
+                </div>
             </div>
         `;
     };
@@ -13,17 +13,9 @@ export class SiteSpeedList {
     }
 
     /**
-     * Set up event listeners and fetch initial speeds.
-     * @returns {Promise<void>}
+     * Set up event listeners. Speeds are fetched by load() on each UI refresh.
      */
-    async setup() {
-        try {
-            const response = await chrome.runtime.sendMessage({ type: 'GET_SITE_SPEEDS' });
-            this.siteSpeeds = response?.speeds || {};
-        } catch (e) {
-            console.error(e);
-        }
-
+    setup() {
         const addBtn = document.getElementById('addSiteSpeed');
         const domainInput = document.getElementById('newSiteDomain');
 
@@ -34,8 +26,6 @@ export class SiteSpeedList {
             });
         }
 
-        this.render();
-
         const list = document.getElementById('siteSpeedsList');
         if (list) {
             list.addEventListener('click', (e) => this.handleAction(e));
@@ -43,6 +33,21 @@ export class SiteSpeedList {
         }
     }
 
+    /**
+     * Fetch stored per-site speeds from the background and re-render.
+     * @returns {Promise<void>}
+     */
+    async load() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_SITE_SPEEDS' });
+            this.siteSpeeds = response?.speeds || {};
+        } catch (e) {
+            console.error(e);
+        }
+
+        this.render();
+    }
+
     /**
      * Add a site speed entry.
      * @returns {Promise<void>}
@@ -69,6 +74,8 @@ export class SiteSpeedList {
                 this.render();
                 domainInput.value = '';
                 showToast(chrome.i18n.getMessage('speedSetForDomain', [domain]), 'success');
+            } else {
+                showToast(res.error || chrome.i18n.getMessage('failedSetSpeed'), 'error');
             }
         } catch {
             showToast(chrome.i18n.getMessage('failedSetSpeed'), 'error');
@@ -120,6 +127,7 @@ export class SiteSpeedList {
             return;
         }
 
+        const presets = [0.5, 1, 1.25, 1.5, 2, 3];
         container.innerHTML = speeds
             .map(
                 ([domain, speed]) => `
@@ -130,9 +138,9 @@ export class SiteSpeedList {
                 </div>
                 <div class="site-actions">
                      <select class="site-speed-select" data-domain="${domain}">
-                         ${[0.5, 1, 1.25, 1.5, 2, 3].map((s) => `<option value="${s}" ${s === speed ? 'selected' : ''}>${s}x</option>`).join('')}
+                         ${(presets.includes(speed) ? presets : [...presets, speed].sort((a, b) => a - b)).map((s) => `<option value="${s}" ${s === speed ? 'selected' : ''}>${s}x</option>`).join('')}
                      </select>
-                     <button class="remove-speed" data-domain="${domain}">×</button>
+                     <button class="remove-speed" data-domain="${domain}" aria-label="${chrome.i18n.getMessage('removeCustomSpeed')}">×</button>
                 </div>
             </div>
         `
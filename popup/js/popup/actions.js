@@ -49,7 +49,11 @@ export const actionMethods = {
 
     async toggleSiteBlock(domain) {
         try {
-            await chrome.runtime.sendMessage({ type: 'TOGGLE_BLOCK', domain });
+            const response = await chrome.runtime.sendMessage({ type: 'TOGGLE_BLOCK', domain });
+            if (response?.lockdown) {
+                PopupHelpers.showToast(response.error, 'error');
+                return;
+            }
             PopupHelpers.showToast(
                 `${domain} ${(await this.isBlocked(domain)) ? 'unblocked' : 'blocked'}`,
                 'success'
@@ -69,6 +73,51 @@ export const actionMethods = {
         return (domainData && domainData.isBlocked) || false;
     },
 
+    async startFocusSession() {
+        const groupIds = Array.from(
+            document.querySelectorAll('#focusGroups input:checked'),
+            (input) => input.value
+        );
+        const domains = [];
+        if (
+            document.getElementById('focusIncludeSite').checked &&
+            this.currentTab?.url &&
+            PopupHelpers.shouldTrackUrl(this.currentTab.url)
+        ) {
+            domains.push(PopupHelpers.extractDomain(this.currentTab.url));
+        }
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'START_FOCUS_SESSION',
+                focusMinutes: Number(document.getElementById('focusMinutes').value),
+                breakMinutes: Number(document.getElementById('focusBreakMinutes').value),
+                cycles: Number(document.getElementById('focusCycles').value),
+                groupIds,
+                domains,
+            });
+            if (!response?.success) throw new Error(response?.error || 'Start failed');
+            this.focusSession = response.session;
+            this.updateFocusSection();
+            PopupHelpers.showToast(I18n.t('focusStarted'), 'success');
+        } catch (error) {
+            console.error('Error starting focus session:', error);
+            PopupHelpers.showToast(I18n.t('failedStartFocus'), 'error');
+        }
+    },
+
+    async stopFocusSession() {
+        try {
+            await chrome.runtime.sendMessage({ type: 'STOP_FOCUS_SESSION' });
+            this.focusSession = null;
+            this.updateFocusSection();
+            PopupHelpers.showToast(I18n.t('focusStopped'), 'success');
+        } catch (error) {
+            console.error('Error stopping focus session:', error);
+            PopupHelpers.showToast(I18n.t('failedStopFocus'), 'error');
+        }
+    },
+
     async showSpeedControl() {
         const optionsUrl = chrome.runtime.getURL('options/options.html?tab=video');
         chrome.tabs.create({ url: optionsUrl });
@@ -121,7 +170,14 @@ export const actionMethods = {
                 trackingEnabled: !this.settings.trackingEnabled,
             };
 
-            await chrome.runtime.sendMessage({ type: 'UPDATE_SETTINGS', settings: newSettings });
+            const response = await chrome.runtime.sendMessage({
+                type: 'UPDATE_SETTINGS',
+                settings: newSettings,
+            });
+            if (response?.lockdown) {
+                PopupHelpers.showToast(response.error, 'error');
+                return;
+            }
             this.settings = newSettings;
             this.updateFooter();
             PopupHelpers.showToast(
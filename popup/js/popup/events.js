@@ -1,3 +1,4 @@
+/* global ShortcutMap */
 export const eventMethods = {
     setupEventListeners() {
         chrome.runtime.onMessage.addListener((message) => {
@@ -52,6 +53,12 @@ export const eventMethods = {
             .getElementById('speedBtn')
             .addEventListener('click', () => this.showSpeedControl());
         document.getElementById('refreshBtn').addEventListener('click', () => this.refreshData());
+        document
+            .getElementById('focusStartBtn')
+            .addEventListener('click', () => this.startFocusSession());
+        document
+            .getElementById('focusStopBtn')
+            .addEventListener('click', () => this.stopFocusSession());
         document
             .getElementById('toggleTracking')
             .addEventListener('click', () => this.toggleTracking());
@@ -78,38 +85,13 @@ export const eventMethods = {
                     activeElement.isContentEditable);
             if (isInput) return;
 
-            const getKeyAliases = (baseKey) => {
-                const map = {
-                    Plus: ['Equal', 'NumpadAdd', 'Plus'],
-                    Minus: ['Minus', 'NumpadSubtract'],
-                    Period: ['Period', 'NumpadDecimal', 'NumpadComma'],
-                    Enter: ['Enter', 'NumpadEnter'],
-                };
-                return [baseKey, ...(map[baseKey] || [])];
-            };
-
-            const increaseKeys = getKeyAliases(
-                (this.settings && this.settings.increaseSpeedKey) || 'Plus'
-            );
-            const decreaseKeys = getKeyAliases(
-                (this.settings && this.settings.decreaseSpeedKey) || 'Minus'
-            );
-            const resetKeys = getKeyAliases(
-                (this.settings && this.settings.resetSpeedKey) || 'Period'
-            );
-
-            if (!event.ctrlKey && !event.altKey && !event.metaKey) {
-                if (increaseKeys.includes(event.code)) {
-                    event.preventDefault();
-                    this.changeSpeed(1);
-                } else if (decreaseKeys.includes(event.code)) {
-                    event.preventDefault();
-                    this.changeSpeed(-1);
-                } else if (resetKeys.includes(event.code)) {
-                    event.preventDefault();
-                    this.resetSpeed();
-                }
-            }
+            // The popup only has the speed controls; global shortcuts apply here
+            const action = ShortcutMap.match(ShortcutMap.resolve(this.settings), event);
+            if (action === 'increase-speed') this.changeSpeed(1);
+            else if (action === 'decrease-speed') this.changeSpeed(-1);
+            else if (action === 'reset-speed') this.resetSpeed();
+            else return;
+            event.preventDefault();
         });
     },
 };
@@ -46,18 +46,52 @@ export const lifecycleMethods = {
             } catch {
                 this.siteRules = { blocked: [], restricted: [] };
             }
+
+            try {
+                const focusResponse = await chrome.runtime.sendMessage({
+                    type: 'GET_FOCUS_SESSION',
+                });
+                this.focusSession = focusResponse?.session || null;
+                const groupsResponse = await chrome.runtime.sendMessage({ type: 'GET_GROUPS' });
+                this.groups = Array.isArray(groupsResponse) ? groupsResponse : [];
+            } catch {
+                this.focusSession = null;
+                this.groups = [];
+            }
+
+            await this.loadAccessInfo();
         } catch (error) {
             console.error('Error loading data:', error);
             throw error;
         }
     },
 
+    /**
+     * Ask the background how the current tab's time limits stand, for the
+     * budget balance under the site time.
+     */
+    async loadAccessInfo() {
+        this.accessInfo = null;
+        const url = this.currentTab?.url;
+        if (!url || !PopupHelpers.shouldTrackUrl(url)) return;
+        try {
+            this.accessInfo = await chrome.runtime.sendMessage({
+                type: 'CHECK_ACCESS',
+                url,
+                domain: PopupHelpers.extractDomain(url),
+            });
+        } catch {
+            this.accessInfo = null;
+        }
+    },
+
     startAutoUpdate() {
         this.stopAutoUpdate();
         this.autoUpdateInterval = setInterval(async () => {
             try {
                 const usageResponse = await chrome.runtime.sendMessage({ type: 'GET_USAGE_DATA' });
                 this.usageData = usageResponse;
+                await this.loadAccessInfo();
                 this.updateUI();
             } catch (error) {
                 console.error('Auto-update failed:', error);
@@ -74,6 +108,7 @@ export const lifecycleMethods = {
 
     cleanup() {
         this.stopAutoUpdate();
+        this.stopFocusCountdown();
         if (this.updateInterval) {
             clearInterval(this.updateInterval);
             this.updateInterval = null;
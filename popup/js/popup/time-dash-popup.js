@@ -18,6 +18,9 @@ export class TimeDashPopup {
         this.autoUpdateInterval = null;
         this.boundKeyHandler = null;
         this.currentTabHasVideo = false;
+        this.focusSession = null;
+        this.focusTimer = null;
+        this.groups = [];
 
         window.timeDashPopup = this;
         this.init();
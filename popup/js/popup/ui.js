@@ -8,9 +8,87 @@ export const uiMethods = {
         this.updateCurrentSite();
         this.updateQuickStats();
         this.updateTopSites();
+        this.updateFocusSection();
         this.updateFooter();
     },
 
+    updateFocusSection() {
+        const session = this.focusSession;
+        const phaseEl = document.getElementById('focusPhase');
+        document.getElementById('focusActive').hidden = !session;
+        document.getElementById('focusSetup').hidden = !!session;
+        phaseEl.hidden = !session;
+
+        if (session) {
+            const isBreak = session.phase === 'break';
+            phaseEl.textContent = I18n.t(isBreak ? 'focusPhaseBreak' : 'focusPhaseFocus');
+            phaseEl.className = `focus-phase ${isBreak ? 'break' : ''}`;
+            document.getElementById('focusCycle').textContent = I18n.t('focusCycleOf', [
+                String(session.cycle),
+                String(session.cycles),
+            ]);
+            this.startFocusCountdown();
+            return;
+        }
+
+        this.stopFocusCountdown();
+        this.renderFocusSetup();
+    },
+
+    renderFocusSetup() {
+        const settings = this.settings || {};
+        const setup = document.getElementById('focusSetup');
+        // Leave the form alone while the user is editing it
+        if (setup.contains(document.activeElement)) return;
+
+        document.getElementById('focusMinutes').value = settings.focusMinutes ?? 25;
+        document.getElementById('focusBreakMinutes').value = settings.focusBreakMinutes ?? 5;
+        document.getElementById('focusCycles').value = settings.focusCycles ?? 1;
+
+        const selected = new Set(settings.focusGroupIds || []);
+        const container = document.getElementById('focusGroups');
+        container.innerHTML = '';
+        (this.groups || []).forEach((group) => {
+            const label = document.createElement('label');
+            label.className = 'focus-target';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = group.id;
+            checkbox.checked = selected.has(group.id);
+            const name = document.createElement('span');
+            name.textContent = group.name;
+            label.append(checkbox, name);
+            container.appendChild(label);
+        });
+
+        const includeSite = document.getElementById('focusIncludeSite');
+        const canTrack = this.currentTab?.url && PopupHelpers.shouldTrackUrl(this.currentTab.url);
+        includeSite.closest('label').hidden = !canTrack;
+        if (canTrack) {
+            const domain = PopupHelpers.extractDomain(this.currentTab.url);
+            includeSite.checked = (settings.focusDomains || []).includes(domain);
+        }
+    },
+
+    startFocusCountdown() {
+        const render = () => {
+            const remaining = Math.max(0, (this.focusSession?.phaseEndsAt || 0) - Date.now());
+            const totalSeconds = Math.ceil(remaining / 1000);
+            const minutes = Math.floor(totalSeconds / 60);
+            const seconds = String(totalSeconds % 60).padStart(2, '0');
+            document.getElementById('focusCountdown').textContent = `${minutes}:${seconds}`;
+        };
+        render();
+        if (!this.focusTimer) this.focusTimer = setInterval(render, 1000);
+    },
+
+    stopFocusCountdown() {
+        if (this.focusTimer) {
+            clearInterval(this.focusTimer);
+            this.focusTimer = null;
+        }
+    },
+
     async updateCurrentSpeed() {
         this.currentTabHasVideo = true;
         const speed = (this.settings && this.settings.currentPlaybackSpeed) || 1.0;
@@ -32,6 +110,7 @@ export const uiMethods = {
             siteTime.textContent = I18n.t('trackingDisabledPage');
             siteFavicon.style.display = 'none';
             blockBtn.style.display = 'none';
+            document.getElementById('siteBudget').hidden = true;
             return;
         }
 
@@ -52,6 +131,34 @@ export const uiMethods = {
         const isBlocked = (domainData && domainData.isBlocked) || false;
         blockBtn.textContent = isBlocked ? I18n.t('unblockSite') : I18n.t('blockSite');
         blockBtn.className = `action-btn block-btn ${isBlocked ? 'blocked' : ''}`;
+
+        this.updateSiteBudget();
+    },
+
+    /**
+     * Show the balance of the tightest time limit on the current site: what is
+     * left today, or this week for weekly budgets, and any carried-over minutes.
+     */
+    updateSiteBudget() {
+        const siteBudget = document.getElementById('siteBudget');
+        const limits = this.accessInfo?.limits || [];
+        if (this.accessInfo?.shouldBlock || limits.length === 0) {
+            siteBudget.hidden = true;
+            return;
+        }
+
+        const leftOf = (limit) =>
+            Math.max(0, Math.ceil(limit.limitMinutes - limit.usedSeconds / 60));
+        const tightest = limits.reduce((a, b) => (leftOf(b) < leftOf(a) ? b : a));
+        const left = PopupHelpers.formatTime(leftOf(tightest) * 60);
+        let text = I18n.t(tightest.mode === 'weekly' ? 'budgetLeftThisWeek' : 'budgetLeftToday', [
+            left,
+        ]);
+        if (tightest.carriedMinutes > 0) {
+            text += ` ${I18n.t('budgetCarriedOver', [String(tightest.carriedMinutes)])}`;
+        }
+        siteBudget.textContent = text;
+        siteBudget.hidden = false;
     },
 
     updateQuickStats() {
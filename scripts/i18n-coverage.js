@@ -38,6 +38,9 @@ const EN_FILE = join(ROOT, '_locales', 'en', 'messages.json');
 // Directories to scan for hardcoded strings.
 const SCAN_DIRS = ['background', 'content', 'popup', 'options', 'block', 'utils'];
 
+// Generated data files (no user-facing text) excluded from the scan.
+const SKIP_FILES = new Set([join('utils', 'public-suffix-list.js')]);
+
 const VERBOSE = process.argv.includes('-v') || process.argv.includes('--verbose');
 const LOG_FILE = process.argv.includes('--logs');
 const LOG_PATH = join(ROOT, 'logs', 'i18n-output.txt');
@@ -505,6 +508,7 @@ const hardcoded = new Map(); // file -> [strings]
 for (const dir of SCAN_DIRS) {
 	const dirPath = join(ROOT, dir);
 	for (const file of [...collectFiles(dirPath, '.js'), ...collectFiles(dirPath, '.html')]) {
+		if (SKIP_FILES.has(file.slice(ROOT.length + 1))) continue;
 		const content = readFileSync(file, 'utf8');
 		const isHtml = extname(file) === '.html';
 		const found = findHardcoded(content, knownValues, isHtml);
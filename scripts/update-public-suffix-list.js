@@ -0,0 +1,76 @@
+/**
+ * Regenerate utils/public-suffix-list.js from the Public Suffix List.
+ *
+ * The list is bundled (rather than fetched at runtime) so that
+ * DomainUtils.extractDomain() stays synchronous and works offline.
+ * Both the ICANN and the private sections are kept, so e.g. "foo.github.io"
+ * and "bar.github.io" count as separate sites. Internationalized rules are
+ * converted to punycode, which is what URL.hostname returns.
+ *
+ * Usage:
+ *   node scripts/update-public-suffix-list.js               download the current list
+ *   node scripts/update-public-suffix-list.js <file.dat>    use a local copy instead
+ */
+import { readFileSync, writeFileSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { fileURLToPath, domainToASCII } from 'node:url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const OUTPUT = join(__dirname, '..', 'utils', 'public-suffix-list.js');
+const SOURCE_URL = 'https://publicsuffix.org/list/public_suffix_list.dat';
+
+/**
+ * Convert a rule to its ASCII form, keeping the "*." / "!" prefixes.
+ * @param {string} rule - Rule as written in the list.
+ * @returns {string} ASCII rule, or '' if a label cannot be converted.
+ */
+function toAsciiRule(rule) {
+    const prefix = rule.match(/^(\*\.|!)?/)[0];
+    const ascii = domainToASCII(rule.slice(prefix.length));
+    return ascii ? prefix + ascii : '';
+}
+
+async function main() {
+    const source = process.argv[2];
+    const text = source
+        ? readFileSync(source, 'utf8')
+        : await fetch(SOURCE_URL).then((res) => {
+              if (!res.ok) throw new Error(`Download failed: HTTP ${res.status}`);
+              return res.text();
+          });
+
+    const rules = new Set();
+    let skipped = 0;
+    for (const line of text.split('\n')) {
+        const rule = line.trim().split(/\s/)[0];
+        if (!rule || rule.startsWith('//')) continue;
+        const ascii = toAsciiRule(rule.toLowerCase());
+        if (ascii) rules.add(ascii);
+        else skipped++;
+    }
+
+    const output = [
+        '/**',
+        ' * Public Suffix List (https://publicsuffix.org/), ICANN and private sections.',
+        ' * Generated by scripts/update-public-suffix-list.js; do not edit by hand.',
+        ' *',
+        ' * This Source Code Form is subject to the terms of the Mozilla Public',
+        ' * License, v. 2.0. If a copy of the MPL was not distributed with this',
+        ' * file, You can obtain one at https://mozilla.org/MPL/2.0/.',
+        ' */',
+        '',
+        "'use strict';",
+        '',
+        'const PUBLIC_SUFFIX_LIST =',
+        `    '${[...rules].join(' ')}';`,
+        '',
+    ].join('\n');
+
+    writeFileSync(OUTPUT, output);
+    console.log(`Wrote ${rules.size} rules to utils/public-suffix-list.js (${skipped} skipped)`);
+}
+
+main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
@@ -1,7 +1,81 @@
+/* global PUBLIC_SUFFIX_LIST */
+
 /**
  * Domain utility functions for parsing and normalizing URLs and domains
  */
 class DomainUtils {
+    /** @type {{rules: Set<string>, wildcards: Set<string>, exceptions: Set<string>}|null} */
+    static suffixRules = null;
+
+    /**
+     * Parse the bundled public suffix list on first use. Contexts that don't
+     * load utils/public-suffix-list.js (content scripts) get an empty rule
+     * set, which falls back to treating the last label as the suffix.
+     * @returns {{rules: Set<string>, wildcards: Set<string>, exceptions: Set<string>}} Parsed rules
+     */
+    static getSuffixRules() {
+        if (this.suffixRules) return this.suffixRules;
+
+        const parsed = { rules: new Set(), wildcards: new Set(), exceptions: new Set() };
+        const list = typeof PUBLIC_SUFFIX_LIST === 'string' ? PUBLIC_SUFFIX_LIST : '';
+        for (const rule of list.split(' ')) {
+            if (!rule) continue;
+            if (rule.startsWith('!')) parsed.exceptions.add(rule.slice(1));
+            else if (rule.startsWith('*.')) parsed.wildcards.add(rule.slice(2));
+            else parsed.rules.add(rule);
+        }
+        this.suffixRules = parsed;
+        return parsed;
+    }
+
+    /**
+     * Find the public suffix of a hostname (e.g. "co.uk" for "news.bbc.co.uk")
+     * @param {string} hostname - Lowercase hostname
+     * @returns {string} Public suffix (the last label when no rule matches)
+     */
+    static getPublicSuffix(hostname) {
+        const { rules, wildcards, exceptions } = this.getSuffixRules();
+        const labels = hostname.split('.');
+
+        // Longest match first; exception rules beat the wildcard they carve out of
+        for (let i = 0; i < labels.length; i++) {
+            const candidate = labels.slice(i).join('.');
+            if (exceptions.has(candidate)) return labels.slice(i + 1).join('.');
+            if (rules.has(candidate)) return candidate;
+            if (i + 1 < labels.length && wildcards.has(labels.slice(i + 1).join('.'))) {
+                return candidate;
+            }
+        }
+        return labels[labels.length - 1];
+    }
+
+    /**
+     * Check whether a hostname is itself a public suffix (e.g. "co.uk", "github.io")
+     * @param {string} hostname - Hostname to check
+     * @returns {boolean} True if nothing can be registered above it
+     */
+    static isPublicSuffix(hostname) {
+        const host = this.normalizeDomain(hostname);
+        return !!host && this.getPublicSuffix(host) === host;
+    }
+
+    /**
+     * Reduce a hostname to its registrable domain: the public suffix plus one
+     * label ("bbc.co.uk", "foo.github.io"). IP addresses and hosts that are a
+     * bare suffix are returned unchanged.
+     * @param {string} hostname - Lowercase hostname
+     * @returns {string} Registrable domain
+     */
+    static getRegistrableDomain(hostname) {
+        if (/^\d{1,3}(\.\d{1,3}){3}$/.test(hostname) || hostname.includes(':')) {
+            return hostname;
+        }
+        const suffix = this.getPublicSuffix(hostname);
+        if (suffix === hostname) return hostname;
+        const labels = hostname.slice(0, -suffix.length - 1).split('.');
+        return `${labels[labels.length - 1]}.${suffix}`;
+    }
+
     /**
      * Extract the full hostname from a URL (subdomains preserved, www. stripped)
      * @param {string} url - Full URL
@@ -18,28 +92,20 @@ class DomainUtils {
     }
 
     /**
-     * Extract domain from URL
+     * Extract the registrable domain from a URL, using the public suffix list
+     * so that e.g. "bbc.co.uk" and "foo.github.io" stay distinct sites
      * @param {string} url - Full URL
      * @returns {string} Domain name
      */
     static extractDomain(url) {
         try {
             const urlObj = new URL(url);
-            const hostname = urlObj.hostname.toLowerCase();
-            const parts = hostname.split('.');
-            if (parts.length >= 2) {
-                return parts.slice(-2).join('.');
-            }
-            return hostname;
+            return this.getRegistrableDomain(urlObj.hostname.toLowerCase());
         } catch {
             // Fallback for invalid URLs
             const match = url.match(/(?:https?:\/\/)?(?:www\.)?([^/?#]+)/);
             if (match) {
-                const parts = match[1].toLowerCase().split('.');
-                if (parts.length >= 2) {
-                    return parts.slice(-2).join('.');
-                }
-                return match[1];
+                return this.getRegistrableDomain(match[1].toLowerCase());
             }
             return url;
         }
@@ -59,6 +125,69 @@ class DomainUtils {
             .trim();
     }
 
+    /**
+     * Normalize a site rule pattern: a hostname, optionally followed by a path
+     * prefix or glob (e.g. "youtube.com/shorts", "reddit.com/r/*").
+     * Scheme, www., query string, fragment and trailing slashes are dropped.
+     * @param {string} pattern - Raw pattern as entered by the user
+     * @returns {string} Normalized pattern
+     */
+    static normalizeRulePattern(pattern) {
+        const value = this.normalizeDomain(
+            String(pattern).replace(/^\s*[a-z][a-z0-9+.-]*:\/\//i, '')
+        ).replace(/[?#].*$/, '');
+        const slash = value.indexOf('/');
+        if (slash === -1) return value;
+        const path = value
+            .slice(slash)
+            .replace(/\/{2,}/g, '/')
+            .replace(/\/+$/, '');
+        return value.slice(0, slash) + path;
+    }
+
+    /**
+     * Split a normalized rule pattern into its host and path parts
+     * @param {string} pattern - Normalized rule pattern
+     * @returns {{host: string, path: string|null}} Host and path (null for host-only rules)
+     */
+    static splitRulePattern(pattern) {
+        const slash = pattern.indexOf('/');
+        if (slash === -1) return { host: pattern, path: null };
+        return { host: pattern.slice(0, slash), path: pattern.slice(slash) || null };
+    }
+
+    /**
+     * Check if a rule pattern is valid: a valid domain plus an optional path
+     * made of non-empty segments
+     * @param {string} pattern - Normalized rule pattern
+     * @returns {boolean} True if the pattern is valid
+     */
+    static isValidRulePattern(pattern) {
+        const { host, path } = this.splitRulePattern(pattern);
+        if (!this.isValidDomain(host)) return false;
+        return path === null || /^(\/[^/\s]+)+$/.test(path);
+    }
+
+    /**
+     * Match a URL path against a rule path. The rule path matches whole
+     * segments as a prefix ("/shorts" matches "/shorts/abc" but not
+     * "/shortsfeed"); "*" matches within one segment and "**" across segments.
+     * @param {string} pathname - URL pathname
+     * @param {string} rulePath - Rule path (prefix or glob)
+     * @returns {boolean} True if the path matches
+     */
+    static matchesRulePath(pathname, rulePath) {
+        const source = rulePath
+            .split(/(\*\*|\*)/)
+            .map((part) => {
+                if (part === '**') return '.*';
+                if (part === '*') return '[^/]*';
+                return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+            })
+            .join('');
+        return new RegExp(`^${source}(?:/|$)`).test(String(pathname).toLowerCase());
+    }
+
     /**
      * Check if domain is valid
      * @param {string} domain - Domain to validate
@@ -0,0 +1,187 @@
+/**
+ * @file Keyboard shortcut map for video controls
+ * Shortcuts are stored as chords: modifiers in a fixed order followed by a
+ * key name, e.g. 'Plus', 'Shift+KeyK' or 'Ctrl+Alt+ArrowRight'. Key names
+ * are KeyboardEvent codes, with numpad and main-row twins folded together.
+ */
+
+/**
+ * Helpers shared by the content script (matching), the options page
+ * (recording and conflict checks) and the popup.
+ */
+class ShortcutMap {
+    /** Actions in the order the editor lists them */
+    static ACTIONS = [
+        'increase-speed',
+        'decrease-speed',
+        'reset-speed',
+        'speed-1',
+        'speed-1.5',
+        'speed-2',
+        'toggle-play',
+        'skip-back',
+        'skip-forward',
+        'step-back',
+        'step-forward',
+        'frame-back',
+        'frame-forward',
+        'loop-set-a',
+        'loop-set-b',
+        'loop-toggle-slow',
+        'loop-clear',
+    ];
+
+    /** Speed each preset action jumps to */
+    static SPEED_PRESETS = { 'speed-1': 1, 'speed-1.5': 1.5, 'speed-2': 2 };
+
+    static DEFAULTS = {
+        'increase-speed': 'Plus',
+        'decrease-speed': 'Minus',
+        'reset-speed': 'Period',
+    };
+
+    static MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+
+    static CODE_ALIASES = {
+        NumpadSubtract: 'Minus',
+        NumpadAdd: 'Plus',
+        Equal: 'Plus',
+        NumpadEnter: 'Enter',
+        NumpadDecimal: 'Period',
+        NumpadComma: 'Period',
+        NumpadMultiply: 'Asterisk',
+        NumpadDivide: 'Slash',
+        NumpadEqual: 'Equal',
+    };
+
+    static KEY_LABELS = {
+        Plus: '+',
+        Minus: '-',
+        Period: '.',
+        Asterisk: '*',
+        Slash: '/',
+        Equal: '=',
+        Comma: ',',
+        Semicolon: ';',
+        Quote: "'",
+        Backquote: '`',
+        BracketLeft: '[',
+        BracketRight: ']',
+        Backslash: '\\',
+        ArrowLeft: '←',
+        ArrowRight: '→',
+        ArrowUp: '↑',
+        ArrowDown: '↓',
+    };
+
+    /**
+     * Fold a KeyboardEvent code into the key name stored in chords
+     * @param {string} code - Event code
+     * @returns {string} Key name
+     */
+    static normalizeCode(code) {
+        const digit = /^(?:Digit|Numpad)(\d)$/.exec(code);
+        if (digit) return digit[1];
+        return ShortcutMap.CODE_ALIASES[code] || code;
+    }
+
+    /**
+     * Build the chord for a key press
+     * @param {KeyboardEvent} event - keydown event
+     * @param {boolean} [withShift] - Include Shift in the chord
+     * @returns {string|null} Chord, or null while only modifiers are held
+     */
+    static fromEvent(event, withShift = true) {
+        if (!event.code || ['Control', 'Shift', 'Alt', 'Meta'].includes(event.key)) return null;
+        const held = {
+            Ctrl: event.ctrlKey,
+            Alt: event.altKey,
+            Shift: withShift && event.shiftKey,
+            Meta: event.metaKey,
+        };
+        const modifiers = ShortcutMap.MODIFIERS.filter((m) => held[m]);
+        return [...modifiers, ShortcutMap.normalizeCode(event.code)].join('+');
+    }
+
+    /**
+     * Validate a stored chord and put its modifiers in canonical order
+     * @param {*} value - Candidate chord
+     * @returns {string} Clean chord, or '' for none
+     */
+    static normalizeChord(value) {
+        if (typeof value !== 'string' || !value) return '';
+        const parts = value.split('+');
+        const key = parts.pop();
+        if (!key || !parts.every((p) => ShortcutMap.MODIFIERS.includes(p))) return '';
+        const modifiers = ShortcutMap.MODIFIERS.filter((m) => parts.includes(m));
+        return [...modifiers, key].join('+');
+    }
+
+    /**
+     * Work out the bindings in effect on a host. Site overrides are matched
+     * on the host and then each parent domain; an empty chord unbinds.
+     * @param {object} settings - Extension settings
+     * @param {string} [hostname] - Host the shortcuts are used on
+     * @returns {Object<string, string>} Action -> chord ('' when unbound)
+     */
+    static resolve(settings, hostname = '') {
+        const global = { ...ShortcutMap.DEFAULTS, ...(settings && settings.videoShortcuts) };
+        const overrides = (settings && settings.siteVideoShortcuts) || {};
+        const labels = String(hostname)
+            .toLowerCase()
+            .replace(/^www\./, '')
+            .split('.');
+        let site = null;
+        for (let i = 0; i < labels.length - 1 && !site; i++) {
+            site = overrides[labels.slice(i).join('.')] || null;
+        }
+
+        const bindings = {};
+        for (const action of ShortcutMap.ACTIONS) {
+            const chord = site && action in site ? site[action] : global[action];
+            bindings[action] = ShortcutMap.normalizeChord(chord);
+        }
+        return bindings;
+    }
+
+    /**
+     * Find the action bound to a key press. Shift only counts when a binding
+     * uses it, so Shift+= still reaches a plain '+' binding.
+     * @param {Object<string, string>} bindings - Result of resolve()
+     * @param {KeyboardEvent} event - keydown event
+     * @returns {string|null} Matching action
+     */
+    static match(bindings, event) {
+        const chord = ShortcutMap.fromEvent(event);
+        if (!chord) return null;
+        const find = (c) => ShortcutMap.ACTIONS.find((a) => bindings[a] === c) || null;
+        return find(chord) || (event.shiftKey ? find(ShortcutMap.fromEvent(event, false)) : null);
+    }
+
+    /**
+     * Find another action already using a chord
+     * @param {Object<string, string>} bindings - Action -> chord
+     * @param {string} chord - Chord about to be assigned
+     * @param {string} action - Action it is being assigned to
+     * @returns {string|null} Conflicting action
+     */
+    static findConflict(bindings, chord, action) {
+        if (!chord) return null;
+        return ShortcutMap.ACTIONS.find((a) => a !== action && bindings[a] === chord) || null;
+    }
+
+    /**
+     * Format a chord for display
+     * @param {string} chord - Stored chord
+     * @returns {string} Readable form, with symbols for punctuation keys
+     */
+    static format(chord) {
+        if (!chord) return '';
+        return chord
+            .split('+')
+            .map((part) => ShortcutMap.KEY_LABELS[part] || part.replace(/^Key/, ''))
+            .join(' + ');
+    }
+}
+
+// Export for use in other modules
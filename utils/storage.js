@@ -2,7 +2,7 @@
 
 /* global STORAGE_DEFAULT_SETTINGS, applyStorageSettingsMethods,
    applyStorageUsageMethods, applyStorageBlockingMethods,
-   applyStorageMiscMethods */
+   applyStorageMiscMethods, applyStorageFocusMethods, applyStorageSessionMethods */
 
 let usageWriteChain = Promise.resolve();
 
@@ -21,4 +21,6 @@ class StorageManager {
 applyStorageSettingsMethods(StorageManager);
 applyStorageUsageMethods(StorageManager);
 applyStorageBlockingMethods(StorageManager);
-applyStorageMiscMethods(StorageManager);
\ No newline at end of file
+applyStorageMiscMethods(StorageManager);
+applyStorageFocusMethods(StorageManager);
+applyStorageSessionMethods(StorageManager);
\ No newline at end of file
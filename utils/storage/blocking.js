@@ -1,8 +1,13 @@
 'use strict';
 
-/* global withUsageLock */
+/* global withUsageLock, TimeUtils */
+
+// Days of per-day unlock counts kept in blockStats
+const UNLOCK_HISTORY_DAYS = 30;
 
 function applyStorageBlockingMethods(StorageManager) {
+    const dateKey = (date) => TimeUtils.getDateKey(date);
+
     StorageManager.prototype.getBlockList = async function getBlockList() {
         try {
             const result = await chrome.storage.local.get('blockList');
@@ -66,7 +71,7 @@ function applyStorageBlockingMethods(StorageManager) {
                 const usage = result.usage || {};
                 const domainUsage = usage[domain] || { cumulative: 0, lastVisit: Date.now() };
 
-                const today = new Date().toDateString();
+                const today = dateKey(new Date());
                 if (domainUsage.lastBlockDate !== today) {
                     domainUsage.blockedToday = 0;
                     domainUsage.lastBlockDate = today;
@@ -75,9 +80,7 @@ function applyStorageBlockingMethods(StorageManager) {
                 domainUsage.blockedToday = (domainUsage.blockedToday || 0) + 1;
 
                 // Per-date block count for historical charts
-                const now = new Date();
-                const dateStr = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
-                const blockedKey = `${dateStr}_blocked`;
+                const blockedKey = `${today}_blocked`;
                 domainUsage[blockedKey] = (domainUsage[blockedKey] || 0) + 1;
 
                 usage[domain] = domainUsage;
@@ -89,4 +92,132 @@ function applyStorageBlockingMethods(StorageManager) {
             }
         });
     };
+
+    /**
+     * Get per-domain block statistics, including temporary unlock history.
+     * @returns {Promise<Object<string, object>>} Map of domain -> stats entry.
+     */
+    StorageManager.prototype.getBlockStats = async function getBlockStats() {
+        try {
+            const result = await chrome.storage.local.get('blockStats');
+            const stats = result.blockStats;
+            return stats && typeof stats === 'object' && !Array.isArray(stats) ? stats : {};
+        } catch (error) {
+            console.error('Failed to get block stats:', error);
+            return {};
+        }
+    };
+
+    /**
+     * Read the temporary unlock settings, clamped to sane ranges.
+     * @param {object} [settings] - Pre-fetched settings.
+     * @returns {Promise<{friction: string, minutes: number, maxPerDay: number,
+     *          countdownSeconds: number, cooldownMinutes: number}>} Unlock policy;
+     *          friction is 'off', 'phrase', 'countdown' or 'cooldown'.
+     */
+    StorageManager.prototype.getUnlockPolicy = async function getUnlockPolicy(settings) {
+        const current = settings || (await this.getSettings());
+        const clamp = (value, min, max, fallback) => {
+            const n = Math.round(Number(value));
+            return Number.isFinite(n) ? Math.max(min, Math.min(max, n)) : fallback;
+        };
+        const friction = ['off', 'phrase', 'countdown', 'cooldown'].includes(current.unlockFriction)
+            ? current.unlockFriction
+            : 'phrase';
+        return {
+            friction,
+            minutes: clamp(current.unlockMinutes, 1, 60, 5),
+            maxPerDay: clamp(current.unlockMaxPerDay, 1, 20, 3),
+            countdownSeconds: clamp(current.unlockCountdownSeconds, 5, 600, 30),
+            cooldownMinutes: clamp(current.unlockCooldownMinutes, 1, 24 * 60, 60),
+        };
+    };
+
+    /**
+     * Count today's temporary unlocks across all sites and find the latest one.
+     * @returns {Promise<{usedToday: number, lastUnlockAt: number}>} Unlock summary.
+     */
+    StorageManager.prototype.getUnlockSummary = async function getUnlockSummary() {
+        const stats = await this.getBlockStats();
+        const today = dateKey(new Date());
+        let usedToday = 0;
+        let lastUnlockAt = 0;
+        for (const entry of Object.values(stats)) {
+            if (!entry || typeof entry !== 'object') continue;
+            usedToday += Number(entry.unlocks?.[today]) || 0;
+            lastUnlockAt = Math.max(lastUnlockAt, Number(entry.lastUnlockAt) || 0);
+        }
+        return { usedToday, lastUnlockAt };
+    };
+
+    /**
+     * Record a temporary unlock of a blocked site in blockStats.
+     * @param {string} domain - Tracking key the site was blocked under.
+     * @param {number} until - Epoch ms at which the unlock expires.
+     * @returns {Promise<boolean>} True on success.
+     */
+    StorageManager.prototype.recordUnlock = async function recordUnlock(domain, until) {
+        return withUsageLock(async () => {
+            try {
+                const stats = await this.getBlockStats();
+                const entry =
+                    stats[domain] && typeof stats[domain] === 'object' ? stats[domain] : {};
+                const now = new Date();
+                const today = dateKey(now);
+
+                const cutoff = new Date(now);
+                cutoff.setDate(cutoff.getDate() - UNLOCK_HISTORY_DAYS);
+                const cutoffKey = dateKey(cutoff);
+                const unlocks = {};
+                for (const [day, count] of Object.entries(entry.unlocks || {})) {
+                    if (day >= cutoffKey) unlocks[day] = count;
+                }
+                unlocks[today] = (Number(unlocks[today]) || 0) + 1;
+
+                entry.unlocks = unlocks;
+                entry.lastUnlockAt = now.getTime();
+                entry.unlockedUntil = until;
+                // Unlocks only happen from the block page, so the site was just blocked
+                entry.lastBlocked = now.toISOString();
+                stats[domain] = entry;
+
+                await chrome.storage.local.set({ blockStats: stats });
+                return true;
+            } catch (error) {
+                console.error('Failed to record unlock:', error);
+                return false;
+            }
+        });
+    };
+
+    /**
+     * Read the lockdown window, if one has been started.
+     * @returns {Promise<{startedAt: number, until: number}|null>} Stored lockdown or null.
+     */
+    StorageManager.prototype.getLockdown = async function getLockdown() {
+        try {
+            const result = await chrome.storage.local.get('lockdown');
+            const lockdown = result.lockdown;
+            return lockdown && typeof lockdown === 'object' && Number.isFinite(lockdown.until)
+                ? lockdown
+                : null;
+        } catch (error) {
+            console.error('Failed to get lockdown:', error);
+            return null;
+        }
+    };
+
+    StorageManager.prototype.setLockdown = async function setLockdown(lockdown) {
+        try {
+            if (lockdown) {
+                await chrome.storage.local.set({ lockdown });
+            } else {
+                await chrome.storage.local.remove('lockdown');
+            }
+            return true;
+        } catch (error) {
+            console.error('Failed to save lockdown:', error);
+            return false;
+        }
+    };
 }
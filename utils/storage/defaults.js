@@ -5,11 +5,28 @@ const STORAGE_DEFAULT_SETTINGS = {
     defaultPlaybackSpeed: 1.0,
     maxPlaybackSpeed: 16.0,
     speedStep: 0.25,
-    increaseSpeedKey: 'Plus',
-    decreaseSpeedKey: 'Minus',
-    resetSpeedKey: 'Period',
+    videoShortcuts: {
+        'increase-speed': 'Plus',
+        'decrease-speed': 'Minus',
+        'reset-speed': 'Period',
+    },
+    siteVideoShortcuts: {},
+    loopSlowSpeed: 0.75,
+    skipSilenceSites: [],
+    skipSilenceThresholdDb: -45,
+    skipSilenceMinSeconds: 0.5,
     dailyTimeLimitMinutes: 0,
     restrictedSliderMax: 120,
+    unlockFriction: 'phrase',
+    unlockMinutes: 5,
+    unlockMaxPerDay: 3,
+    unlockCountdownSeconds: 30,
+    unlockCooldownMinutes: 60,
+    allowlistMode: 'off',
+    allowlistUntil: 0,
+    allowlistSchedule: [],
+    allowlistDomains: [],
+    allowlistGroupIds: [],
     theme: 'auto',
     language: 'auto',
     accentColor: 'blue',
@@ -18,13 +35,26 @@ const STORAGE_DEFAULT_SETTINGS = {
     badgeEnabled: true,
     keyboardShortcutsEnabled: true,
     notificationsEnabled: true,
+    quotaWarnings: true,
+    limitWarningPercent: 80,
+    limitWarningMinutesLeft: 5,
     exportFormat: 'csv',
     trackingEnabled: true,
+    idleThresholdMinutes: 5,
+    dayStartHour: 0,
+    timeZone: null,
     showSpeedOverlay: true,
+    showCountdownOverlay: false,
     firstTimeSetup: true,
     whitelist: [],
     autoPurgeEnabled: false,
     autoPurgeDays: 30,
     storageLimitMB: 10,
     firstInstallDate: null,
+    focusMinutes: 25,
+    focusBreakMinutes: 5,
+    focusCycles: 1,
+    focusGroupIds: [],
+    focusDomains: [],
+    domainCategories: {},
 };
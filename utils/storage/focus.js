@@ -0,0 +1,62 @@
+'use strict';
+
+const FOCUS_HISTORY_LIMIT = 1000;
+
+function applyStorageFocusMethods(StorageManager) {
+    StorageManager.prototype.getFocusSession = async function getFocusSession() {
+        try {
+            const result = await chrome.storage.local.get('focusSession');
+            const session = result.focusSession;
+            return session && typeof session === 'object' ? session : null;
+        } catch (error) {
+            console.error('Failed to get focus session:', error);
+            return null;
+        }
+    };
+
+    StorageManager.prototype.setFocusSession = async function setFocusSession(session) {
+        try {
+            if (session) {
+                await chrome.storage.local.set({ focusSession: session });
+            } else {
+                await chrome.storage.local.remove('focusSession');
+            }
+            return true;
+        } catch (error) {
+            console.error('Failed to save focus session:', error);
+            return false;
+        }
+    };
+
+    StorageManager.prototype.getFocusHistory = async function getFocusHistory() {
+        try {
+            const result = await chrome.storage.local.get('focusHistory');
+            return Array.isArray(result.focusHistory) ? result.focusHistory : [];
+        } catch (error) {
+            console.error('Failed to get focus history:', error);
+            return [];
+        }
+    };
+
+    /**
+     * Append a finished (completed or stopped) session to the focus history.
+     * Only the most recent FOCUS_HISTORY_LIMIT entries are kept.
+     * @param {{startedAt: number, endedAt: number, focusedSeconds: number,
+     *          cycles: number, completed: boolean}} entry - Session summary.
+     * @returns {Promise<boolean>} True on success.
+     */
+    StorageManager.prototype.recordFocusSession = async function recordFocusSession(entry) {
+        try {
+            const history = await this.getFocusHistory();
+            history.push(entry);
+            if (history.length > FOCUS_HISTORY_LIMIT) {
+                history.splice(0, history.length - FOCUS_HISTORY_LIMIT);
+            }
+            await chrome.storage.local.set({ focusHistory: history });
+            return true;
+        } catch (error) {
+            console.error('Failed to record focus session:', error);
+            return false;
+        }
+    };
+}
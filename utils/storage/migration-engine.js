@@ -1,6 +1,6 @@
 'use strict';
 
-/* global STORAGE_DEFAULT_SETTINGS */
+/* global STORAGE_DEFAULT_SETTINGS, DomainUtils, TimeUtils */
 
 /**
  * Schema migration engine for TimeDash.
@@ -9,7 +9,7 @@
  * Version updates per step so partial states stay at a known version.
  */
 class MigrationEngine {
-    static LATEST_VERSION = 3;
+    static LATEST_VERSION = 6;
     static STORAGE_KEY = 'schemaVersion';
 
     constructor() {
@@ -20,6 +20,9 @@ class MigrationEngine {
     registerMigrations() {
         this.migrations.set(2, this.migrateV2.bind(this));
         this.migrations.set(3, this.migrateV3.bind(this));
+        this.migrations.set(4, this.migrateV4.bind(this));
+        this.migrations.set(5, this.migrateV5.bind(this));
+        this.migrations.set(6, this.migrateV6.bind(this));
     }
 
     /**
@@ -156,4 +159,145 @@ class MigrationEngine {
             await chrome.storage.local.set({ siteGroups: [] });
         }
     }
+
+    /**
+     * V4: Re-key usage and blockStats entries stored under a bare public suffix.
+     * Before the bundled public suffix list, "bbc.co.uk" was tracked as "co.uk".
+     * Such an entry is moved to the one registrable domain under that suffix the
+     * user is known to visit (from rules, groups, site speeds, the whitelist or
+     * other usage keys). When there is no such domain, or several, the merged
+     * history cannot be split and the entry is left as it is.
+     */
+    async migrateV4() {
+        const result = await chrome.storage.local.get([
+            'settings',
+            'siteRules',
+            'siteGroups',
+            'siteSpeeds',
+            'usage',
+            'blockStats',
+        ]);
+        const usage = result.usage && typeof result.usage === 'object' ? result.usage : {};
+        const blockStats =
+            result.blockStats && typeof result.blockStats === 'object' ? result.blockStats : {};
+
+        const knownHosts = [
+            ...Object.keys(usage),
+            ...Object.keys(blockStats),
+            ...Object.keys(result.siteSpeeds || {}),
+            ...(Array.isArray(result.siteRules) ? result.siteRules.map((r) => r && r.domain) : []),
+            ...(Array.isArray(result.siteGroups)
+                ? result.siteGroups.flatMap((g) => (g && Array.isArray(g.domains) ? g.domains : []))
+                : []),
+            ...(Array.isArray(result.settings?.whitelist) ? result.settings.whitelist : []),
+        ];
+        const registrable = new Set();
+        for (const host of knownHosts) {
+            if (typeof host !== 'string' || !host) continue;
+            const hostname = DomainUtils.splitRulePattern(
+                DomainUtils.normalizeRulePattern(host)
+            ).host;
+            if (!DomainUtils.isPublicSuffix(hostname)) {
+                registrable.add(DomainUtils.getRegistrableDomain(hostname));
+            }
+        }
+
+        const resolveTarget = (suffix) => {
+            const candidates = [...registrable].filter(
+                (domain) => DomainUtils.getPublicSuffix(domain) === suffix
+            );
+            return candidates.length === 1 ? candidates[0] : null;
+        };
+
+        let usageChanged = false;
+        for (const key of Object.keys(usage)) {
+            if (!key.includes('.') || !DomainUtils.isPublicSuffix(key)) continue;
+            const target = resolveTarget(key);
+            if (!target) continue;
+            usage[target] = MigrationEngine.mergeCounters(usage[target], usage[key]);
+            delete usage[key];
+            usageChanged = true;
+        }
+        if (usageChanged) {
+            await chrome.storage.local.set({ usage });
+        }
+
+        let statsChanged = false;
+        for (const key of Object.keys(blockStats)) {
+            if (!key.includes('.') || !DomainUtils.isPublicSuffix(key)) continue;
+            const target = resolveTarget(key);
+            if (!target) continue;
+            blockStats[target] = MigrationEngine.mergeCounters(blockStats[target], blockStats[key]);
+            delete blockStats[key];
+            statsChanged = true;
+        }
+        if (statsChanged) {
+            await chrome.storage.local.set({ blockStats });
+        }
+    }
+
+    /**
+     * V5: Record the time zone usage days are counted in.
+     * Date keys used to follow whatever zone the device was in when they were
+     * written, so a trip could split or merge days. Existing keys were most
+     * likely written in the current zone; it is pinned as settings.timeZone
+     * and later keys are worked out in it whatever the device clock says.
+     */
+    async migrateV5() {
+        const { settings } = await chrome.storage.local.get('settings');
+        if (!settings || TimeUtils.normalizeTimeZone(settings.timeZone)) return;
+        settings.timeZone = TimeUtils.getDeviceTimeZone();
+        await chrome.storage.local.set({ settings });
+    }
+
+    /**
+     * V6: Move the three speed keys into the videoShortcuts map.
+     * They were stored as bare key names, which are valid chords as they are.
+     */
+    async migrateV6() {
+        const { settings } = await chrome.storage.local.get('settings');
+        if (!settings) return;
+
+        const legacy = {
+            'increase-speed': 'increaseSpeedKey',
+            'decrease-speed': 'decreaseSpeedKey',
+            'reset-speed': 'resetSpeedKey',
+        };
+        const shortcuts = {
+            ...STORAGE_DEFAULT_SETTINGS.videoShortcuts,
+            ...settings.videoShortcuts,
+        };
+        for (const [action, key] of Object.entries(legacy)) {
+            if (typeof settings[key] === 'string' && settings[key]) {
+                shortcuts[action] = settings[key];
+            }
+            delete settings[key];
+        }
+        settings.videoShortcuts = shortcuts;
+        await chrome.storage.local.set({ settings });
+    }
+
+    /**
+     * Merge two per-domain records: numeric counters are summed, except
+     * timestamps (lastVisit, lastBlocked) which keep the latest value.
+     * Other fields keep the target's value when it has one.
+     * @param {object|undefined} target - Existing record under the new key
+     * @param {object} source - Record being moved
+     * @returns {object} Merged record
+     */
+    static mergeCounters(target, source) {
+        const merged = { ...(target || {}) };
+        for (const [key, value] of Object.entries(source || {})) {
+            if (key === 'lastVisit' || key === 'lastBlocked') {
+                const a = merged[key] ? new Date(merged[key]).getTime() : 0;
+                const b = value ? new Date(value).getTime() : 0;
+                if (b > a) merged[key] = value;
+            } else if (typeof value === 'number' && typeof merged[key] === 'number') {
+                merged[key] += value;
+            } else if (!(key in merged)) {
+                merged[key] = value;
+            }
+        }
+        return merged;
+    }
 }
@@ -35,6 +35,105 @@ function applyStorageMiscMethods(StorageManager) {
         }
     };
 
+    StorageManager.prototype.getSiteSpeeds = async function getSiteSpeeds() {
+        try {
+            const result = await chrome.storage.local.get('siteSpeeds');
+            const speeds = result.siteSpeeds;
+            return speeds && typeof speeds === 'object' && !Array.isArray(speeds) ? speeds : {};
+        } catch (error) {
+            console.error('Failed to get site speeds:', error);
+            return {};
+        }
+    };
+
+    /**
+     * Resolve the stored speed for a hostname, walking up through parent
+     * domains so that an entry for youtube.com also covers m.youtube.com.
+     * @param {string} hostname - Frame hostname (www. already stripped).
+     * @param {object} [speeds] - Pre-fetched siteSpeeds map.
+     * @returns {Promise<number|null>} Stored speed, or null if none applies.
+     */
+    StorageManager.prototype.getSiteSpeedForHost = async function getSiteSpeedForHost(
+        hostname,
+        speeds
+    ) {
+        if (!hostname) return null;
+        const map = speeds || (await this.getSiteSpeeds());
+        const labels = hostname.toLowerCase().split('.');
+        for (let i = 0; i < labels.length - 1; i++) {
+            const speed = Number(map[labels.slice(i).join('.')]);
+            if (Number.isFinite(speed) && speed > 0) return speed;
+        }
+        return null;
+    };
+
+    StorageManager.prototype.setSiteSpeed = async function setSiteSpeed(domain, speed) {
+        try {
+            const settings = await this.getSettings();
+            const maxSpeed = Number(settings.maxPlaybackSpeed) || 16.0;
+            const value = Number(speed);
+            if (!domain || !Number.isFinite(value) || value <= 0) return false;
+
+            const speeds = await this.getSiteSpeeds();
+            speeds[domain] = Math.round(Math.max(0.25, Math.min(maxSpeed, value)) * 100) / 100;
+            await chrome.storage.local.set({ siteSpeeds: speeds });
+            return true;
+        } catch (error) {
+            console.error('Failed to set site speed:', error);
+            return false;
+        }
+    };
+
+    StorageManager.prototype.removeSiteSpeed = async function removeSiteSpeed(domain) {
+        try {
+            const speeds = await this.getSiteSpeeds();
+            if (!(domain in speeds)) return true;
+            delete speeds[domain];
+            await chrome.storage.local.set({ siteSpeeds: speeds });
+            return true;
+        } catch (error) {
+            console.error('Failed to remove site speed:', error);
+            return false;
+        }
+    };
+
+    /**
+     * @param {string} site - Site the countdown overlay was shown on.
+     * @returns {Promise<{x: number, y: number}|null>} Where the user last dragged it, if anywhere.
+     */
+    StorageManager.prototype.getCountdownPosition = async function getCountdownPosition(site) {
+        try {
+            const result = await chrome.storage.local.get('countdownPositions');
+            const position = (result.countdownPositions || {})[site];
+            return position && Number.isFinite(position.x) && Number.isFinite(position.y)
+                ? position
+                : null;
+        } catch (error) {
+            console.error('Failed to get countdown position:', error);
+            return null;
+        }
+    };
+
+    StorageManager.prototype.setCountdownPosition = async function setCountdownPosition(
+        site,
+        position
+    ) {
+        try {
+            const x = Number(position && position.x);
+            const y = Number(position && position.y);
+            if (!site || !Number.isFinite(x) || !Number.isFinite(y)) return false;
+
+            const result = await chrome.storage.local.get('countdownPositions');
+            const positions = result.countdownPositions || {};
+            positions[site] = { x: Math.round(x), y: Math.round(y) };
+            await chrome.storage.local.set({ countdownPositions: positions });
+            return true;
+        } catch (error) {
+            console.error('Failed to set countdown position:', error);
+            return false;
+        }
+    };
+
     StorageManager.prototype.clearAllData = async function clearAllData() {
         try {
             await chrome.storage.local.clear();
@@ -70,6 +169,24 @@ function applyStorageMiscMethods(StorageManager) {
                 if (allData.blockStats && typeof allData.blockStats === 'object') {
                     cleanStorage.blockStats = allData.blockStats;
                 }
+                if (allData.siteSpeeds && typeof allData.siteSpeeds === 'object') {
+                    cleanStorage.siteSpeeds = allData.siteSpeeds;
+                }
+                if (Array.isArray(allData.focusHistory)) {
+                    cleanStorage.focusHistory = allData.focusHistory;
+                }
+                if (allData.focusSession && typeof allData.focusSession === 'object') {
+                    cleanStorage.focusSession = allData.focusSession;
+                }
+                if (allData.sessionLog && typeof allData.sessionLog === 'object') {
+                    cleanStorage.sessionLog = allData.sessionLog;
+                }
+                if (allData.lockdown && typeof allData.lockdown === 'object') {
+                    cleanStorage.lockdown = allData.lockdown;
+                }
+                if (allData.countdownPositions && typeof allData.countdownPositions === 'object') {
+                    cleanStorage.countdownPositions = allData.countdownPositions;
+                }
                 if (allData.schemaVersion) {
                     cleanStorage.schemaVersion = allData.schemaVersion;
                 }
@@ -120,16 +237,21 @@ function applyStorageMiscMethods(StorageManager) {
         const siteGroups = await this.getGroups();
         const blockStatsResult = await chrome.storage.local.get('blockStats');
         const blockStats = blockStatsResult.blockStats || {};
+        const siteSpeeds = await this.getSiteSpeeds();
+        const focusHistory = await this.getFocusHistory();
+        const sessionLog = await this.getSessionLog();
 
-        let siteRules = { blocked: [], restricted: [] };
+        let siteRules = { blocked: [], restricted: [], visitLimited: [] };
         if (ruleManager && ruleManager.rules) {
             for (const rule of ruleManager.rules.values()) {
+                const schedule = Array.isArray(rule.schedule) ? rule.toJSON().schedule : [];
                 if (rule.type === 'BLOCKED') {
                     siteRules.blocked.push({
                         domain: rule.domain,
                         type: 'BLOCKED',
                         isEnabled: rule.isEnabled !== false,
                         createdAt: rule.createdAt || Date.now(),
+                        schedule,
                     });
                 } else if (rule.type === 'RESTRICTED') {
                     siteRules.restricted.push({
@@ -137,7 +259,19 @@ function applyStorageMiscMethods(StorageManager) {
                         type: 'RESTRICTED',
                         isEnabled: rule.isEnabled !== false,
                         timeLimitMinutes: rule.timeLimitMinutes ?? 30,
+                        budgetMode: rule.budgetMode || 'daily',
+                        carryOverMinutes: rule.carryOverMinutes || 0,
+                        createdAt: rule.createdAt || Date.now(),
+                        schedule,
+                    });
+                } else if (rule.type === 'VISIT_LIMITED') {
+                    siteRules.visitLimited.push({
+                        domain: rule.domain,
+                        type: 'VISIT_LIMITED',
+                        isEnabled: rule.isEnabled !== false,
+                        maxVisits: rule.maxVisits,
                         createdAt: rule.createdAt || Date.now(),
+                        schedule,
                     });
                 }
             }
@@ -147,6 +281,7 @@ function applyStorageMiscMethods(StorageManager) {
             siteRules = {
                 blocked: rawRules.filter((r) => r.type === 'BLOCKED'),
                 restricted: rawRules.filter((r) => r.type === 'RESTRICTED'),
+                visitLimited: rawRules.filter((r) => r.type === 'VISIT_LIMITED'),
             };
         }
 
@@ -157,6 +292,9 @@ function applyStorageMiscMethods(StorageManager) {
             siteGroups,
             siteRules,
             blockStats,
+            siteSpeeds,
+            focusHistory,
+            sessionLog,
             exportDate: new Date().toISOString(),
             version: chrome.runtime.getManifest().version,
         };
@@ -0,0 +1,99 @@
+'use strict';
+
+/* global TimeUtils */
+
+// Days of session log kept, and a per-day cap so a day of rapid tab
+// switching cannot grow the log without bound
+const SESSION_LOG_DAYS = 30;
+const SESSION_LOG_DAY_LIMIT = 500;
+
+function applyStorageSessionMethods(StorageManager) {
+    const dateKey = (date) => TimeUtils.getDateKey(date);
+
+    /**
+     * Get the session log, keyed by the local date (YYYY-MM-DD) each session
+     * started on.
+     * @returns {Promise<Object<string, Array<{domain: string, start: number,
+     *          end: number, reason: string}>>>} Session log.
+     */
+    StorageManager.prototype.getSessionLog = async function getSessionLog() {
+        try {
+            const result = await chrome.storage.local.get('sessionLog');
+            const log = result.sessionLog;
+            return log && typeof log === 'object' && !Array.isArray(log) ? log : {};
+        } catch (error) {
+            console.error('Failed to get session log:', error);
+            return {};
+        }
+    };
+
+    /**
+     * Append a finished browsing session to the log. Writes are chained so
+     * sessions ending in quick succession don't overwrite each other.
+     * @param {{domain: string, start: number, end: number, reason: string}} entry -
+     *        Session with start/end timestamps (ms) and why it ended.
+     * @returns {Promise<boolean>} True on success.
+     */
+    StorageManager.prototype.recordBrowsingSession = function recordBrowsingSession(entry) {
+        const task = async () => {
+            try {
+                const log = await this.getSessionLog();
+                const day = dateKey(new Date(entry.start));
+                const sessions = Array.isArray(log[day]) ? log[day] : [];
+                sessions.push(entry);
+                if (sessions.length > SESSION_LOG_DAY_LIMIT) {
+                    sessions.splice(0, sessions.length - SESSION_LOG_DAY_LIMIT);
+                }
+                log[day] = sessions;
+
+                const cutoff = new Date();
+                cutoff.setDate(cutoff.getDate() - SESSION_LOG_DAYS);
+                const cutoffKey = dateKey(cutoff);
+                for (const key of Object.keys(log)) {
+                    if (key < cutoffKey) delete log[key];
+                }
+
+                await chrome.storage.local.set({ sessionLog: log });
+                return true;
+            } catch (error) {
+                console.error('Failed to record browsing session:', error);
+                return false;
+            }
+        };
+
+        return this.withSessionLogLock(task);
+    };
+
+    /**
+     * Remove every logged session for a domain (used when its data is deleted).
+     * @param {string} domain - Domain to forget.
+     * @returns {Promise<boolean>} True on success.
+     */
+    StorageManager.prototype.deleteDomainSessions = function deleteDomainSessions(domain) {
+        return this.withSessionLogLock(async () => {
+            try {
+                const log = await this.getSessionLog();
+                let changed = false;
+                for (const [day, sessions] of Object.entries(log)) {
+                    if (!Array.isArray(sessions)) continue;
+                    const kept = sessions.filter((s) => s && s.domain !== domain);
+                    if (kept.length === sessions.length) continue;
+                    changed = true;
+                    if (kept.length > 0) log[day] = kept;
+                    else delete log[day];
+                }
+                if (changed) await chrome.storage.local.set({ sessionLog: log });
+                return true;
+            } catch (error) {
+                console.error('Failed to delete domain sessions:', error);
+                return false;
+            }
+        });
+    };
+
+    StorageManager.prototype.withSessionLogLock = function withSessionLogLock(task) {
+        const result = (this.sessionLogChain || Promise.resolve()).then(() => task());
+        this.sessionLogChain = result.catch(() => {});
+        return result;
+    };
+}
@@ -1,8 +1,63 @@
 'use strict';
 
-/* global withUsageLock */
+/* global withUsageLock, TimeUtils */
+
+// Hour-of-day buckets are kept for this many days; daily totals are kept as before
+const HOURLY_USAGE_DAYS = 90;
 
 function applyStorageUsageMethods(StorageManager) {
+    // Usage days begin at the "day starts at" hour, so early-morning time
+    // can still count towards the previous day
+    const dateKey = (date) => TimeUtils.getDateKey(date);
+
+    /**
+     * Spread time that ended at `end` over the hours it covered, walking back
+     * across hour (and midnight) boundaries. Buckets are sparse objects stored
+     * next to the daily totals: `usage[domain]['YYYY-MM-DD_hours'][hour]`.
+     * @param {object} domainData - Usage entry for one domain (mutated).
+     * @param {number} seconds - Time to add (negative to take time back).
+     * @param {Date} end - When that time ended.
+     */
+    const addHourlyUsage = (domainData, seconds, end) => {
+        const sign = Math.sign(seconds);
+        let remaining = Math.abs(seconds);
+        let cursor = end.getTime();
+        while (remaining > 0) {
+            const last = new Date(cursor - 1);
+            const { hour, minute, second } = TimeUtils.getZonedParts(last);
+            const hourStart = new Date(
+                last.getTime() - (minute * 60 + second) * 1000 - last.getMilliseconds()
+            );
+            const inHour = Math.min(remaining, Math.ceil((cursor - hourStart.getTime()) / 1000));
+            const key = `${dateKey(hourStart)}_hours`;
+            const buckets = domainData[key] || (domainData[key] = {});
+            buckets[hour] = Math.max(0, (buckets[hour] || 0) + sign * inHour);
+            remaining -= inHour;
+            cursor = hourStart.getTime();
+        }
+    };
+
+    /**
+     * Drop hourly buckets older than HOURLY_USAGE_DAYS, at most once a day.
+     * @param {object} storage - StorageManager instance (remembers the last prune).
+     * @param {object} usage - Full usage map (mutated).
+     * @param {Date} now - Current time.
+     */
+    const pruneHourlyUsage = (storage, usage, now) => {
+        const today = dateKey(now);
+        if (storage.hourlyUsagePrunedOn === today) return;
+        const cutoff = new Date(now);
+        cutoff.setDate(cutoff.getDate() - HOURLY_USAGE_DAYS);
+        const cutoffKey = `${dateKey(cutoff)}_hours`;
+        for (const domainData of Object.values(usage)) {
+            if (!domainData || typeof domainData !== 'object') continue;
+            for (const key of Object.keys(domainData)) {
+                if (key.endsWith('_hours') && key < cutoffKey) delete domainData[key];
+            }
+        }
+        storage.hourlyUsagePrunedOn = today;
+    };
+
     StorageManager.prototype.getDomainUsage = async function getDomainUsage(domain) {
         try {
             const result = await chrome.storage.local.get('usage');
@@ -32,7 +87,7 @@ function applyStorageUsageMethods(StorageManager) {
             try {
                 const usage = await this.getAllUsage();
                 const now = new Date();
-                const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+                const today = dateKey(now);
 
                 if (!usage[domain]) {
                     usage[domain] = { cumulative: 0 };
@@ -42,21 +97,23 @@ function applyStorageUsageMethods(StorageManager) {
                     usage[domain][today] = 0;
                 }
 
-                usage[domain][today] += timeSpent;
-                usage[domain].cumulative += timeSpent;
+                // Time taken back after an idle stretch never drives a total below zero
+                const add = (key) => {
+                    usage[domain][key] = Math.max(0, (usage[domain][key] || 0) + timeSpent);
+                };
+                add(today);
+                add('cumulative');
+                addHourlyUsage(usage[domain], timeSpent, now);
 
                 if (usageType === 'RESTRICTED') {
-                    const restrictedKey = `${today}_restricted`;
-                    usage[domain][restrictedKey] = (usage[domain][restrictedKey] || 0) + timeSpent;
-                    usage[domain].cumulative_restricted =
-                        (usage[domain].cumulative_restricted || 0) + timeSpent;
+                    add(`${today}_restricted`);
+                    add('cumulative_restricted');
                 } else {
-                    const generalKey = `${today}_general`;
-                    usage[domain][generalKey] = (usage[domain][generalKey] || 0) + timeSpent;
-                    usage[domain].cumulative_general =
-                        (usage[domain].cumulative_general || 0) + timeSpent;
+                    add(`${today}_general`);
+                    add('cumulative_general');
                 }
 
+                pruneHourlyUsage(this, usage, now);
                 await chrome.storage.local.set({ usage });
                 return true;
             } catch (error) {
@@ -66,6 +123,84 @@ function applyStorageUsageMethods(StorageManager) {
         });
     };
 
+    /**
+     * Count one open of a site for today, stored next to the daily totals as
+     * `usage[domain]['YYYY-MM-DD_visits']`.
+     * @param {string} domain - Tracking key of the opened site.
+     * @returns {Promise<number>} Opens today including this one (0 on failure).
+     */
+    StorageManager.prototype.incrementVisitCount = async function incrementVisitCount(domain) {
+        return withUsageLock(async () => {
+            try {
+                const usage = await this.getAllUsage();
+                const key = `${dateKey(new Date())}_visits`;
+                const domainData = usage[domain] || (usage[domain] = { cumulative: 0 });
+                domainData[key] = (domainData[key] || 0) + 1;
+                await chrome.storage.local.set({ usage });
+                return domainData[key];
+            } catch (error) {
+                console.error('Failed to update visit count:', error);
+                return 0;
+            }
+        });
+    };
+
+    /**
+     * Add playback time saved by skipping silence, stored next to the daily
+     * totals as `usage[domain]['YYYY-MM-DD_silence']`.
+     * @param {string} domain - Tracking key of the site the media played on.
+     * @param {number} seconds - Time saved.
+     * @returns {Promise<boolean>} True on success.
+     */
+    StorageManager.prototype.addSilenceSkipped = async function addSilenceSkipped(domain, seconds) {
+        return withUsageLock(async () => {
+            try {
+                const usage = await this.getAllUsage();
+                const key = `${dateKey(new Date())}_silence`;
+                if (!usage[domain]) usage[domain] = { cumulative: 0 };
+                usage[domain][key] = (usage[domain][key] || 0) + seconds;
+                await chrome.storage.local.set({ usage });
+                return true;
+            } catch (error) {
+                console.error('Failed to record skipped silence:', error);
+                return false;
+            }
+        });
+    };
+
+    /**
+     * Add media playback, stored next to the daily totals as
+     * `usage[domain]['YYYY-MM-DD_watch']` (real time spent playing) and
+     * `usage[domain]['YYYY-MM-DD_media']` (content covered in that time).
+     * Their ratio is the effective speed; the difference is time saved.
+     * @param {string} domain - Tracking key of the site the media played on.
+     * @param {number} watchSeconds - Wall-clock playing time.
+     * @param {number} mediaSeconds - Media time played through.
+     * @returns {Promise<boolean>} True on success.
+     */
+    StorageManager.prototype.addMediaWatch = async function addMediaWatch(
+        domain,
+        watchSeconds,
+        mediaSeconds
+    ) {
+        return withUsageLock(async () => {
+            try {
+                const usage = await this.getAllUsage();
+                const day = dateKey(new Date());
+                const watchKey = `${day}_watch`;
+                const mediaKey = `${day}_media`;
+                if (!usage[domain]) usage[domain] = { cumulative: 0 };
+                usage[domain][watchKey] = (usage[domain][watchKey] || 0) + watchSeconds;
+                usage[domain][mediaKey] = (usage[domain][mediaKey] || 0) + mediaSeconds;
+                await chrome.storage.local.set({ usage });
+                return true;
+            } catch (error) {
+                console.error('Failed to record media watch time:', error);
+                return false;
+            }
+        });
+    };
+
     StorageManager.prototype.purgeOldData = async function purgeOldData(days) {
         return withUsageLock(async () => {
             if (!days || days < 1) return false;
@@ -74,12 +209,15 @@ function applyStorageUsageMethods(StorageManager) {
                 const usage = await this.getAllUsage();
                 const cutoffDate = new Date();
                 cutoffDate.setDate(cutoffDate.getDate() - days);
-                const cutoffStr = `${cutoffDate.getFullYear()}-${String(cutoffDate.getMonth() + 1).padStart(2, '0')}-${String(cutoffDate.getDate()).padStart(2, '0')}`;
+                const cutoffStr = dateKey(cutoffDate);
+
+                const dayKey =
+                    /^\d{4}-\d{2}-\d{2}(_hours|_blocked|_visits|_silence|_watch|_media)?$/;
 
                 let changed = false;
                 for (const domainData of Object.values(usage)) {
                     for (const date of Object.keys(domainData)) {
-                        if (/^\d{4}-\d{2}-\d{2}$/.test(date) && date < cutoffStr) {
+                        if (dayKey.test(date) && date < cutoffStr) {
                             delete domainData[date];
                             changed = true;
                         }
@@ -117,11 +255,19 @@ function applyStorageUsageMethods(StorageManager) {
                         cur[k] = (cur[k] || 0) + v;
                     } else if (/^\d{4}-\d{2}-\d{2}_restricted$/.test(k)) {
                         cur[k] = (cur[k] || 0) + v;
-                    } else if (/^\d{4}-\d{2}-\d{2}_blocked$/.test(k)) {
+                    } else if (/^\d{4}-\d{2}-\d{2}_(blocked|visits|silence|watch|media)$/.test(k)) {
                         cur[k] = (cur[k] || 0) + v;
                     } else if (k === 'blockedToday') {
                         cur[k] = (cur[k] || 0) + v;
                     }
+                } else if (/^\d{4}-\d{2}-\d{2}_hours$/.test(k) && v && typeof v === 'object') {
+                    const buckets = cur[k] && typeof cur[k] === 'object' ? cur[k] : {};
+                    for (const [hour, seconds] of Object.entries(v)) {
+                        if (typeof seconds === 'number') {
+                            buckets[hour] = (buckets[hour] || 0) + seconds;
+                        }
+                    }
+                    cur[k] = buckets;
                 } else if (!(k in cur)) {
                     cur[k] = v;
                 }
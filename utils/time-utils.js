@@ -4,6 +4,12 @@
  * Time utility functions for formatting and calculating durations
  */
 class TimeUtils {
+    /** Hour (0-23) at which a new usage day begins; 0 = midnight */
+    static dayStartHour = 0;
+    /** IANA time zone usage days are counted in; null follows the device */
+    static timeZone = null;
+    static zoneFormatters = new Map();
+
     /**
      * Format seconds into human-readable time string
      * @param {number} seconds - Time in seconds
@@ -101,15 +107,208 @@ class TimeUtils {
     }
 
     /**
-     * Get current date in YYYY-MM-DD format (LOCAL timezone)
+     * Validate a day-start hour
+     * @param {*} value - Candidate hour
+     * @returns {number} Whole hour between 0 and 23 (0 if invalid)
+     */
+    static normalizeDayStartHour(value) {
+        const hour = Number(value);
+        return Number.isInteger(hour) && hour >= 0 && hour <= 23 ? hour : 0;
+    }
+
+    /**
+     * Set the hour at which a new usage day begins
+     * @param {*} hour - Hour from the dayStartHour setting
+     */
+    static setDayStartHour(hour) {
+        this.dayStartHour = this.normalizeDayStartHour(hour);
+    }
+
+    /**
+     * Get the time zone the device is currently in
+     * @returns {string|null} IANA zone name, or null if the runtime cannot tell
+     */
+    static getDeviceTimeZone() {
+        try {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Validate a time zone name
+     * @param {*} value - Candidate IANA zone name
+     * @returns {string|null} The zone if the runtime knows it, otherwise null
+     */
+    static normalizeTimeZone(value) {
+        if (typeof value !== 'string' || !value) return null;
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: value });
+            return value;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Set the time zone usage days are counted in
+     * @param {*} zone - Zone from the timeZone setting (null = device zone)
+     */
+    static setTimeZone(zone) {
+        this.timeZone = this.normalizeTimeZone(zone);
+    }
+
+    /**
+     * Apply the day settings (day-start hour and time zone)
+     * @param {object} [settings] - Stored settings
+     */
+    static applyDaySettings(settings) {
+        this.setDayStartHour(settings?.dayStartHour);
+        this.setTimeZone(settings?.timeZone);
+    }
+
+    /**
+     * Apply the stored day settings and follow later changes to them
+     * @returns {Promise<void>} Resolves once the stored settings are applied
+     */
+    static async watchDaySettings() {
+        if (typeof chrome === 'undefined' || !chrome.storage?.local) return;
+        if (!this.watchingDaySettings) {
+            this.watchingDaySettings = true;
+            chrome.storage.onChanged.addListener((changes, areaName) => {
+                if (areaName === 'local' && changes.settings) {
+                    this.applyDaySettings(changes.settings.newValue);
+                }
+            });
+        }
+        try {
+            const { settings } = await chrome.storage.local.get('settings');
+            this.applyDaySettings(settings);
+        } catch {
+            /* keep the current settings */
+        }
+    }
+
+    /**
+     * Read the wall-clock fields of a moment in the usage time zone. With no
+     * zone set this is the device's local time.
+     * @param {Date} [date] - Moment to read (defaults to now)
+     * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number }} Fields with a 0-based month.
+     */
+    static getZonedParts(date = new Date()) {
+        if (!this.timeZone) {
+            return {
+                year: date.getFullYear(),
+                month: date.getMonth(),
+                day: date.getDate(),
+                hour: date.getHours(),
+                minute: date.getMinutes(),
+                second: date.getSeconds(),
+            };
+        }
+        let formatter = this.zoneFormatters.get(this.timeZone);
+        if (!formatter) {
+            formatter = new Intl.DateTimeFormat('en-US', {
+                timeZone: this.timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric',
+            });
+            this.zoneFormatters.set(this.timeZone, formatter);
+        }
+        const parts = {};
+        for (const { type, value } of formatter.formatToParts(date)) parts[type] = Number(value);
+        return {
+            year: parts.year,
+            month: parts.month - 1,
+            day: parts.day,
+            hour: parts.hour,
+            minute: parts.minute,
+            second: parts.second,
+        };
+    }
+
+    /**
+     * Find the moment a wall-clock time occurs in the usage time zone
+     * @param {number} year - Full year
+     * @param {number} month - 0-based month
+     * @param {number} day - Day of the month (may overflow, like Date)
+     * @param {number} [hour] - Hour of the day
+     * @returns {Date} The matching moment
+     */
+    static fromZonedTime(year, month, day, hour = 0) {
+        if (!this.timeZone) return new Date(year, month, day, hour);
+        const wall = Date.UTC(year, month, day, hour);
+        const offsetAt = (ms) => {
+            const p = this.getZonedParts(new Date(ms));
+            return Date.UTC(p.year, p.month, p.day, p.hour, p.minute, p.second) - ms;
+        };
+        // Two passes settle on the offset in force at the target time, even
+        // when a DST change falls between it and the first guess
+        let time = wall - offsetAt(wall);
+        time = wall - offsetAt(time);
+        return new Date(time);
+    }
+
+    /**
+     * Get the day a moment is counted under. Until the day-start hour, time
+     * still belongs to the previous calendar day. Days follow the usage time
+     * zone, so the same moment always lands on the same day.
+     * @param {Date} [date] - Moment to look up (defaults to now)
+     * @returns {Date} Local midnight carrying that day's year, month and date
+     */
+    static getUsageDay(date = new Date()) {
+        const p = this.getZonedParts(date);
+        const shifted = new Date(
+            Date.UTC(p.year, p.month, p.day, p.hour - this.dayStartHour, p.minute)
+        );
+        return new Date(shifted.getUTCFullYear(), shifted.getUTCMonth(), shifted.getUTCDate());
+    }
+
+    /**
+     * Get the moment a usage day begins
+     * @param {Date} day - Day as returned by getUsageDay
+     * @returns {Date} Start of that day in the usage time zone
+     */
+    static getDayStart(day) {
+        return this.fromZonedTime(
+            day.getFullYear(),
+            day.getMonth(),
+            day.getDate(),
+            this.dayStartHour
+        );
+    }
+
+    /**
+     * Get the YYYY-MM-DD key usage at a given moment is stored under
+     * @param {Date} [date] - Moment to look up (defaults to now)
+     * @returns {string} Date key of the usage day
+     */
+    static getDateKey(date = new Date()) {
+        return this.formatLocalDate(this.getUsageDay(date));
+    }
+
+    /**
+     * Get the moment the next usage day begins
+     * @param {Date} [date] - Moment to start from (defaults to now)
+     * @returns {Date} Next day start (midnight unless a day-start hour is set)
+     */
+    static getNextDayStart(date = new Date()) {
+        const day = this.getUsageDay(date);
+        return this.getDayStart(new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1));
+    }
+
+    /**
+     * Get the current usage day in YYYY-MM-DD format (LOCAL timezone)
      * @returns {string} Current date string in local time
      */
     static getCurrentDate() {
-        const now = new Date();
-        const year = now.getFullYear();
-        const month = String(now.getMonth() + 1).padStart(2, '0');
-        const day = String(now.getDate()).padStart(2, '0');
-        return `${year}-${month}-${day}`;
+        return this.getDateKey();
     }
 
     /**
@@ -119,7 +318,7 @@ class TimeUtils {
      */
     static getDateRange(days) {
         const dates = [];
-        const today = new Date();
+        const today = this.getUsageDay();
 
         for (let i = days - 1; i >= 0; i--) {
             const date = new Date(today);
@@ -165,6 +364,16 @@ class TimeUtils {
         return domainData[today] || 0;
     }
 
+    /**
+     * Count how often a domain has been opened today
+     * @param {object} domainData - Domain usage data
+     * @returns {number} Today's opens
+     */
+    static calculateTodayVisits(domainData) {
+        const today = this.getCurrentDate();
+        return domainData[`${today}_visits`] || 0;
+    }
+
     /**
      * Calculate average daily time for a domain
      * @param {object} domainData - Domain usage data
@@ -182,8 +391,7 @@ class TimeUtils {
         if (allDates.length > 0) {
             const firstDate = new Date(allDates[0]);
             firstDate.setHours(0, 0, 0, 0);
-            const today = new Date();
-            today.setHours(0, 0, 0, 0);
+            const today = this.getUsageDay();
             const diffDays = Math.floor((today - firstDate) / (1000 * 60 * 60 * 24)) + 1;
             daysToDivideBy = Math.min(days, diffDays);
         } else {
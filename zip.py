@@ -86,18 +86,27 @@ def zip_for_firefox(files):
             "utils/storage/usage.js",
             "utils/storage/blocking.js",
             "utils/storage/misc.js",
+            "utils/storage/focus.js",
+            "utils/storage/sessions.js",
             "utils/storage.js",
             "utils/storage/migration-engine.js",
             "utils/time-utils.js",
+            "utils/public-suffix-list.js",
             "utils/domain-utils.js",
+            "core/rules/rule-schedule.js",
             "core/rules/site-rule.js",
             "core/rules/blocked-rule.js",
+            "core/rules/rule-budget.js",
             "core/rules/restricted-rule.js",
+            "core/rules/visit-limited-rule.js",
             "core/rules/group-rule.js",
             "core/rules/rule-manager.js",
             "background/core/messaging.js",
             "background/core/tracking.js",
             "background/core/data.js",
+            "background/core/focus.js",
+            "background/core/unlock.js",
+            "background/core/lockdown.js",
             "background/alarm-manager/scheduling.js",
             "background/alarm-manager/handlers.js",
             "background/alarm-manager/notifications.js",